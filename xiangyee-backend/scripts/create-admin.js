@@ -0,0 +1,51 @@
+// scripts/create-admin.js
+// Bootstrap the first dashboard account (role owner) without hand-written SQL.
+//
+//   node scripts/create-admin.js <username> [password]
+//
+// Without a password (argument or ADMIN_PASSWORD env) a temporary one is
+// generated and printed; the admin is asked to change it after logging in.
+
+const { pool } = require("../src/db");
+const {
+  PASSWORD_MIN,
+  generatePassword,
+  createStaffUser,
+} = require("../src/services/staff");
+
+async function main() {
+  const [username, passwordArg] = process.argv.slice(2);
+
+  if (!username) {
+    throw new Error("Usage: node scripts/create-admin.js <username> [password]");
+  }
+
+  const given = passwordArg || process.env.ADMIN_PASSWORD || "";
+  if (given && given.length < PASSWORD_MIN) {
+    throw new Error(`Password must be at least ${PASSWORD_MIN} characters`);
+  }
+
+  const password = given || generatePassword();
+
+  try {
+    const user = await createStaffUser({
+      username,
+      password,
+      role: "owner",
+      must_change_password: !given,
+    });
+
+    console.log(`Created owner '${user.username}' (id ${user.id}).`);
+    if (!given) console.log(`Temporary password: ${password}`);
+  } catch (e) {
+    if (e.code === "23505") throw new Error(`User '${username}' already exists`);
+    throw e;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error("create-admin failed:", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,195 @@
+// scripts/migrate.js
+// Versioned SQL migrations for the Postgres database in DATABASE_URL.
+//
+//   node scripts/migrate.js up [version]   apply pending migrations (up to version)
+//   node scripts/migrate.js down [steps]   roll back the last N applied (default 1)
+//   node scripts/migrate.js status         list applied / pending migrations
+//   node scripts/migrate.js seed           run sql/seeds/*.sql (idempotent)
+//   node scripts/migrate.js setup          up + seed: empty database -> running app
+//
+// Migrations live in sql/migrations as NNN_name.up.sql / NNN_name.down.sql.
+// Each one runs in its own transaction and is recorded in schema_migrations.
+
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../src/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../sql/migrations");
+const SEEDS_DIR = path.join(__dirname, "../sql/seeds");
+
+// any constant works; it only has to be the same for every runner
+const LOCK_KEY = 7341001;
+
+function loadMigrations() {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const m = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!m) continue;
+
+    const [, version, name, direction] = m;
+    if (!byVersion.has(version)) byVersion.set(version, { version, name });
+    byVersion.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  const list = [...byVersion.values()];
+  for (const mig of list) {
+    if (!mig.up) throw new Error(`Migration ${mig.version}_${mig.name} has no .up.sql`);
+  }
+  return list;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const r = await client.query(
+    `SELECT version, applied_at FROM schema_migrations ORDER BY version ASC`
+  );
+  return new Map(r.rows.map((row) => [row.version, row.applied_at]));
+}
+
+async function runInTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  }
+}
+
+async function up(client, target) {
+  // compare as numbers: as strings "010" <= "9", so "up 9" would run far past 009
+  const targetVersion = target === undefined ? null : Number(target);
+  if (target !== undefined && !Number.isInteger(targetVersion)) {
+    throw new Error(`Invalid target version '${target}'`);
+  }
+
+  const applied = await appliedVersions(client);
+  const pending = loadMigrations().filter(
+    (m) => !applied.has(m.version) && (targetVersion === null || Number(m.version) <= targetVersion)
+  );
+
+  if (!pending.length) {
+    console.log("Database is up to date.");
+    return;
+  }
+
+  for (const mig of pending) {
+    const sql = fs.readFileSync(mig.up, "utf8");
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`,
+        [mig.version, mig.name]
+      );
+    });
+    console.log(`↑ ${mig.version}_${mig.name}`);
+  }
+}
+
+async function down(client, steps) {
+  const applied = await appliedVersions(client);
+  const toRevert = loadMigrations()
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (!toRevert.length) {
+    console.log("Nothing to roll back.");
+    return;
+  }
+
+  for (const mig of toRevert) {
+    if (!mig.down) {
+      throw new Error(`Migration ${mig.version}_${mig.name} has no .down.sql`);
+    }
+
+    const sql = fs.readFileSync(mig.down, "utf8");
+    await runInTransaction(client, async () => {
+      await client.query(sql);
+      await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [
+        mig.version,
+      ]);
+    });
+    console.log(`↓ ${mig.version}_${mig.name}`);
+  }
+}
+
+async function status(client) {
+  const applied = await appliedVersions(client);
+
+  for (const mig of loadMigrations()) {
+    const at = applied.get(mig.version);
+    const state = at ? `applied ${new Date(at).toISOString()}` : "pending";
+    console.log(`${mig.version}_${mig.name}`.padEnd(40) + state);
+  }
+}
+
+async function seed(client) {
+  const files = fs
+    .readdirSync(SEEDS_DIR)
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+
+  await runInTransaction(client, async () => {
+    for (const file of files) {
+      await client.query(fs.readFileSync(path.join(SEEDS_DIR, file), "utf8"));
+      console.log(`seeded ${file}`);
+    }
+  });
+}
+
+async function main() {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  const client = await pool.connect();
+  try {
+    // one runner at a time (e.g. two app instances deploying together)
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    switch (command) {
+      case "up":
+        await up(client, arg);
+        break;
+      case "down":
+        await down(client, Math.max(parseInt(arg || "1", 10) || 1, 1));
+        break;
+      case "status":
+        await status(client);
+        break;
+      case "seed":
+        await seed(client);
+        break;
+      case "setup":
+        await up(client);
+        await seed(client);
+        break;
+      default:
+        throw new Error(`Unknown command '${command}' (use up | down | status | seed | setup)`);
+    }
+  } finally {
+    try {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+    } catch {}
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error("Migration failed:", e.message);
+  process.exit(1);
+});
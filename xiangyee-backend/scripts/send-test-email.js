@@ -0,0 +1,45 @@
+// scripts/send-test-email.js
+// Send every email template with sample data straight through the SMTP
+// settings in .env, e.g. to check a local catch-all (Mailpit / MailHog):
+//
+//   SMTP_HOST=localhost SMTP_PORT=1025 node scripts/send-test-email.js you@example.com
+//
+// Does not touch the database or the outbox.
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../.env") });
+const { TEMPLATES, render } = require("../src/services/email/templates");
+const { isConfigured, sendMail } = require("../src/services/email/transport");
+
+const SAMPLE = {
+  customer_name: "Tan Wei Ling",
+  reservation_date: "2026-12-01",
+  reservation_time: "18:30",
+  pax: 4,
+  confirmation_code: "ABCD2345EF",
+  token: "sample-reminder-token",
+  order_no: "20261201-001",
+  order_type: "takeaway",
+  items: [
+    { name_en: "Stir-Fried Chicken with Old Ginger", quantity: 1, line_total: 38.9 },
+    { name_en: "Mixed Mushroom Pot", quantity: 2, line_total: 57.2 },
+  ],
+  total_amount: 96.1,
+  amount_cents: 2860,
+};
+
+async function main() {
+  const [to] = process.argv.slice(2);
+  if (!to) throw new Error("Usage: node scripts/send-test-email.js <to-address>");
+  if (!isConfigured()) throw new Error("SMTP_HOST is not set");
+
+  for (const template of TEMPLATES) {
+    const info = await sendMail({ to, ...render(template, SAMPLE) });
+    console.log(`sent ${template} (${info.messageId})`);
+  }
+}
+
+main().catch((e) => {
+  console.error("Test email failed:", e.message);
+  process.exit(1);
+});
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS staff_users;
+DROP TABLE IF EXISTS reservations;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS daily_order_seq;
+DROP TABLE IF EXISTS menu_items;
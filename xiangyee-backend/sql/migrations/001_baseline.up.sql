@@ -0,0 +1,81 @@
+-- BASELINE
+-- The schema the routes actually run against. Written with IF NOT EXISTS so
+-- a database that was set up by hand before migrations existed can adopt it.
+
+-- MENU ITEMS
+CREATE TABLE IF NOT EXISTS menu_items (
+  id SERIAL PRIMARY KEY,
+  name_cn VARCHAR(100) NOT NULL,
+  name_en VARCHAR(150) NOT NULL,
+  price NUMERIC(10,2) NOT NULL,
+  category VARCHAR(50) NOT NULL DEFAULT 'Main Dishes',
+  is_available BOOLEAN NOT NULL DEFAULT TRUE,
+  image_url VARCHAR(255) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- DAILY ORDER NUMBERS (orders.order_no = YYYYMMDD-NNN)
+CREATE TABLE IF NOT EXISTS daily_order_seq (
+  seq_date DATE PRIMARY KEY,
+  last_seq INT NOT NULL DEFAULT 0
+);
+
+-- ORDERS
+CREATE TABLE IF NOT EXISTS orders (
+  id SERIAL PRIMARY KEY,
+  order_no VARCHAR(20) NULL,
+  customer_name VARCHAR(100) NOT NULL,
+  customer_phone VARCHAR(30) NOT NULL,
+  order_type VARCHAR(20) NOT NULL DEFAULT 'takeaway'
+    CHECK (order_type IN ('dine_in','takeaway')),
+  table_no VARCHAR(20) NULL,
+  notes TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending','confirmed','preparing','ready','collected','completed','cancelled')),
+  total_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS order_no VARCHAR(20) NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_order_no_key ON orders(order_no);
+
+-- ORDER ITEMS
+CREATE TABLE IF NOT EXISTS order_items (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  menu_item_id INT NOT NULL REFERENCES menu_items(id),
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price NUMERIC(10,2) NOT NULL,
+  line_total NUMERIC(10,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS order_items_order_id_idx ON order_items(order_id);
+
+-- RESERVATIONS
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  customer_name VARCHAR(100) NOT NULL,
+  customer_phone VARCHAR(30) NOT NULL,
+  reservation_date DATE NOT NULL,
+  reservation_time TIME NOT NULL,
+  pax INT NOT NULL,
+  notes TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending','confirmed','seated','completed','cancelled')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS reservations_slot_idx
+  ON reservations(reservation_date, reservation_time);
+
+-- STAFF USERS (admin dashboard logins)
+CREATE TABLE IF NOT EXISTS staff_users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'staff',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,21 @@
+-- PAYMENTS
+-- One order can have several attempts; orders.payment_status mirrors the latest outcome.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid'
+    CHECK (payment_status IN ('unpaid','paid','failed'));
+
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  amount_cents INT NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'SGD',
+  status VARCHAR(20) NOT NULL CHECK (status IN ('success','failed')),
+  card_brand VARCHAR(20) NULL,
+  card_last4 VARCHAR(4) NULL,
+  failure_reason TEXT NULL,
+  transaction_ref VARCHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_order_id_idx ON payments(order_id);
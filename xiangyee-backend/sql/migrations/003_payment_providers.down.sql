@@ -0,0 +1,16 @@
+UPDATE payments SET status = 'failed' WHERE status IN ('pending','requires_action');
+UPDATE orders SET payment_status = 'unpaid' WHERE payment_status = 'pending';
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('success','failed'));
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('unpaid','paid','failed'));
+
+ALTER TABLE payments
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS provider;
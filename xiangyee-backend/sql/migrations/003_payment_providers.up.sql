@@ -0,0 +1,16 @@
+-- PAYMENT PROVIDERS
+-- Attempts now go through a provider adapter and can settle asynchronously.
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS provider VARCHAR(30) NOT NULL DEFAULT 'simulator',
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('pending','requires_action','success','failed'));
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('unpaid','pending','paid','failed'));
@@ -0,0 +1,21 @@
+DROP TABLE IF EXISTS refund_items;
+DROP TABLE IF EXISTS refunds;
+
+ALTER TABLE order_items DROP COLUMN IF EXISTS refunded_quantity;
+
+UPDATE payments SET status = 'failed' WHERE status = 'voided';
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('pending','requires_action','success','failed'));
+ALTER TABLE payments DROP COLUMN IF EXISTS refunded_cents;
+
+UPDATE orders SET payment_status = 'paid' WHERE payment_status IN ('partially_refunded','refunded');
+UPDATE orders SET payment_status = 'unpaid' WHERE payment_status = 'voided';
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('unpaid','pending','paid','failed'));
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS amount_refunded_cents,
+  DROP COLUMN IF EXISTS amount_paid_cents;
@@ -0,0 +1,56 @@
+-- REFUNDS & VOIDS
+-- Every refund or void is recorded with a reason and the acting staff user.
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS amount_paid_cents INT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS amount_refunded_cents INT NOT NULL DEFAULT 0;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_check;
+ALTER TABLE orders
+  ADD CONSTRAINT orders_payment_status_check
+    CHECK (payment_status IN ('unpaid','pending','paid','failed','partially_refunded','refunded','voided'));
+
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS refunded_cents INT NOT NULL DEFAULT 0;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments
+  ADD CONSTRAINT payments_status_check
+    CHECK (status IN ('pending','requires_action','success','failed','voided'));
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS refunded_quantity INT NOT NULL DEFAULT 0;
+
+-- backfill for payments recorded before this migration
+UPDATE orders o
+SET amount_paid_cents = p.total
+FROM (
+  SELECT order_id, SUM(amount_cents)::int AS total
+  FROM payments
+  WHERE status = 'success'
+  GROUP BY order_id
+) p
+WHERE p.order_id = o.id;
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  payment_id INT NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('refund','void')),
+  amount_cents INT NOT NULL,
+  reason TEXT NOT NULL,
+  provider_ref VARCHAR(64) NULL,
+  staff_user_id INT NULL,
+  staff_username VARCHAR(50) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS refunds_order_id_idx ON refunds(order_id);
+
+CREATE TABLE IF NOT EXISTS refund_items (
+  id SERIAL PRIMARY KEY,
+  refund_id INT NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+  order_item_id INT NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INT NOT NULL,
+  amount_cents INT NOT NULL
+);
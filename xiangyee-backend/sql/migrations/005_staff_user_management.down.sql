@@ -0,0 +1,6 @@
+ALTER TABLE staff_users
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS disabled_at,
+  DROP COLUMN IF EXISTS password_changed_at,
+  DROP COLUMN IF EXISTS must_change_password,
+  DROP COLUMN IF EXISTS is_active;
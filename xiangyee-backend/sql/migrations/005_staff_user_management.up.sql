@@ -0,0 +1,9 @@
+-- STAFF USER MANAGEMENT
+-- Accounts can be disabled instead of deleted, and admins can force a password change.
+
+ALTER TABLE staff_users
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
@@ -0,0 +1,5 @@
+ALTER TABLE staff_users DROP CONSTRAINT IF EXISTS staff_users_role_check;
+ALTER TABLE staff_users ALTER COLUMN role SET DEFAULT 'staff';
+
+UPDATE staff_users SET role = 'admin' WHERE role = 'owner';
+UPDATE staff_users SET role = 'staff' WHERE role <> 'admin';
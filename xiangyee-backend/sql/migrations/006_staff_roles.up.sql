@@ -0,0 +1,12 @@
+-- STAFF ROLES
+-- Replace admin/staff with named roles (permissions live in src/services/permissions.js).
+-- "staff" could already manage orders and reservations, which is front_of_house.
+
+UPDATE staff_users SET role = 'owner' WHERE role = 'admin';
+UPDATE staff_users SET role = 'front_of_house' WHERE role NOT IN ('owner','manager','cashier','kitchen','front_of_house');
+
+ALTER TABLE staff_users ALTER COLUMN role SET DEFAULT 'front_of_house';
+ALTER TABLE staff_users DROP CONSTRAINT IF EXISTS staff_users_role_check;
+ALTER TABLE staff_users
+  ADD CONSTRAINT staff_users_role_check
+    CHECK (role IN ('owner','manager','cashier','kitchen','front_of_house'));
@@ -0,0 +1,20 @@
+-- STAFF SESSIONS
+-- One row per signed-in device. The refresh token rotates on every use and only
+-- its hash is stored; presenting the previous token again revokes the session.
+
+CREATE TABLE IF NOT EXISTS staff_sessions (
+  id SERIAL PRIMARY KEY,
+  staff_user_id INT NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64) NULL,
+  user_agent TEXT NULL,
+  ip VARCHAR(64) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ NULL,
+  revoke_reason VARCHAR(50) NULL
+);
+
+CREATE INDEX IF NOT EXISTS staff_sessions_user_idx ON staff_sessions(staff_user_id);
+CREATE INDEX IF NOT EXISTS staff_sessions_previous_idx ON staff_sessions(previous_token_hash);
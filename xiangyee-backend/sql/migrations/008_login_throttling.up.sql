@@ -0,0 +1,27 @@
+-- LOGIN THROTTLING
+-- login_attempts is the audit trail; login_throttle holds the running failure
+-- count per username and per IP that drives backoff and lockout.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  username VARCHAR(100) NOT NULL,
+  staff_user_id INT NULL REFERENCES staff_users(id) ON DELETE SET NULL,
+  ip VARCHAR(64) NULL,
+  user_agent TEXT NULL,
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(30) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS login_attempts_created_idx ON login_attempts(created_at DESC);
+CREATE INDEX IF NOT EXISTS login_attempts_username_idx ON login_attempts(username, created_at DESC);
+CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON login_attempts(ip, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('username','ip')),
+  key VARCHAR(100) NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ NULL,
+  PRIMARY KEY (kind, key)
+);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS reservations_confirmation_code_key;
+
+ALTER TABLE reservations
+  DROP COLUMN IF EXISTS cancelled_at,
+  DROP COLUMN IF EXISTS confirmation_code;
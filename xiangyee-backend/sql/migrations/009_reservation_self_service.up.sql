@@ -0,0 +1,18 @@
+-- RESERVATION SELF-SERVICE
+-- Guests manage a booking with its confirmation code + phone number.
+
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS confirmation_code VARCHAR(16) NULL,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ NULL;
+
+-- existing bookings get a code too (same alphabet as the app: no 0/O/1/I)
+UPDATE reservations
+SET confirmation_code = (
+  SELECT string_agg(substr('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 1 + floor(random() * 32)::int, 1), '')
+  FROM generate_series(1, 10 + 0 * reservations.id)
+)
+WHERE confirmation_code IS NULL;
+
+ALTER TABLE reservations ALTER COLUMN confirmation_code SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS reservations_confirmation_code_key
+  ON reservations(confirmation_code);
@@ -0,0 +1,5 @@
+ALTER TABLE reservations DROP COLUMN IF EXISTS duration_minutes;
+
+DROP TABLE IF EXISTS reservation_tables;
+DROP TABLE IF EXISTS dining_durations;
+DROP TABLE IF EXISTS tables;
@@ -0,0 +1,42 @@
+-- TABLE INVENTORY
+-- Reservations hold real tables for a dining duration instead of counting
+-- bookings per time slot. Tables sharing a combine_group can be pushed
+-- together for larger parties.
+
+CREATE TABLE IF NOT EXISTS tables (
+  id SERIAL PRIMARY KEY,
+  table_no VARCHAR(10) NOT NULL UNIQUE,
+  floor INT NOT NULL DEFAULT 1,
+  seats INT NOT NULL CHECK (seats > 0),
+  combine_group VARCHAR(20) NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- how long a party of up to max_pax keeps its table
+CREATE TABLE IF NOT EXISTS dining_durations (
+  max_pax INT PRIMARY KEY CHECK (max_pax > 0),
+  minutes INT NOT NULL CHECK (minutes > 0)
+);
+
+INSERT INTO dining_durations (max_pax, minutes) VALUES
+  (2, 75),
+  (4, 90),
+  (8, 120),
+  (12, 150)
+ON CONFLICT (max_pax) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS reservation_tables (
+  reservation_id INT NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  table_id INT NOT NULL REFERENCES tables(id) ON DELETE RESTRICT,
+  PRIMARY KEY (reservation_id, table_id)
+);
+
+CREATE INDEX IF NOT EXISTS reservation_tables_table_idx
+  ON reservation_tables(table_id);
+
+-- fixed when the booking is made, so later duration changes don't move it
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS duration_minutes INT NOT NULL DEFAULT 90;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS special_hours;
+DROP TABLE IF EXISTS special_dates;
+DROP TABLE IF EXISTS opening_hours;
@@ -0,0 +1,55 @@
+-- OPENING HOURS
+-- Weekly service periods plus dated exceptions (public holidays, ad-hoc
+-- closures, special hours). Times are Singapore local time.
+--
+--   opens_at .. closes_at   the restaurant is open
+--   last_booking_at         latest reservation start (NULL = closes_at)
+--   last_order_at           kitchen stops taking orders (NULL = closes_at)
+
+CREATE TABLE IF NOT EXISTS opening_hours (
+  id SERIAL PRIMARY KEY,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = Sunday
+  name VARCHAR(30) NOT NULL,
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL,
+  last_booking_at TIME NULL,
+  last_order_at TIME NULL,
+  CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS opening_hours_weekday_idx ON opening_hours(weekday);
+
+-- one row per exceptional date; closed = TRUE shuts the whole day,
+-- otherwise its special_hours replace the weekly periods
+CREATE TABLE IF NOT EXISTS special_dates (
+  special_date DATE PRIMARY KEY,
+  kind VARCHAR(20) NOT NULL DEFAULT 'closure'
+    CHECK (kind IN ('public_holiday','closure','special_hours')),
+  name VARCHAR(100) NULL,
+  closed BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS special_hours (
+  id SERIAL PRIMARY KEY,
+  special_date DATE NOT NULL REFERENCES special_dates(special_date) ON DELETE CASCADE,
+  name VARCHAR(30) NOT NULL,
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL,
+  last_booking_at TIME NULL,
+  last_order_at TIME NULL,
+  CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS special_hours_date_idx ON special_hours(special_date);
+
+-- the hours the app used to hard-code, every day of the week
+INSERT INTO opening_hours (weekday, name, opens_at, closes_at, last_booking_at, last_order_at)
+SELECT d, p.name, p.opens_at, p.closes_at, p.last_booking_at, p.last_order_at
+FROM generate_series(0, 6) AS d
+CROSS JOIN (VALUES
+  ('lunch', TIME '11:30', TIME '14:30', TIME '14:30', TIME '14:30'),
+  ('dinner', TIME '17:30', TIME '21:30', TIME '19:00', TIME '21:00')
+) AS p(name, opens_at, closes_at, last_booking_at, last_order_at)
+WHERE NOT EXISTS (SELECT 1 FROM opening_hours);
@@ -0,0 +1,12 @@
+DROP TABLE IF EXISTS waitlist_entries;
+
+-- held bookings have no equivalent without the waitlist
+UPDATE reservations SET status = 'cancelled', cancelled_at = COALESCE(cancelled_at, NOW())
+WHERE status = 'held';
+
+ALTER TABLE reservations DROP COLUMN IF EXISTS hold_expires_at;
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations
+  ADD CONSTRAINT reservations_status_check
+    CHECK (status IN ('pending','confirmed','seated','completed','cancelled'));
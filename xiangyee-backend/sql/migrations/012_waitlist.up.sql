@@ -0,0 +1,33 @@
+-- WAITLIST
+-- Guests queue for a full date/time. When a booking there is cancelled the
+-- next guest that fits is offered a 'held' reservation: it keeps the tables
+-- until hold_expires_at, then lapses and the next guest is tried.
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations
+  ADD CONSTRAINT reservations_status_check
+    CHECK (status IN ('held','pending','confirmed','seated','completed','cancelled'));
+
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ NULL;
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id SERIAL PRIMARY KEY,
+  waitlist_code VARCHAR(16) NOT NULL UNIQUE,
+  customer_name VARCHAR(100) NOT NULL,
+  customer_phone VARCHAR(30) NOT NULL,
+  reservation_date DATE NOT NULL,
+  reservation_time TIME NOT NULL,
+  pax INT NOT NULL,
+  notes TEXT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+    CHECK (status IN ('waiting','offered','accepted','expired','cancelled')),
+  reservation_id INT NULL REFERENCES reservations(id) ON DELETE SET NULL,
+  offered_at TIMESTAMPTZ NULL,
+  hold_expires_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_date_idx
+  ON waitlist_entries(reservation_date, status, created_at);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS email_outbox;
+
+ALTER TABLE waitlist_entries DROP COLUMN IF EXISTS customer_email;
+ALTER TABLE orders DROP COLUMN IF EXISTS customer_email;
+ALTER TABLE reservations DROP COLUMN IF EXISTS customer_email;
@@ -0,0 +1,28 @@
+-- EMAIL OUTBOX
+-- Emails are queued here in the same transaction as the change they describe
+-- and sent later by the worker in src/services/email, so a failed SMTP call
+-- never rolls back an order or booking, and a rolled-back one never emails.
+
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS customer_email VARCHAR(254) NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_email VARCHAR(254) NULL;
+ALTER TABLE waitlist_entries ADD COLUMN IF NOT EXISTS customer_email VARCHAR(254) NULL;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id SERIAL PRIMARY KEY,
+  template VARCHAR(50) NOT NULL,
+  to_address VARCHAR(254) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending','sending','sent','failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ NULL,
+  last_error TEXT NULL,
+  message_id TEXT NULL,
+  sent_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS email_outbox_due_idx
+  ON email_outbox(next_attempt_at)
+  WHERE status = 'pending';
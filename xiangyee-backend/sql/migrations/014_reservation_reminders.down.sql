@@ -0,0 +1,15 @@
+DROP INDEX IF EXISTS reservations_no_show_phone_idx;
+DROP TABLE IF EXISTS reservation_reminders;
+
+-- the booking was never seated either way
+UPDATE reservations SET status = 'cancelled', cancelled_at = COALESCE(cancelled_at, no_show_at, NOW())
+WHERE status = 'no_show';
+
+ALTER TABLE reservations
+  DROP COLUMN IF EXISTS no_show_at,
+  DROP COLUMN IF EXISTS guest_confirmed_at;
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations
+  ADD CONSTRAINT reservations_status_check
+    CHECK (status IN ('held','pending','confirmed','seated','completed','cancelled'));
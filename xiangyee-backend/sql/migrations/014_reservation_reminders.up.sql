@@ -0,0 +1,31 @@
+-- RESERVATION REMINDERS + NO-SHOWS
+-- The reminder scheduler emails guests at fixed offsets before their booking.
+-- Each reminder carries a token for the confirm/cancel link. Bookings that are
+-- never seated become 'no_show' once the grace period has passed.
+
+ALTER TABLE reservations DROP CONSTRAINT IF EXISTS reservations_status_check;
+ALTER TABLE reservations
+  ADD CONSTRAINT reservations_status_check
+    CHECK (status IN ('held','pending','confirmed','seated','completed','cancelled','no_show'));
+
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS guest_confirmed_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ NULL;
+
+-- one row per booking and offset, so a reminder is never sent twice.
+-- status 'skipped' marks offsets that were already past when the booking was
+-- made or that a later reminder superseded.
+CREATE TABLE IF NOT EXISTS reservation_reminders (
+  id SERIAL PRIMARY KEY,
+  reservation_id INT NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+  offset_minutes INT NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('sent','skipped')),
+  token VARCHAR(64) NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (reservation_id, offset_minutes)
+);
+
+-- repeat no-shows are looked up by phone
+CREATE INDEX IF NOT EXISTS reservations_no_show_phone_idx
+  ON reservations ((regexp_replace(customer_phone, '\s+', '', 'g')))
+  WHERE status = 'no_show';
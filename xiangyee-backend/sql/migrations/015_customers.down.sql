@@ -0,0 +1,11 @@
+CREATE INDEX IF NOT EXISTS reservations_no_show_phone_idx
+  ON reservations ((regexp_replace(customer_phone, '\s+', '', 'g')))
+  WHERE status = 'no_show';
+
+DROP INDEX IF EXISTS reservations_customer_idx;
+DROP INDEX IF EXISTS orders_customer_idx;
+
+ALTER TABLE reservations DROP COLUMN IF EXISTS customer_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS customer_id;
+
+DROP TABLE IF EXISTS customers;
@@ -0,0 +1,78 @@
+-- CUSTOMERS
+-- One row per phone number (E.164). Orders and reservations point at it so a
+-- guest's history, spend and no-shows can be seen in one place, along with
+-- staff notes: allergies, VIP, blocklist.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  phone_e164 VARCHAR(16) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(254) NULL,
+  is_vip BOOLEAN NOT NULL DEFAULT FALSE,
+  is_blocklisted BOOLEAN NOT NULL DEFAULT FALSE,
+  blocklist_reason TEXT NULL,
+  allergies TEXT NULL,
+  notes TEXT NULL,
+  last_seen_at TIMESTAMPTZ NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS customer_id INT NULL REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE reservations
+  ADD COLUMN IF NOT EXISTS customer_id INT NULL REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS orders_customer_idx ON orders(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS reservations_customer_idx ON reservations(customer_id, reservation_date);
+
+-- no-shows are counted per customer now
+DROP INDEX IF EXISTS reservations_no_show_phone_idx;
+
+-- Backfill from existing rows with the same rules as normalizePhone() in
+-- services/customers.js. Numbers that do not parse stay unlinked.
+CREATE FUNCTION pg_temp.to_e164(raw TEXT) RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN p ~ '^[3689][0-9]{7}$' THEN '+65' || p
+    WHEN p ~ '^65[3689][0-9]{7}$' THEN '+' || p
+    WHEN p ~ '^\+65' THEN CASE WHEN p ~ '^\+65[3689][0-9]{7}$' THEN p END
+    WHEN p ~ '^\+[1-9][0-9]{6,14}$' THEN p
+  END
+  FROM (
+    SELECT regexp_replace(regexp_replace(raw, '[\s\-().]', '', 'g'), '^00', '+') AS p
+  ) n
+$$ LANGUAGE SQL IMMUTABLE;
+
+INSERT INTO customers (phone_e164, name, email, last_seen_at, created_at)
+SELECT DISTINCT ON (phone)
+  phone, customer_name, email, seen_at, first_seen_at
+FROM (
+  SELECT
+    pg_temp.to_e164(customer_phone) AS phone,
+    customer_name,
+    customer_email,
+    created_at AS seen_at,
+    MIN(created_at) OVER (PARTITION BY pg_temp.to_e164(customer_phone)) AS first_seen_at,
+    -- latest email seen for the phone, even if the latest visit had none
+    (array_agg(customer_email) FILTER (WHERE customer_email IS NOT NULL)
+      OVER (PARTITION BY pg_temp.to_e164(customer_phone) ORDER BY created_at DESC
+            ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING))[1] AS email
+  FROM (
+    SELECT customer_phone, customer_name, customer_email, created_at FROM orders
+    UNION ALL
+    SELECT customer_phone, customer_name, customer_email, created_at FROM reservations
+  ) visits
+) v
+WHERE phone IS NOT NULL
+ORDER BY phone, seen_at DESC
+ON CONFLICT (phone_e164) DO NOTHING;
+
+UPDATE orders o SET customer_id = c.id
+FROM customers c
+WHERE o.customer_id IS NULL AND c.phone_e164 = pg_temp.to_e164(o.customer_phone);
+
+UPDATE reservations r SET customer_id = c.id
+FROM customers c
+WHERE r.customer_id IS NULL AND c.phone_e164 = pg_temp.to_e164(r.customer_phone);
+
+DROP FUNCTION pg_temp.to_e164(TEXT);
@@ -0,0 +1,48 @@
+-- MENU MODIFIERS
+-- A dish has modifier groups ("Spice level", "Portion", "Add-ons"), each with
+-- options that may change the price. Chosen options are copied onto the
+-- order line, so later menu edits never change what was ordered.
+
+CREATE TABLE IF NOT EXISTS modifier_groups (
+  id SERIAL PRIMARY KEY,
+  menu_item_id INT NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  name_en VARCHAR(100) NOT NULL,
+  name_cn VARCHAR(100) NULL,
+  -- single: pick one option; multi: pick any number up to max_select (NULL = no limit)
+  selection VARCHAR(10) NOT NULL DEFAULT 'single' CHECK (selection IN ('single','multi')),
+  is_required BOOLEAN NOT NULL DEFAULT FALSE,
+  max_select INT NULL CHECK (max_select IS NULL OR max_select >= 1),
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (menu_item_id, name_en)
+);
+
+CREATE TABLE IF NOT EXISTS modifier_options (
+  id SERIAL PRIMARY KEY,
+  group_id INT NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+  name_en VARCHAR(100) NOT NULL,
+  name_cn VARCHAR(100) NULL,
+  price_delta NUMERIC(10,2) NOT NULL DEFAULT 0,
+  -- used when a required group is left empty (e.g. "Regular" spice)
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  is_available BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (group_id, name_en)
+);
+
+CREATE TABLE IF NOT EXISTS order_item_modifiers (
+  id SERIAL PRIMARY KEY,
+  order_item_id INT NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+  modifier_option_id INT NULL REFERENCES modifier_options(id) ON DELETE SET NULL,
+  group_name_en VARCHAR(100) NOT NULL,
+  name_en VARCHAR(100) NOT NULL,
+  name_cn VARCHAR(100) NULL,
+  price_delta NUMERIC(10,2) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS modifier_groups_item_idx ON modifier_groups(menu_item_id, sort_order);
+CREATE INDEX IF NOT EXISTS modifier_options_group_idx ON modifier_options(group_id, sort_order);
+CREATE INDEX IF NOT EXISTS order_item_modifiers_item_idx ON order_item_modifiers(order_item_id);
@@ -0,0 +1,20 @@
+ALTER TABLE menu_items
+  DROP COLUMN IF EXISTS is_signature,
+  DROP COLUMN IF EXISTS chili_rating,
+  DROP COLUMN IF EXISTS dietary_tags,
+  DROP COLUMN IF EXISTS allergens,
+  DROP COLUMN IF EXISTS description_cn,
+  DROP COLUMN IF EXISTS description_en;
+
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS category VARCHAR(50) NOT NULL DEFAULT 'Main Dishes';
+
+UPDATE menu_items mi
+SET category = c.name_en
+FROM menu_categories c
+WHERE c.id = mi.category_id;
+
+DROP INDEX IF EXISTS menu_items_category_idx;
+ALTER TABLE menu_items DROP COLUMN IF EXISTS category_id;
+
+DROP TABLE IF EXISTS menu_categories;
@@ -0,0 +1,56 @@
+-- MENU METADATA
+-- Categories become their own table with English/Chinese names and a display
+-- order, and dishes gain descriptions, allergens, dietary tags, a chili rating
+-- and a "signature dish" flag.
+
+CREATE TABLE IF NOT EXISTS menu_categories (
+  id SERIAL PRIMARY KEY,
+  name_en VARCHAR(50) NOT NULL UNIQUE,
+  name_cn VARCHAR(50) NULL,
+  -- menu sections are shown in ascending sort_order
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO menu_categories (name_en, name_cn, sort_order) VALUES
+  ('Main Dishes', '主菜', 10),
+  ('Vegetables', '时蔬', 20),
+  ('Soup & Pot', '汤锅', 30),
+  ('Cold Dishes', '凉菜', 40),
+  ('Sides', '小吃', 50),
+  ('Staples', '主食', 60),
+  ('Dessert', '点心', 70)
+ON CONFLICT (name_en) DO NOTHING;
+
+-- any other category already in use goes after these, alphabetically
+INSERT INTO menu_categories (name_en, sort_order)
+SELECT v.category, 100 + ROW_NUMBER() OVER (ORDER BY v.category)
+FROM (
+  SELECT DISTINCT category FROM menu_items
+  WHERE category NOT IN (SELECT name_en FROM menu_categories)
+) v;
+
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS category_id INT NULL REFERENCES menu_categories(id);
+
+UPDATE menu_items mi
+SET category_id = c.id
+FROM menu_categories c
+WHERE c.name_en = mi.category;
+
+ALTER TABLE menu_items ALTER COLUMN category_id SET NOT NULL;
+ALTER TABLE menu_items DROP COLUMN IF EXISTS category;
+
+CREATE INDEX IF NOT EXISTS menu_items_category_idx ON menu_items(category_id);
+
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS description_en TEXT NULL,
+  ADD COLUMN IF NOT EXISTS description_cn TEXT NULL,
+  -- codes from ALLERGENS / DIETARY_TAGS in src/services/menu.js
+  ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}',
+  -- 0 = not spicy .. 3 = very spicy
+  ADD COLUMN IF NOT EXISTS chili_rating SMALLINT NOT NULL DEFAULT 0 CHECK (chili_rating BETWEEN 0 AND 3),
+  ADD COLUMN IF NOT EXISTS is_signature BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,4 @@
+ALTER TABLE menu_items
+  DROP COLUMN IF EXISTS stock_date,
+  DROP COLUMN IF EXISTS stock_remaining,
+  DROP COLUMN IF EXISTS daily_stock;
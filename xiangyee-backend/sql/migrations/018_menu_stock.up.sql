@@ -0,0 +1,10 @@
+-- MENU STOCK
+-- Optional daily stock for limited dishes. daily_stock is what the kitchen
+-- prepares each day (NULL = not counted); stock_remaining counts down as
+-- orders come in and is topped back up to daily_stock every morning.
+
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS daily_stock INT NULL CHECK (daily_stock >= 0),
+  ADD COLUMN IF NOT EXISTS stock_remaining INT NULL CHECK (stock_remaining >= 0),
+  -- business day stock_remaining belongs to (see STOCK_RESET_TIME)
+  ADD COLUMN IF NOT EXISTS stock_date DATE NULL;
@@ -0,0 +1,16 @@
+DROP INDEX IF EXISTS order_items_parent_idx;
+ALTER TABLE order_items DROP COLUMN IF EXISTS parent_order_item_id;
+
+DROP TABLE IF EXISTS menu_combo_items;
+
+ALTER TABLE menu_categories
+  DROP CONSTRAINT IF EXISTS menu_categories_available_range_chk,
+  DROP COLUMN IF EXISTS available_until,
+  DROP COLUMN IF EXISTS available_from;
+
+ALTER TABLE menu_items
+  DROP CONSTRAINT IF EXISTS menu_items_available_range_chk,
+  DROP COLUMN IF EXISTS available_until,
+  DROP COLUMN IF EXISTS available_from;
+
+DROP TABLE IF EXISTS menu_availability_windows;
@@ -0,0 +1,54 @@
+-- MENU WINDOWS, SPECIALS AND SET MEALS
+-- Dishes and categories can be limited to weekly time windows (lunch sets,
+-- dinner-only dishes, weekend specials) and to a date range (seasonal
+-- specials). A set meal is a menu item made of other menu items; orders
+-- list its components as zero-priced lines under it for the kitchen.
+
+CREATE TABLE IF NOT EXISTS menu_availability_windows (
+  id SERIAL PRIMARY KEY,
+  -- exactly one of the two: a window on a dish or on a whole category
+  menu_item_id INT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  category_id INT NULL REFERENCES menu_categories(id) ON DELETE CASCADE,
+  name VARCHAR(50) NULL, -- "Lunch", "Weekend"
+  -- 0 = Sunday .. 6 = Saturday, as in opening_hours
+  weekdays SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+  starts_at TIME NOT NULL,
+  ends_at TIME NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (num_nonnulls(menu_item_id, category_id) = 1),
+  CHECK (cardinality(weekdays) > 0 AND weekdays <@ '{0,1,2,3,4,5,6}'),
+  CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS menu_windows_item_idx ON menu_availability_windows(menu_item_id);
+CREATE INDEX IF NOT EXISTS menu_windows_category_idx ON menu_availability_windows(category_id);
+
+-- date-ranged specials; either end may be open
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS available_from DATE NULL,
+  ADD COLUMN IF NOT EXISTS available_until DATE NULL,
+  ADD CONSTRAINT menu_items_available_range_chk CHECK (available_from <= available_until);
+
+ALTER TABLE menu_categories
+  ADD COLUMN IF NOT EXISTS available_from DATE NULL,
+  ADD COLUMN IF NOT EXISTS available_until DATE NULL,
+  ADD CONSTRAINT menu_categories_available_range_chk CHECK (available_from <= available_until);
+
+-- components of a set meal; the set's own menu_items.price is the bundle price
+CREATE TABLE IF NOT EXISTS menu_combo_items (
+  id SERIAL PRIMARY KEY,
+  combo_item_id INT NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  component_item_id INT NOT NULL REFERENCES menu_items(id),
+  quantity INT NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+  sort_order INT NOT NULL DEFAULT 0,
+  UNIQUE (combo_item_id, component_item_id),
+  CHECK (combo_item_id <> component_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS menu_combo_component_idx ON menu_combo_items(component_item_id);
+
+-- component lines point at the set meal line they belong to
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS parent_order_item_id INT NULL REFERENCES order_items(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS order_items_parent_idx ON order_items(parent_order_item_id);
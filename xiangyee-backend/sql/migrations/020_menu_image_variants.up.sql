@@ -0,0 +1,6 @@
+-- MENU IMAGE VARIANTS
+-- Uploaded dish photos are stored as a resized image (image_url) and a small
+-- thumbnail for menu cards. Hand-copied images keep only image_url.
+
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS image_thumb_url TEXT NULL;
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS menu_price_history;
+
+ALTER TABLE order_items
+  DROP COLUMN IF EXISTS menu_price,
+  DROP COLUMN IF EXISTS category_cn,
+  DROP COLUMN IF EXISTS category,
+  DROP COLUMN IF EXISTS name_cn,
+  DROP COLUMN IF EXISTS name_en;
@@ -0,0 +1,55 @@
+-- ORDER LINE SNAPSHOTS AND MENU PRICE HISTORY
+-- Order lines keep the dish name, category and menu price as they were when
+-- the order was placed, so renaming or repricing a dish leaves past orders
+-- and receipts alone. Price and availability changes made from the dashboard
+-- are logged per dish.
+
+ALTER TABLE order_items
+  ADD COLUMN IF NOT EXISTS name_en VARCHAR(150) NULL,
+  ADD COLUMN IF NOT EXISTS name_cn VARCHAR(100) NULL,
+  ADD COLUMN IF NOT EXISTS category VARCHAR(50) NULL,
+  ADD COLUMN IF NOT EXISTS category_cn VARCHAR(50) NULL,
+  -- the dish's own menu price; unit_price is what was charged, options included
+  ADD COLUMN IF NOT EXISTS menu_price NUMERIC(10,2) NULL;
+
+-- existing lines: names as they are now; the menu price is what was charged
+-- less the options picked (set meal components were never charged)
+UPDATE order_items oi
+SET
+  name_en = mi.name_en,
+  name_cn = mi.name_cn,
+  category = c.name_en,
+  category_cn = c.name_cn,
+  menu_price = CASE
+    WHEN oi.parent_order_item_id IS NULL THEN oi.unit_price - COALESCE((
+      SELECT SUM(oim.price_delta) FROM order_item_modifiers oim WHERE oim.order_item_id = oi.id
+    ), 0)
+    ELSE mi.price
+  END
+FROM menu_items mi
+JOIN menu_categories c ON c.id = mi.category_id
+WHERE mi.id = oi.menu_item_id;
+
+ALTER TABLE order_items
+  ALTER COLUMN name_en SET NOT NULL,
+  ALTER COLUMN name_cn SET NOT NULL,
+  ALTER COLUMN menu_price SET NOT NULL;
+
+CREATE TABLE IF NOT EXISTS menu_price_history (
+  id SERIAL PRIMARY KEY,
+  menu_item_id INT NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  price NUMERIC(10,2) NOT NULL,
+  is_available BOOLEAN NOT NULL,
+  -- NULL on the first row of a dish
+  previous_price NUMERIC(10,2) NULL,
+  previous_is_available BOOLEAN NULL,
+  staff_user_id INT NULL,
+  staff_username VARCHAR(50) NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS menu_price_history_item_idx ON menu_price_history(menu_item_id, changed_at);
+
+-- history starts from the dishes as they are today
+INSERT INTO menu_price_history (menu_item_id, price, is_available)
+SELECT id, price, is_available FROM menu_items;
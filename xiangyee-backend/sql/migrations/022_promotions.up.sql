@@ -0,0 +1,57 @@
+-- PROMOTIONS
+-- Discounts managed from the dashboard. A promotion with a code applies when
+-- the customer enters it; one without a code applies on its own to every
+-- order that qualifies ("10% off takeaway before 12:00"). The discounts an
+-- order got are kept as lines on it, and total_amount is what is left to pay.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL, -- shown to the customer, e.g. "Early bird takeaway"
+  code VARCHAR(30) NULL, -- NULL for automatic discounts
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('percent','fixed')),
+  value NUMERIC(10,2) NOT NULL CHECK (value > 0), -- percent off, or dollars off
+  min_spend NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_spend >= 0),
+  order_type VARCHAR(20) NULL CHECK (order_type IN ('dine_in','takeaway')), -- NULL = both
+  -- only these dishes / categories count towards the discount; both empty = whole order
+  menu_item_ids INT[] NOT NULL DEFAULT '{}',
+  category_ids INT[] NOT NULL DEFAULT '{}',
+  valid_from DATE NULL,
+  valid_until DATE NULL,
+  -- daily hours, restaurant local time; 0 = Sunday .. 6 = Saturday
+  weekdays SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+  starts_at TIME NULL,
+  ends_at TIME NULL,
+  max_uses INT NULL CHECK (max_uses > 0), -- in total
+  max_uses_per_phone INT NULL CHECK (max_uses_per_phone > 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT promotions_percent_chk CHECK (kind <> 'percent' OR value <= 100),
+  CONSTRAINT promotions_valid_range_chk CHECK (valid_from <= valid_until),
+  CONSTRAINT promotions_weekdays_chk CHECK (cardinality(weekdays) > 0 AND weekdays <@ '{0,1,2,3,4,5,6}'),
+  CONSTRAINT promotions_hours_chk CHECK ((starts_at IS NULL) = (ends_at IS NULL) AND starts_at < ends_at)
+);
+
+-- codes are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS promotions_code_key ON promotions (upper(code)) WHERE code IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS order_discounts (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  promotion_id INT NULL REFERENCES promotions(id) ON DELETE SET NULL,
+  -- as the customer saw them, in case the promotion is edited later
+  code VARCHAR(30) NULL,
+  name VARCHAR(100) NOT NULL,
+  amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_discounts_order_idx ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS order_discounts_promotion_idx ON order_discounts(promotion_id);
+
+-- subtotal is the sum of the lines; total_amount = subtotal - discount
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS subtotal_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+UPDATE orders SET subtotal_amount = total_amount;
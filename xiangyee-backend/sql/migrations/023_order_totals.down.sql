@@ -0,0 +1,7 @@
+ALTER TABLE orders
+  DROP COLUMN IF EXISTS gst_inclusive,
+  DROP COLUMN IF EXISTS gst_rate,
+  DROP COLUMN IF EXISTS service_charge_rate,
+  DROP COLUMN IF EXISTS rounding_amount,
+  DROP COLUMN IF EXISTS gst_amount,
+  DROP COLUMN IF EXISTS service_charge_amount;
@@ -0,0 +1,19 @@
+-- ORDER TOTALS BREAKDOWN
+-- Orders keep the service charge, the GST in the total, cash rounding and the
+-- rates used, so a receipt can be reprinted exactly as charged:
+--   total_amount = subtotal_amount - discount_amount + service_charge_amount
+--                  (+ gst_amount when prices exclude GST) + rounding_amount
+
+ALTER TABLE orders
+  ADD COLUMN IF NOT EXISTS service_charge_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS gst_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS rounding_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS service_charge_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS gst_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS gst_inclusive BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- earlier orders had no service charge; menu prices included 9% GST
+UPDATE orders
+SET
+  gst_rate = 9,
+  gst_amount = ROUND(total_amount * 9 / 109, 2);
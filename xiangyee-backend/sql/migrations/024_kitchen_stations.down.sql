@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS order_items_kitchen_idx;
+
+ALTER TABLE order_items
+  DROP COLUMN IF EXISTS done_at,
+  DROP COLUMN IF EXISTS cooking_started_at,
+  DROP COLUMN IF EXISTS kitchen_status,
+  DROP COLUMN IF EXISTS station_id;
+
+ALTER TABLE menu_items DROP COLUMN IF EXISTS station_id;
+
+DROP TABLE IF EXISTS kitchen_stations;
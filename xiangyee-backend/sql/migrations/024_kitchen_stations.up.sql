@@ -0,0 +1,67 @@
+-- KITCHEN STATIONS AND LINE STATUSES
+-- Dishes are cooked at a station (wok, steamer, ...). Each order line keeps
+-- the station it was sent to and moves queued -> cooking -> done on the
+-- kitchen display, with the time each step happened. When every line of a
+-- pending order is done the order becomes ready.
+
+CREATE TABLE IF NOT EXISTS kitchen_stations (
+  id SERIAL PRIMARY KEY,
+  -- used in ?station= on the kitchen feed
+  code VARCHAR(30) NOT NULL UNIQUE,
+  name_en VARCHAR(50) NOT NULL,
+  name_cn VARCHAR(50) NULL,
+  sort_order INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO kitchen_stations (code, name_en, name_cn, sort_order) VALUES
+  ('wok', 'Wok', '炒锅', 10),
+  ('steamer', 'Steamer', '蒸柜', 20),
+  ('cold', 'Cold Dishes', '凉菜', 30),
+  ('dim_sum', 'Dim Sum', '点心', 40)
+ON CONFLICT (code) DO NOTHING;
+
+-- NULL: not sent to a station; only the all-stations view shows it
+ALTER TABLE menu_items
+  ADD COLUMN IF NOT EXISTS station_id INT NULL REFERENCES kitchen_stations(id) ON DELETE SET NULL;
+
+-- existing dishes go where their category is usually cooked
+UPDATE menu_items mi
+SET station_id = s.id
+FROM menu_categories c, kitchen_stations s
+WHERE c.id = mi.category_id
+  AND mi.station_id IS NULL
+  AND s.code = CASE c.name_en
+    WHEN 'Main Dishes' THEN 'wok'
+    WHEN 'Vegetables' THEN 'wok'
+    WHEN 'Sides' THEN 'wok'
+    WHEN 'Soup & Pot' THEN 'steamer'
+    WHEN 'Staples' THEN 'steamer'
+    WHEN 'Cold Dishes' THEN 'cold'
+    WHEN 'Dessert' THEN 'dim_sum'
+  END;
+
+ALTER TABLE order_items
+  -- the dish's station when the order was placed
+  ADD COLUMN IF NOT EXISTS station_id INT NULL REFERENCES kitchen_stations(id) ON DELETE SET NULL,
+  -- a set meal line follows the lines of its dishes
+  ADD COLUMN IF NOT EXISTS kitchen_status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (kitchen_status IN ('queued','cooking','done')),
+  ADD COLUMN IF NOT EXISTS cooking_started_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS done_at TIMESTAMPTZ NULL;
+
+UPDATE order_items oi
+SET station_id = mi.station_id
+FROM menu_items mi
+WHERE mi.id = oi.menu_item_id;
+
+-- orders already past the kitchen have nothing left to cook
+UPDATE order_items oi
+SET kitchen_status = 'done', done_at = o.updated_at
+FROM orders o
+WHERE o.id = oi.order_id
+  AND o.status <> 'pending';
+
+CREATE INDEX IF NOT EXISTS order_items_kitchen_idx ON order_items(station_id, kitchen_status);
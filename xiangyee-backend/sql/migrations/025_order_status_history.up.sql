@@ -0,0 +1,33 @@
+-- ORDER STATUS HISTORY
+-- Every status change of an order is logged with who made it, so receipts
+-- and the tracking page can show a timeline. Which changes are allowed is
+-- decided in src/services/orderStatus.js:
+--   pending -> confirmed -> preparing -> ready -> collected -> completed
+-- with cancellation (and a reason) possible until the order is collected.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT NULL;
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id SERIAL PRIMARY KEY,
+  order_id INT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  -- NULL on the row for the order being placed
+  from_status VARCHAR(20) NULL,
+  to_status VARCHAR(20) NOT NULL,
+  -- customer, staff (dashboard) or kitchen (moved by the kitchen display);
+  -- NULL for changes made before history was kept
+  source VARCHAR(20) NULL CHECK (source IN ('customer','staff','kitchen')),
+  reason TEXT NULL,
+  staff_user_id INT NULL,
+  staff_username VARCHAR(50) NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS order_status_history_order_idx ON order_status_history(order_id, created_at);
+
+-- existing orders: placed when created, then their current status as of the
+-- last update
+INSERT INTO order_status_history (order_id, from_status, to_status, source, created_at)
+SELECT id, NULL, 'pending', 'customer', created_at FROM orders;
+
+INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+SELECT id, 'pending', status, updated_at FROM orders WHERE status <> 'pending';
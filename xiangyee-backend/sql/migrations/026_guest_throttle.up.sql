@@ -0,0 +1,13 @@
+-- GUEST THROTTLING
+-- Running failure count per confirmation or waitlist code and per IP for the
+-- public self-service endpoints, which are checked with a code and a phone
+-- number. Works like login_throttle.
+
+CREATE TABLE IF NOT EXISTS guest_throttle (
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('code','ip')),
+  key VARCHAR(100) NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ NULL,
+  PRIMARY KEY (kind, key)
+);
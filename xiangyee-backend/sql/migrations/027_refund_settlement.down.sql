@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS refunds_pending_void_idx;
+
+-- without a status every row reads as a refund that was made
+DELETE FROM refunds WHERE status <> 'success';
+
+ALTER TABLE refunds
+  DROP COLUMN IF EXISTS settled_at,
+  DROP COLUMN IF EXISTS failure_reason,
+  DROP COLUMN IF EXISTS status;
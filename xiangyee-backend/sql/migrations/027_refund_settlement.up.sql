@@ -0,0 +1,19 @@
+-- REFUND SETTLEMENT
+-- A refund or void is written as 'pending' and committed before the provider
+-- is asked to make it, then settled from the provider's answer. The amount
+-- stays reserved while it is pending, so a refund the provider may already
+-- have made is never lost to a rollback or refunded twice.
+
+ALTER TABLE refunds
+  ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'success'
+    CHECK (status IN ('pending','success','failed')),
+  ADD COLUMN IF NOT EXISTS failure_reason TEXT NULL,
+  ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ NULL;
+
+-- refunds recorded before this migration were settled when written
+UPDATE refunds SET settled_at = created_at WHERE settled_at IS NULL;
+
+-- at most one void in flight per payment
+CREATE UNIQUE INDEX IF NOT EXISTS refunds_pending_void_idx
+  ON refunds(payment_id)
+  WHERE kind = 'void' AND status = 'pending';
@@ -0,0 +1,6 @@
+DELETE FROM guest_throttle WHERE kind = 'promo';
+
+ALTER TABLE guest_throttle DROP CONSTRAINT IF EXISTS guest_throttle_kind_check;
+ALTER TABLE guest_throttle
+  ADD CONSTRAINT guest_throttle_kind_check
+    CHECK (kind IN ('code','ip'));
@@ -0,0 +1,8 @@
+-- PROMO CODE THROTTLING
+-- Promo code lookups that find no code are counted per IP in guest_throttle,
+-- so codes cannot be found by trying one after another.
+
+ALTER TABLE guest_throttle DROP CONSTRAINT IF EXISTS guest_throttle_kind_check;
+ALTER TABLE guest_throttle
+  ADD CONSTRAINT guest_throttle_kind_check
+    CHECK (kind IN ('code','ip','promo'));
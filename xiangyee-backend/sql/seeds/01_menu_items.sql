@@ -0,0 +1,38 @@
+-- MENU ITEMS
+-- Safe to re-run: dishes are matched on name_en and never inserted twice,
+-- and prices edited from the admin dashboard are left alone.
+-- Categories come from migration 017. Allergens are left for the kitchen to
+-- fill in from the dashboard; only the obvious ones are set here.
+
+INSERT INTO menu_items (name_cn, name_en, price, category_id, chili_rating, dietary_tags, allergens, is_signature)
+SELECT v.name_cn, v.name_en, v.price, c.id, v.chili_rating, v.dietary_tags::text[], v.allergens::text[], v.is_signature
+FROM (VALUES
+  ('老姜炒鸡','Stir-Fried Chicken with Old Ginger',38.90,'Main Dishes',1,'{}','{}',FALSE),
+  ('酸辣椒炒鸡','Stir-Fried Chicken with Pickled Chili',38.90,'Main Dishes',2,'{}','{}',FALSE),
+  ('辣椒炒肉','Stir-Fried Pork with Chili Pepper',28.60,'Main Dishes',3,'{contains_pork}','{}',TRUE),
+  ('鲜炒黄牛肉','Stir-Fried Fresh Yellow Beef',34.80,'Main Dishes',2,'{contains_beef}','{}',FALSE),
+  ('豆芽炒牛肉','Stir-Fried Beef with Bean Sprouts',32.80,'Main Dishes',1,'{contains_beef}','{}',FALSE),
+  ('大蒜叶炒腊牛肉','Stir-Fried Cured Beef with Garlic Sprouts',41.60,'Main Dishes',2,'{contains_beef}','{}',FALSE),
+  ('四季豆炒油渣','Stir-Fried String Beans with Pork Cracklings',19.90,'Vegetables',1,'{contains_pork}','{}',FALSE),
+  ('高山笋丝','Mountain Bamboo Shoots',29.60,'Vegetables',1,'{}','{}',FALSE),
+  ('杂菌锅','Mixed Mushroom Pot',28.60,'Soup & Pot',0,'{}','{}',FALSE),
+  ('甜笋炒腊肉','Stir-Fried Bamboo Shoots with Cured Pork',36.60,'Main Dishes',1,'{contains_pork}','{}',FALSE),
+  ('香芹炒香干','Stir-Fried Celery with Dried Tofu',22.00,'Vegetables',1,'{vegetarian}','{soy}',FALSE),
+  ('爆炒牛蛙','Stir-Fried Frog with Chili',42.80,'Main Dishes',3,'{}','{}',FALSE),
+  ('全家福','Meat Hotchpotch',47.80,'Main Dishes',1,'{contains_pork}','{}',FALSE),
+  ('臭豆腐','Fermented Beancurd',12.00,'Sides',1,'{}','{soy}',FALSE),
+  ('青椒煎茄子','Panfried Eggplant with Green Chili',19.60,'Vegetables',2,'{vegetarian}','{}',FALSE),
+  ('老卤三合一','Three Combination Marinated Platter',24.60,'Cold Dishes',1,'{}','{}',FALSE),
+  ('老手艺手工扣肉','Traditional Handmade Braised Pork Belly',41.30,'Main Dishes',0,'{contains_pork}','{}',TRUE),
+  ('烧辣椒茄子擂皮蛋','Mashed Eggplant Chili with Century Egg',17.90,'Vegetables',2,'{vegetarian}','{egg}',FALSE),
+  ('嫩海带肉丸汤','Tender Kelp Meatball Soup',28.30,'Soup & Pot',0,'{contains_pork}','{}',FALSE),
+  ('腊味合蒸','Steamed Assorted Cured Meats',42.60,'Main Dishes',1,'{contains_pork}','{}',TRUE),
+  ('寒菌焖肉','Stewed Pork with Wild Mushrooms',58.00,'Main Dishes',1,'{contains_pork}','{}',FALSE),
+  ('五常大米碗','Rice Bowl',2.50,'Staples',0,'{vegetarian,vegan}','{}',FALSE),
+  ('手工糖卷','Handmade Sweet Rolls',2.50,'Dessert',0,'{vegetarian}','{gluten}',FALSE),
+  ('手工猪肉烧卖','Handmade Pork Siu Mai',2.50,'Dessert',0,'{contains_pork}','{gluten}',FALSE)
+) AS v(name_cn, name_en, price, category, chili_rating, dietary_tags, allergens, is_signature)
+JOIN menu_categories c ON c.name_en = v.category
+WHERE NOT EXISTS (
+  SELECT 1 FROM menu_items mi WHERE mi.name_en = v.name_en
+);
@@ -0,0 +1,19 @@
+-- TABLES
+-- Safe to re-run: tables are matched on table_no, and anything edited from
+-- the admin dashboard is left alone.
+
+INSERT INTO tables (table_no, floor, seats, combine_group, sort_order)
+VALUES
+  -- 1st floor
+  ('101', 1, 2, NULL, 1),
+  ('102', 1, 2, NULL, 2),
+  ('103', 1, 4, '1A', 3),
+  ('104', 1, 4, '1A', 4),
+  ('105', 1, 4, '1A', 5),
+  ('106', 1, 6, NULL, 6),
+  -- 2nd floor
+  ('201', 2, 4, '2A', 1),
+  ('202', 2, 4, '2A', 2),
+  ('203', 2, 6, '2B', 3),
+  ('204', 2, 6, '2B', 4)
+ON CONFLICT (table_no) DO NOTHING;
@@ -0,0 +1,41 @@
+-- MENU MODIFIERS
+-- Safe to re-run: groups are matched on (dish, name_en) and options on
+-- (group, name_en); anything edited from the admin dashboard is left alone.
+
+-- every main dish: spice level (required, defaults to regular) and portion
+INSERT INTO modifier_groups (menu_item_id, name_en, name_cn, selection, is_required, sort_order)
+SELECT mi.id, g.name_en, g.name_cn, 'single', TRUE, g.sort_order
+FROM menu_items mi
+JOIN menu_categories c ON c.id = mi.category_id
+CROSS JOIN (VALUES
+  ('Spice level', '辣度', 1),
+  ('Portion', '份量', 2)
+) AS g(name_en, name_cn, sort_order)
+WHERE c.name_en = 'Main Dishes'
+ON CONFLICT (menu_item_id, name_en) DO NOTHING;
+
+-- paid extras for mains and vegetables
+INSERT INTO modifier_groups (menu_item_id, name_en, name_cn, selection, is_required, max_select, sort_order)
+SELECT mi.id, 'Add-ons', '加料', 'multi', FALSE, 3, 3
+FROM menu_items mi
+JOIN menu_categories c ON c.id = mi.category_id
+WHERE c.name_en IN ('Main Dishes', 'Vegetables')
+ON CONFLICT (menu_item_id, name_en) DO NOTHING;
+
+INSERT INTO modifier_options (group_id, name_en, name_cn, price_delta, is_default, sort_order)
+SELECT mg.id, o.name_en, o.name_cn, o.price_delta, o.is_default, o.sort_order
+FROM modifier_groups mg
+JOIN (VALUES
+  ('Spice level', 'Not spicy', '不辣', 0.00, FALSE, 1),
+  ('Spice level', 'Less spicy', '微辣', 0.00, FALSE, 2),
+  ('Spice level', 'Regular', '正常辣', 0.00, TRUE, 3),
+  ('Spice level', 'Extra spicy', '特辣', 0.00, FALSE, 4),
+  ('Portion', 'Small', '小份', -6.00, FALSE, 1),
+  ('Portion', 'Regular', '正常', 0.00, TRUE, 2),
+  ('Portion', 'Large', '大份', 10.00, FALSE, 3),
+  ('Add-ons', 'Extra rice', '加饭', 2.50, FALSE, 1),
+  ('Add-ons', 'Extra chili', '加辣椒', 1.00, FALSE, 2),
+  ('Add-ons', 'Fried egg', '煎蛋', 1.50, FALSE, 3)
+) AS o(group_name, name_en, name_cn, price_delta, is_default, sort_order)
+  ON o.group_name = mg.name_en
+ON CONFLICT (group_id, name_en) DO NOTHING;
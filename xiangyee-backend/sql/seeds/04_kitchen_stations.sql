@@ -0,0 +1,18 @@
+-- KITCHEN STATIONS
+-- Safe to re-run: stations come from migration 024, and only dishes with no
+-- station yet are given the usual one for their category.
+
+UPDATE menu_items mi
+SET station_id = s.id
+FROM menu_categories c, kitchen_stations s
+WHERE c.id = mi.category_id
+  AND mi.station_id IS NULL
+  AND s.code = CASE c.name_en
+    WHEN 'Main Dishes' THEN 'wok'
+    WHEN 'Vegetables' THEN 'wok'
+    WHEN 'Sides' THEN 'wok'
+    WHEN 'Soup & Pot' THEN 'steamer'
+    WHEN 'Staples' THEN 'steamer'
+    WHEN 'Cold Dishes' THEN 'cold'
+    WHEN 'Dessert' THEN 'dim_sum'
+  END;
@@ -8,22 +8,57 @@ const menuRoutes = require("./routes/menu.routes");
 const orderRoutes = require("./routes/orders.routes");
 const reservationRoutes = require("./routes/reservations.routes");
 const authRoutes = require("./routes/auth.routes");
+const staffRoutes = require("./routes/staff.routes");
+const tableRoutes = require("./routes/tables.routes");
+const hoursRoutes = require("./routes/hours.routes");
+const waitlistRoutes = require("./routes/waitlist.routes");
+const customerRoutes = require("./routes/customers.routes");
+const promotionRoutes = require("./routes/promotions.routes");
+const kitchenRoutes = require("./routes/kitchen.routes");
+const { startWaitlistSweeper } = require("./services/waitlist");
+const { startEmailWorker } = require("./services/email");
+const { startReminderScheduler } = require("./services/reminders");
+const { startStockScheduler } = require("./services/stock");
+const { UPLOAD_DIR } = require("./services/menuImages");
 const instagramRoute = require("./routes/instagram");
 const paymentRoute = require("./routes/payments");
 
 const app = express();
 
+// behind a proxy (e.g. Render) req.ip must come from X-Forwarded-For, or every
+// login attempt looks like it came from the proxy. TRUST_PROXY=1 for one hop.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(cors());
-app.use(express.json());
+// keep the raw body around for payment webhook signature checks
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Serve frontend from /public 
 app.use(express.static(path.join(__dirname, "../public")));
+// dish photos uploaded from the dashboard
+app.use("/uploads", express.static(UPLOAD_DIR));
 
 // API routes
 app.use("/api/menu", menuRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/reservations", reservationRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/staff", staffRoutes);
+app.use("/api/tables", tableRoutes);
+app.use("/api/hours", hoursRoutes);
+app.use("/api/waitlist", waitlistRoutes);
+app.use("/api/customers", customerRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/kitchen", kitchenRoutes);
 app.use("/api/instagram", instagramRoute);
 app.use("/api/payments", paymentRoute);
 
@@ -32,6 +67,15 @@ app.get("/health", (req, res) => {
   res.send("Backend running");
 });
 
+// lapsed waitlist offers go to the next guest even when nothing else happens
+startWaitlistSweeper();
+// sends queued email_outbox rows (needs SMTP_HOST)
+startEmailWorker();
+// reminder emails before bookings, no_show after the grace period
+startReminderScheduler();
+// refills daily stock of limited dishes at STOCK_RESET_TIME
+startStockScheduler();
+
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () =>
   console.log(`Server running on http://localhost:${PORT}`)
@@ -1,24 +1,70 @@
-const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+const { hasPermission } = require("../services/permissions");
+const { verifyToken } = require("../services/sessions");
 
-function requireAuth(req, res, next) {
+// Token alone is not enough: the account may have been disabled or re-roled,
+// or the session signed out, since it was issued.
+async function loadActiveUser(id, sessionId) {
+  const r = await pool.query(
+    `
+    SELECT u.id, u.username, u.role, u.is_active, u.must_change_password, s.revoked_at
+    FROM staff_users u
+    JOIN staff_sessions s ON s.staff_user_id = u.id
+    WHERE u.id = $1
+      AND s.id = $2
+    `,
+    [id, sessionId]
+  );
+  const user = r.rows?.[0];
+  if (!user || !user.is_active || user.revoked_at) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    must_change_password: user.must_change_password,
+    sid: sessionId,
+  };
+}
+
+// all a user with a temporary password may do until they replace it
+const PASSWORD_CHANGE_PATHS = ["/api/auth/me", "/api/auth/change-password"];
+
+async function requireAuth(req, res, next) {
   const header = req.headers.authorization || "";
   const token = header.startsWith("Bearer ") ? header.slice(7) : null;
 
   if (!token) return res.status(401).json({ message: "No token" });
 
+  let payload;
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = payload; // { id, username, role }
-    next();
+    payload = verifyToken(token, "access");
   } catch {
     return res.status(401).json({ message: "Invalid token" });
   }
+
+  try {
+    const user = await loadActiveUser(payload.id, payload.sid);
+    if (!user) return res.status(401).json({ message: "Session revoked" });
+
+    if (user.must_change_password && !PASSWORD_CHANGE_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({ message: "Password change required", must_change_password: true });
+    }
+
+    req.user = user; // { id, username, role, must_change_password, sid }
+    next();
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 }
 
-function requireAdmin(req, res, next) {
-  if (req.user?.role !== "admin")
-    return res.status(403).json({ message: "Admin only" });
-  next();
+// Use after requireAuth. With several permissions the caller needs all of them.
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const missing = permissions.filter((p) => !hasPermission(req.user?.role, p));
+    if (missing.length)
+      return res.status(403).json({ message: "Forbidden", missing });
+    next();
+  };
 }
 
-module.exports = { requireAuth, requireAdmin };
+module.exports = { requireAuth, requirePermission, loadActiveUser };
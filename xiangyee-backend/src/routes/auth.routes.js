@@ -1,7 +1,24 @@
 const express = require("express");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
+const { z } = require("zod");
 const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { PASSWORD_MIN, hashPassword } = require("../services/staff");
+const { permissionsFor } = require("../services/permissions");
+const {
+  reserveLogin,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+} = require("../services/loginGuard");
+const {
+  STREAM_TOKEN_TTL,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  signStreamToken,
+} = require("../services/sessions");
 
 const router = express.Router();
 
@@ -13,28 +30,160 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ message: "username & password required" });
     }
 
+    const attempt = {
+      username: String(username),
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+
+    // backoff / lockout is decided, and the attempt counted, before the
+    // password is even looked at
+    const guard = await reserveLogin(username, req.ip);
+    if (!guard.allowed) {
+      await recordAttempt({ ...attempt, success: false, reason: guard.reason });
+      res.setHeader("Retry-After", String(guard.retry_after));
+      return res.status(guard.status).json({
+        message: guard.message,
+        retry_after: guard.retry_after,
+      });
+    }
+
     const r = await pool.query(
       `SELECT * FROM staff_users WHERE username = $1 LIMIT 1`,
       [username]
     );
 
     const user = r.rows?.[0];
-    if (!user) return res.status(401).json({ message: "Invalid login" });
+    if (!user) {
+      await recordFailure({ ...attempt, reason: "unknown_user" });
+      return res.status(401).json({ message: "Invalid login" });
+    }
 
     const ok = await bcrypt.compare(password, user.password_hash);
-    if (!ok) return res.status(401).json({ message: "Invalid login" });
+    if (!ok) {
+      await recordFailure({ ...attempt, userId: user.id, reason: "bad_password" });
+      return res.status(401).json({ message: "Invalid login" });
+    }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "8h" }
-    );
+    // checked after the password so disabled usernames cannot be probed
+    if (!user.is_active) {
+      await recordFailure({ ...attempt, userId: user.id, reason: "disabled" });
+      return res.status(403).json({ message: "Account disabled" });
+    }
+
+    await recordSuccess({ ...attempt, userId: user.id });
+
+    const tokens = await createSession(user, attempt);
 
-    res.json({ token, role: user.role });
+    res.json({
+      ...tokens,
+      role: user.role,
+      permissions: permissionsFor(user.role),
+      must_change_password: user.must_change_password,
+    });
   } catch (e) {
     console.error("login error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
+// POST /api/auth/refresh (swap a refresh token for a new access + refresh pair)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) return res.status(400).json({ message: "refresh_token required" });
+
+    const tokens = await rotateSession(String(refresh_token));
+    if (!tokens) return res.status(401).json({ message: "Invalid refresh token" });
+
+    res.json(tokens);
+  } catch (e) {
+    console.error("refresh error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/auth/logout (ends this device's session; the refresh token is enough)
+router.post("/logout", async (req, res) => {
+  try {
+    const { refresh_token } = req.body || {};
+    if (!refresh_token) return res.status(400).json({ message: "refresh_token required" });
+
+    await revokeSessionByRefreshToken(String(refresh_token), "logout");
+    res.json({ message: "Logged out" });
+  } catch (e) {
+    console.error("logout error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/auth/stream-token (single-purpose token for GET /api/orders/stream)
+router.post(
+  "/stream-token",
+  requireAuth,
+  requirePermission("orders:view"),
+  (req, res) => {
+    res.json({
+      stream_token: signStreamToken(req.user, req.user.sid),
+      expires_in: STREAM_TOKEN_TTL,
+    });
+  }
+);
+
+// GET /api/auth/me (lets the dashboard hide actions the caller cannot take)
+router.get("/me", requireAuth, (req, res) => {
+  const { sid, ...user } = req.user;
+  res.json({ ...user, permissions: permissionsFor(user.role) });
+});
+
+const ChangePasswordSchema = z.object({
+  current_password: z.string().min(1),
+  new_password: z.string().min(PASSWORD_MIN),
+});
+
+// POST /api/auth/change-password (any signed-in staff, own account)
+router.post("/change-password", requireAuth, async (req, res) => {
+  const parsed = ChangePasswordSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { current_password, new_password } = parsed.data;
+
+    const r = await pool.query(
+      `SELECT password_hash FROM staff_users WHERE id = $1`,
+      [req.user.id]
+    );
+    const user = r.rows?.[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const ok = await bcrypt.compare(current_password, user.password_hash);
+    if (!ok) return res.status(400).json({ error: "Current password is incorrect" });
+
+    if (current_password === new_password) {
+      return res.status(400).json({ error: "New password must be different" });
+    }
+
+    await pool.query(
+      `
+      UPDATE staff_users
+      SET
+        password_hash = $1,
+        must_change_password = FALSE,
+        password_changed_at = NOW(),
+        updated_at = NOW()
+      WHERE id = $2
+      `,
+      [await hashPassword(new_password), req.user.id]
+    );
+
+    // other devices signed in with the old password are signed out
+    await revokeUserSessions(req.user.id, "password_changed", req.user.sid);
+
+    return res.json({ message: "Password changed" });
+  } catch (e) {
+    console.error("change-password error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
 module.exports = router;
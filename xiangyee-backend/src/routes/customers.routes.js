@@ -0,0 +1,228 @@
+const express = require("express");
+const { z } = require("zod");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { normalizePhone, CUSTOMER_COLUMNS } = require("../services/customers");
+const { orderBreakdownColumn } = require("../services/money");
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const ListQuery = z.object({
+  q: z.string().trim().min(1).optional(), // name, phone or email
+  vip: z.enum(["true", "false"]).optional(),
+  blocklisted: z.enum(["true", "false"]).optional(),
+});
+
+// staff edit the notes; phone is the identity and stays fixed
+const UpdateCustomerSchema = z
+  .object({
+    name: z.string().trim().min(1).max(100),
+    email: z.string().trim().email().max(254).nullable(),
+    is_vip: z.boolean(),
+    is_blocklisted: z.boolean(),
+    blocklist_reason: z.string().trim().max(500).nullable(),
+    allergies: z.string().trim().max(1000).nullable(),
+    notes: z.string().trim().max(2000).nullable(),
+  })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "Nothing to update" });
+
+// visit counts and spend; spend is what was actually paid, less refunds
+const STATS_COLUMNS = `
+  (SELECT COUNT(*)::int FROM orders o WHERE o.customer_id = customers.id) AS order_count,
+  (
+    SELECT COALESCE(SUM(o.amount_paid_cents - o.amount_refunded_cents), 0)::int
+    FROM orders o
+    WHERE o.customer_id = customers.id
+  ) AS total_spend_cents,
+  (SELECT COUNT(*)::int FROM reservations r WHERE r.customer_id = customers.id) AS reservation_count,
+  (
+    SELECT COUNT(*)::int
+    FROM reservations r
+    WHERE r.customer_id = customers.id AND r.status = 'no_show'
+  ) AS no_shows
+`;
+
+function parseId(req) {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// GET /api/customers?q=&vip=&blocklisted=
+router.get("/", requirePermission("customers:view"), async (req, res) => {
+  const parsed = ListQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { q, vip, blocklisted } = parsed.data;
+
+    // a typed phone number matches however it was formatted
+    const phone = q ? normalizePhone(q) : null;
+
+    const r = await pool.query(
+      `
+      SELECT ${CUSTOMER_COLUMNS}, ${STATS_COLUMNS}
+      FROM customers
+      WHERE ($1::text IS NULL
+             OR phone_e164 = $2
+             OR name ILIKE '%' || $1 || '%'
+             OR email ILIKE '%' || $1 || '%'
+             OR phone_e164 LIKE '%' || $1 || '%')
+        AND ($3::boolean IS NULL OR is_vip = $3)
+        AND ($4::boolean IS NULL OR is_blocklisted = $4)
+      ORDER BY last_seen_at DESC NULLS LAST, id DESC
+      LIMIT 100
+      `,
+      [
+        q ?? null,
+        phone,
+        vip === undefined ? null : vip === "true",
+        blocklisted === undefined ? null : blocklisted === "true",
+      ]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /customers error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/customers/:id
+router.get("/:id(\\d+)", requirePermission("customers:view"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${CUSTOMER_COLUMNS}, ${STATS_COLUMNS} FROM customers WHERE id = $1`,
+      [parseId(req)]
+    );
+    if (!r.rowCount) return res.status(404).json({ error: "Customer not found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    console.error("GET /customers/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/customers/:id/orders
+router.get("/:id(\\d+)/orders", requirePermission("customers:view"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT
+        o.id,
+        o.order_no,
+        o.order_type,
+        o.status,
+        o.total_amount,
+        ${orderBreakdownColumn("o")} AS breakdown,
+        o.payment_status,
+        o.amount_paid_cents,
+        o.amount_refunded_cents,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'name_en', oi.name_en,
+            'quantity', oi.quantity,
+            'line_total', oi.line_total
+          ) ORDER BY oi.id)
+          FROM order_items oi
+          WHERE oi.order_id = o.id
+        ), '[]'::json) AS items,
+        o.created_at
+      FROM orders o
+      WHERE o.customer_id = $1
+      ORDER BY o.created_at DESC, o.id DESC
+      `,
+      [parseId(req)]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /customers/:id/orders error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/customers/:id/reservations
+router.get("/:id(\\d+)/reservations", requirePermission("customers:view"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT
+        id,
+        confirmation_code,
+        to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
+        to_char(reservation_time, 'HH24:MI') AS reservation_time,
+        pax,
+        notes,
+        status,
+        guest_confirmed_at,
+        no_show_at,
+        cancelled_at,
+        created_at
+      FROM reservations
+      WHERE customer_id = $1
+      ORDER BY reservation_date DESC, reservation_time DESC, id DESC
+      `,
+      [parseId(req)]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /customers/:id/reservations error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/customers/:id
+// Lifting a blocklist also clears its reason unless a new one is given.
+router.patch("/:id(\\d+)", requirePermission("customers:manage"), async (req, res) => {
+  const parsed = UpdateCustomerSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const c = parsed.data;
+    const has = (k) => c[k] !== undefined;
+
+    const r = await pool.query(
+      `
+      UPDATE customers
+      SET
+        name = COALESCE($1, name),
+        email = CASE WHEN $2::boolean THEN $3 ELSE email END,
+        is_vip = COALESCE($4, is_vip),
+        is_blocklisted = COALESCE($5, is_blocklisted),
+        blocklist_reason = CASE
+          WHEN $6::boolean THEN $7
+          WHEN $5 = FALSE THEN NULL
+          ELSE blocklist_reason
+        END,
+        allergies = CASE WHEN $8::boolean THEN $9 ELSE allergies END,
+        notes = CASE WHEN $10::boolean THEN $11 ELSE notes END,
+        updated_at = NOW()
+      WHERE id = $12
+      RETURNING ${CUSTOMER_COLUMNS}
+      `,
+      [
+        c.name ?? null,
+        has("email"),
+        c.email || null,
+        c.is_vip ?? null,
+        c.is_blocklisted ?? null,
+        has("blocklist_reason"),
+        c.blocklist_reason || null,
+        has("allergies"),
+        c.allergies || null,
+        has("notes"),
+        c.notes || null,
+        parseId(req),
+      ]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "Customer not found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    console.error("PATCH /customers/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require("express");
+const { z } = require("zod");
+const { DATE, TIME } = require("../schemas");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { localNow, getWeeklyHours, getSchedule } = require("../services/hours");
+
+const router = express.Router();
+
+const PeriodSchema = z
+  .object({
+    name: z.string().trim().min(1).max(30),
+    opens_at: TIME,
+    closes_at: TIME,
+    last_booking_at: TIME.nullable().optional(),
+    last_order_at: TIME.nullable().optional(),
+  })
+  .refine((p) => p.closes_at > p.opens_at, { message: "closes_at must be after opens_at" })
+  .refine(
+    (p) => !p.last_booking_at || (p.last_booking_at >= p.opens_at && p.last_booking_at <= p.closes_at),
+    { message: "last_booking_at must be within opening hours" }
+  )
+  .refine(
+    (p) => !p.last_order_at || (p.last_order_at > p.opens_at && p.last_order_at <= p.closes_at),
+    { message: "last_order_at must be within opening hours" }
+  );
+
+const WeeklySchema = z.object({
+  // the whole week is replaced; a weekday with no periods is closed
+  periods: z.array(PeriodSchema.and(z.object({ weekday: z.number().int().min(0).max(6) }))),
+});
+
+const SpecialDateSchema = z
+  .object({
+    kind: z.enum(["public_holiday", "closure", "special_hours"]),
+    name: z.string().trim().max(100).nullable().optional(),
+    closed: z.boolean().default(true),
+    // replaces the weekly periods on this date; empty keeps the weekly ones
+    periods: z.array(PeriodSchema).default([]),
+  })
+  .refine((v) => !(v.closed && v.periods.length), {
+    message: "A closed date cannot have special hours",
+  });
+
+async function insertPeriods(client, table, keyColumn, rows) {
+  for (const p of rows) {
+    await client.query(
+      `
+      INSERT INTO ${table} (${keyColumn}, name, opens_at, closes_at, last_booking_at, last_order_at)
+      VALUES ($1, $2, $3::time, $4::time, $5::time, $6::time)
+      `,
+      [p.key, p.name, p.opens_at, p.closes_at, p.last_booking_at ?? null, p.last_order_at ?? null]
+    );
+  }
+}
+
+async function listSpecialDates(db, from) {
+  const r = await db.query(
+    `
+    SELECT
+      to_char(d.special_date, 'YYYY-MM-DD') AS special_date,
+      d.kind,
+      d.name,
+      d.closed,
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'name', h.name,
+          'opens_at', to_char(h.opens_at, 'HH24:MI'),
+          'closes_at', to_char(h.closes_at, 'HH24:MI'),
+          'last_booking_at', to_char(h.last_booking_at, 'HH24:MI'),
+          'last_order_at', to_char(h.last_order_at, 'HH24:MI')
+        ) ORDER BY h.opens_at)
+        FROM special_hours h
+        WHERE h.special_date = d.special_date
+      ), '[]'::json) AS periods
+    FROM special_dates d
+    WHERE d.special_date >= $1::date
+    ORDER BY d.special_date ASC
+    `,
+    [from]
+  );
+  return r.rows;
+}
+
+// PUBLIC: current hours for the website
+// GET /api/hours?days=7
+router.get("/", async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days || "7", 10) || 7, 1), 31);
+    return res.json(await getSchedule(pool, days));
+  } catch (e) {
+    console.error("GET /hours error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ADMIN: weekly hours + upcoming holidays / closures / special hours
+// GET /api/hours/admin
+router.get("/admin", requireAuth, requirePermission("hours:manage"), async (req, res) => {
+  try {
+    return res.json({
+      weekly: await getWeeklyHours(pool),
+      special_dates: await listSpecialDates(pool, localNow().date),
+    });
+  } catch (e) {
+    console.error("GET /hours/admin error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ADMIN: replace the weekly opening hours
+// PUT /api/hours/admin/weekly
+router.put("/admin/weekly", requireAuth, requirePermission("hours:manage"), async (req, res) => {
+  const parsed = WeeklySchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM opening_hours`);
+    await insertPeriods(
+      client,
+      "opening_hours",
+      "weekday",
+      parsed.data.periods.map((p) => ({ ...p, key: p.weekday }))
+    );
+    await client.query("COMMIT");
+
+    return res.json(await getWeeklyHours(pool));
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("PUT /hours/admin/weekly error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ADMIN: set a public holiday, closure or special hours for one date
+// PUT /api/hours/admin/dates/:date
+router.put(
+  "/admin/dates/:date",
+  requireAuth,
+  requirePermission("hours:manage"),
+  async (req, res) => {
+    const date = DATE.safeParse(req.params.date);
+    if (!date.success) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+    const parsed = SpecialDateSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    const { kind, name, closed, periods } = parsed.data;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `
+        INSERT INTO special_dates (special_date, kind, name, closed)
+        VALUES ($1::date, $2, $3, $4)
+        ON CONFLICT (special_date)
+        DO UPDATE SET kind = $2, name = $3, closed = $4, updated_at = NOW()
+        `,
+        [date.data, kind, name ?? null, closed]
+      );
+      await client.query(`DELETE FROM special_hours WHERE special_date = $1::date`, [date.data]);
+      await insertPeriods(
+        client,
+        "special_hours",
+        "special_date",
+        periods.map((p) => ({ ...p, key: date.data }))
+      );
+      await client.query("COMMIT");
+
+      const rows = await listSpecialDates(pool, date.data);
+      return res.json(rows[0]);
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error("PUT /hours/admin/dates/:date error:", e);
+      return res.status(500).json({ error: e.message });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ADMIN: back to the normal weekly hours on this date
+// DELETE /api/hours/admin/dates/:date
+router.delete(
+  "/admin/dates/:date",
+  requireAuth,
+  requirePermission("hours:manage"),
+  async (req, res) => {
+    const date = DATE.safeParse(req.params.date);
+    if (!date.success) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+
+    try {
+      const r = await pool.query(`DELETE FROM special_dates WHERE special_date = $1::date`, [
+        date.data,
+      ]);
+      if (!r.rowCount) return res.status(404).json({ error: "No special hours on that date" });
+      return res.json({ message: "deleted" });
+    } catch (e) {
+      console.error("DELETE /hours/admin/dates/:date error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+module.exports = router;
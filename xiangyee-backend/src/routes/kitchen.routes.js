@@ -0,0 +1,307 @@
+const express = require("express");
+const { z } = require("zod");
+const { DATE } = require("../schemas");
+const { pool } = require("../db");
+const { requireAuth, requirePermission, loadActiveUser } = require("../middleware/auth");
+const { hasPermission } = require("../services/permissions");
+const { verifyToken } = require("../services/sessions");
+const { localNow } = require("../services/hours");
+const { fetchPublicOrder } = require("../services/orders");
+const {
+  sseSend,
+  addKitchenClient,
+  removeKitchenClient,
+  broadcast,
+  sendToOrder,
+} = require("../services/realtime");
+const {
+  LINE_STATUSES,
+  STATION_COLUMNS,
+  findStation,
+  loadTickets,
+  setLineStatus,
+  advanceOrder,
+  lineTimings,
+  pushTicket,
+} = require("../services/kitchen");
+
+const router = express.Router();
+
+const StationFields = z.object({
+  code: z
+    .string()
+    .trim()
+    .min(2)
+    .max(30)
+    .regex(/^[a-z0-9_]+$/, "Lowercase letters, digits and _ only"),
+  name_en: z.string().trim().min(1).max(50),
+  name_cn: z.string().trim().max(50).nullable(),
+  sort_order: z.number().int(),
+  is_active: z.boolean(),
+});
+
+const CreateStationSchema = StationFields.extend({
+  name_cn: StationFields.shape.name_cn.optional(),
+  sort_order: StationFields.shape.sort_order.optional(), // defaults to after the last station
+  is_active: StationFields.shape.is_active.default(true),
+});
+
+const UpdateStationSchema = StationFields.partial().refine((v) => Object.keys(v).length > 0, {
+  message: "Nothing to update",
+});
+
+const StationQuery = z.object({
+  station: z.string().trim().min(1).optional(), // a station code; all stations when left out
+});
+
+const LineStatusSchema = z.object({
+  status: z.enum(LINE_STATUSES),
+});
+
+const TimingsQuery = StationQuery.extend({
+  from: DATE.optional(), // default today
+  until: DATE.optional(), // default from
+});
+
+// station code from the query, checked against kitchen_stations
+async function stationParam(query, res) {
+  const parsed = StationQuery.safeParse(query);
+  if (!parsed.success) {
+    res.status(400).json({ error: parsed.error.flatten() });
+    return undefined;
+  }
+  const { station } = parsed.data;
+  if (!station) return null;
+  if (!(await findStation(pool, station))) {
+    res.status(400).json({ error: `Unknown station '${station}'` });
+    return undefined;
+  }
+  return station;
+}
+
+/* =========================
+   KITCHEN: SSE TICKET FEED
+   GET /api/kitchen/stream?token=STREAM_TOKEN&station=wok
+========================= */
+router.get("/stream", async (req, res) => {
+  let user;
+  try {
+    const token = String(req.query.token || "");
+    if (!token) return res.status(401).json({ message: "No token" });
+
+    // short-lived stream token from POST /api/auth/stream-token
+    const payload = verifyToken(token, "stream");
+    user = await loadActiveUser(payload.id, payload.sid);
+  } catch (e) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+  if (!user) return res.status(401).json({ message: "Session revoked" });
+  if (!hasPermission(user.role, "orders:view")) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+
+  try {
+    const station = await stationParam({ station: req.query.station }, res);
+    if (station === undefined) return;
+
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders?.();
+
+    sseSend(res, "connected", { ok: true, station, at: Date.now() });
+
+    // what is on the pass now; "ticket" events follow as lines change
+    sseSend(res, "tickets", await loadTickets(pool, { station }));
+
+    addKitchenClient(res, { userId: user.id, sid: user.sid, station });
+
+    req.on("close", () => {
+      removeKitchenClient(res);
+    });
+  } catch (e) {
+    console.error("GET /kitchen/stream error:", e);
+    if (!res.headersSent) return res.status(500).json({ error: e.message });
+    res.end();
+  }
+});
+
+router.use(requireAuth);
+
+/* =========================
+   STATIONS
+========================= */
+
+// GET /api/kitchen/stations
+router.get("/stations", requirePermission("orders:view"), async (req, res) => {
+  try {
+    const r = await pool.query(`SELECT ${STATION_COLUMNS} FROM kitchen_stations ORDER BY sort_order, id`);
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /kitchen/stations error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/kitchen/stations
+router.post("/stations", requirePermission("menu:edit"), async (req, res) => {
+  const parsed = CreateStationSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const s = parsed.data;
+    const r = await pool.query(
+      `
+      INSERT INTO kitchen_stations (code, name_en, name_cn, sort_order, is_active)
+      VALUES (
+        $1,
+        $2,
+        $3,
+        COALESCE($4, (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM kitchen_stations)),
+        $5
+      )
+      RETURNING ${STATION_COLUMNS}
+      `,
+      [s.code, s.name_en, s.name_cn || null, s.sort_order ?? null, s.is_active]
+    );
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "A station with that code already exists" });
+    console.error("POST /kitchen/stations error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/kitchen/stations/:id
+// Dishes and order lines refer to stations, so stations are retired with
+// is_active rather than deleted.
+router.patch("/stations/:id(\\d+)", requirePermission("menu:edit"), async (req, res) => {
+  const parsed = UpdateStationSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const s = parsed.data;
+    const r = await pool.query(
+      `
+      UPDATE kitchen_stations
+      SET
+        code = COALESCE($1, code),
+        name_en = COALESCE($2, name_en),
+        name_cn = CASE WHEN $3::boolean THEN $4 ELSE name_cn END,
+        sort_order = COALESCE($5, sort_order),
+        is_active = COALESCE($6, is_active),
+        updated_at = NOW()
+      WHERE id = $7
+      RETURNING ${STATION_COLUMNS}
+      `,
+      [
+        s.code ?? null,
+        s.name_en ?? null,
+        s.name_cn !== undefined,
+        s.name_cn || null,
+        s.sort_order ?? null,
+        s.is_active ?? null,
+        Number(req.params.id),
+      ]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23505") return res.status(409).json({ error: "A station with that code already exists" });
+    console.error("PATCH /kitchen/stations/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   TICKETS
+========================= */
+
+// GET /api/kitchen/tickets?station=wok  (open orders with lines still to cook)
+router.get("/tickets", requirePermission("orders:view"), async (req, res) => {
+  try {
+    const station = await stationParam(req.query, res);
+    if (station === undefined) return;
+
+    return res.json(await loadTickets(pool, { station }));
+  } catch (e) {
+    console.error("GET /kitchen/tickets error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/kitchen/items/:id  { status: "queued" | "cooking" | "done" }
+// The order moves to preparing when its first line is started and to ready
+// when its last line is done.
+router.patch("/items/:id(\\d+)", requirePermission("orders:update_status"), async (req, res) => {
+  const parsed = LineStatusSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const client = await pool.connect();
+  let line;
+  let orderStatus;
+  try {
+    await client.query("BEGIN");
+
+    line = await setLineStatus(client, Number(req.params.id), parsed.data.status);
+    orderStatus = await advanceOrder(client, line.order_id, req.user);
+
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("PATCH /kitchen/items/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+
+  try {
+    const orderId = line.order_id;
+
+    if (orderStatus !== line.order_status) {
+      broadcast("orders_updated", {
+        action: "status_updated",
+        order_id: orderId,
+        status: orderStatus,
+        at: Date.now(),
+      });
+    }
+
+    // the customer's page follows each dish, and hears when the order is ready
+    const snapshot = await fetchPublicOrder(orderId);
+    if (snapshot) sendToOrder(orderId, snapshot);
+
+    const ticket = await pushTicket(orderId);
+    return res.json({ order_status: orderStatus, ticket });
+  } catch (e) {
+    console.error("PATCH /kitchen/items/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/kitchen/timings?from=YYYY-MM-DD&until=YYYY-MM-DD&station=wok
+router.get("/timings", requirePermission("orders:view"), async (req, res) => {
+  const parsed = TimingsQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const station = await stationParam({ station: parsed.data.station }, res);
+    if (station === undefined) return;
+
+    const from = parsed.data.from || localNow().date;
+    const until = parsed.data.until || from;
+    if (until < from) return res.status(400).json({ error: "until must not be before from" });
+
+    return res.json({ from, until, station, dishes: await lineTimings(pool, { from, until, station }) });
+  } catch (e) {
+    console.error("GET /kitchen/timings error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
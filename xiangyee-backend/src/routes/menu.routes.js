@@ -1,46 +1,284 @@
 const express = require("express");
+const { z } = require("zod");
+const { DATE, TIME } = require("../schemas");
+const multer = require("multer");
 const { pool } = require("../db");
-const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { modifierGroupsColumn, getMenuItemModifiers } = require("../services/modifiers");
+const {
+  ALLERGENS,
+  DIETARY_TAGS,
+  MAX_CHILI_RATING,
+  MENU_ITEM_COLUMNS,
+  CATEGORY_COLUMNS,
+  resolveCategoryId,
+  menuMoment,
+  momentParams,
+  orderableCondition,
+  windowsColumn,
+  comboComponentsColumn,
+  recordPriceChange,
+} = require("../services/menu");
+const { STOCK_COLUMNS, stockDate, broadcastStock } = require("../services/stock");
+const {
+  MENU_IMAGE_MAX_BYTES,
+  ACCEPTED_TYPES,
+  processMenuImage,
+  saveMenuImage,
+  removeMenuImageFiles,
+} = require("../services/menuImages");
 
 const router = express.Router();
 
-router.get("/", async (req, res) => {
-  try {
-    const { category } = req.query;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MENU_IMAGE_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ACCEPTED_TYPES[file.mimetype]) return cb(null, true);
+    cb(new Error("Only JPEG, PNG or WebP images can be uploaded"));
+  },
+});
 
-    if (category) {
-      const result = await pool.query(
-        `
-        SELECT
-          id,
-          name_en,
-          name_cn,
-          price::float8 AS price,
-          category,
-          image_url
-        FROM menu_items
-        WHERE category = $1
-          AND is_available = TRUE
-        ORDER BY name_en
-        `,
-        [category]
-      );
-      return res.json(result.rows);
+// multipart field "image"; multer errors become 400/413 responses
+function receiveImage(req, res, next) {
+  upload.single("image")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      const mb = Math.round((MENU_IMAGE_MAX_BYTES / 1024 / 1024) * 10) / 10;
+      return res.status(413).json({ error: `Image must be ${mb} MB or smaller` });
     }
+    return res.status(400).json({ error: err.message });
+  });
+}
+
+// "a,b" or ?x=a&x=b -> ["a", "b"], each checked against the allowed values
+function listParam(values) {
+  return z
+    .preprocess(
+      (v) =>
+        String(Array.isArray(v) ? v.join(",") : v)
+          .split(",")
+          .map((s) => s.trim().toLowerCase())
+          .filter(Boolean),
+      z.array(z.enum(values))
+    )
+    .optional();
+}
+
+const MenuQuery = z.object({
+  category: z.string().trim().min(1).optional(), // name_en or id
+  tag: listParam(DIETARY_TAGS), // dishes carrying every tag
+  exclude_allergens: listParam(ALLERGENS), // dishes flagged with none of these
+  q: z.string().trim().min(1).max(100).optional(), // English or Chinese name
+  at: z.string().datetime({ offset: true }).optional(), // what is orderable then; default now
+});
+
+const MenuItemFields = z.object({
+  name_en: z.string().trim().min(1).max(100),
+  name_cn: z.string().trim().min(1).max(100),
+  description_en: z.string().trim().max(1000).nullable(),
+  description_cn: z.string().trim().max(1000).nullable(),
+  price: z.coerce.number().min(0).max(10000),
+  // either one names the category
+  category_id: z.number().int().positive(),
+  category: z.string().trim().min(1).max(50),
+  image_url: z.string().trim().max(500).nullable(),
+  is_available: z.boolean(),
+  allergens: z.array(z.enum(ALLERGENS)).transform((a) => [...new Set(a)]),
+  // vegan implies vegetarian, so a vegetarian filter finds vegan dishes too
+  dietary_tags: z
+    .array(z.enum(DIETARY_TAGS))
+    .transform((a) => [...new Set(a.includes("vegan") ? [...a, "vegetarian"] : a)]),
+  chili_rating: z.number().int().min(0).max(MAX_CHILI_RATING),
+  is_signature: z.boolean(),
+  // date-ranged specials; null leaves that end open
+  available_from: DATE.nullable(),
+  available_until: DATE.nullable(),
+  // kitchen station that cooks it; null keeps it off the station screens
+  station_id: z.number().int().positive().nullable(),
+});
+
+const CreateMenuItemSchema = MenuItemFields.partial().extend({
+  name_en: MenuItemFields.shape.name_en,
+  name_cn: MenuItemFields.shape.name_cn,
+  price: MenuItemFields.shape.price,
+  is_available: MenuItemFields.shape.is_available.default(true),
+  allergens: MenuItemFields.shape.allergens.default([]),
+  dietary_tags: MenuItemFields.shape.dietary_tags.default([]),
+  chili_rating: MenuItemFields.shape.chili_rating.default(0),
+  is_signature: MenuItemFields.shape.is_signature.default(false),
+});
+
+const UpdateMenuItemSchema = MenuItemFields.partial().refine((v) => Object.keys(v).length > 0, {
+  message: "Nothing to update",
+});
+
+// new dishes land here unless a category is given
+const DEFAULT_CATEGORY = "Main Dishes";
+
+const CategorySchema = z.object({
+  name_en: z.string().trim().min(1).max(50),
+  name_cn: z.string().trim().max(50).nullable().optional(),
+  sort_order: z.number().int().optional(), // defaults to after the last category
+  is_active: z.boolean().default(true),
+  available_from: DATE.nullable().optional(),
+  available_until: DATE.nullable().optional(),
+});
+
+// weekly window on a dish or category, e.g. lunch 11:30-14:30 on weekdays
+const WindowSchema = z
+  .object({
+    name: z.string().trim().max(50).nullable().optional(),
+    weekdays: z
+      .array(z.number().int().min(0).max(6))
+      .min(1)
+      .transform((a) => [...new Set(a)].sort())
+      .default([0, 1, 2, 3, 4, 5, 6]),
+    starts_at: TIME,
+    ends_at: TIME.or(z.literal("24:00")),
+  })
+  .refine((w) => w.starts_at < w.ends_at, { message: "ends_at must be after starts_at" });
+
+// replaces the whole set meal; an empty list turns it back into a plain dish
+const ComboSchema = z.object({
+  components: z
+    .array(
+      z.object({
+        menu_item_id: z.number().int().positive(),
+        quantity: z.number().int().min(1).max(20).default(1),
+      })
+    )
+    .max(20),
+});
+
+// daily_stock: prepared each day (null stops counting); stock_remaining:
+// set what is left right now, e.g. 0 to sell out early
+const StockSchema = z
+  .object({
+    daily_stock: z.number().int().min(0).max(10000).nullable(),
+    stock_remaining: z.number().int().min(0).max(10000),
+  })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "Nothing to update" });
+
+const UpdateCategorySchema = CategorySchema.extend({ is_active: z.boolean() })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "Nothing to update" });
+
+const ModifierOptionSchema = z.object({
+  name_en: z.string().trim().min(1).max(100),
+  name_cn: z.string().trim().max(100).nullable().optional(),
+  price_delta: z.number().min(-1000).max(1000).default(0),
+  is_default: z.boolean().default(false),
+  is_available: z.boolean().default(true),
+  sort_order: z.number().int().default(0),
+});
+
+const ModifierGroupSchema = z.object({
+  name_en: z.string().trim().min(1).max(100),
+  name_cn: z.string().trim().max(100).nullable().optional(),
+  selection: z.enum(["single", "multi"]).default("single"),
+  is_required: z.boolean().default(false),
+  max_select: z.number().int().min(1).nullable().optional(),
+  sort_order: z.number().int().default(0),
+  options: z.array(ModifierOptionSchema).default([]),
+});
+
+// updates: every field optional, no defaults filled in
+const UpdateModifierGroupSchema = ModifierGroupSchema.omit({ options: true })
+  .extend({
+    selection: z.enum(["single", "multi"]),
+    is_required: z.boolean(),
+    sort_order: z.number().int(),
+  })
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "Nothing to update" });
+
+const UpdateModifierOptionSchema = ModifierOptionSchema.extend({
+  price_delta: z.number().min(-1000).max(1000),
+  is_default: z.boolean(),
+  is_available: z.boolean(),
+  sort_order: z.number().int(),
+})
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, { message: "Nothing to update" });
+
+const GROUP_COLUMNS = `
+  id, menu_item_id, name_en, name_cn, selection, is_required, max_select, sort_order
+`;
+
+const OPTION_COLUMNS = `
+  id, group_id, name_en, name_cn, price_delta::float8 AS price_delta, is_default, is_available, sort_order
+`;
+
+async function insertOption(db, groupId, o) {
+  const r = await db.query(
+    `
+    INSERT INTO modifier_options
+      (group_id, name_en, name_cn, price_delta, is_default, is_available, sort_order)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${OPTION_COLUMNS}
+    `,
+    [groupId, o.name_en, o.name_cn ?? null, o.price_delta, o.is_default, o.is_available, o.sort_order]
+  );
+  return r.rows[0];
+}
+
+// dish as the dashboard sees it
+async function getMenuItem(db, id) {
+  const r = await db.query(
+    `
+    SELECT
+      ${MENU_ITEM_COLUMNS},
+      ${STOCK_COLUMNS},
+      m.is_available,
+      ${windowsColumn("menu_item_id", "m.id")} AS windows,
+      ${comboComponentsColumn("m.id")} AS components
+    FROM menu_items m
+    JOIN menu_categories c ON c.id = m.category_id
+    WHERE m.id = $1
+    `,
+    [id]
+  );
+  return r.rows?.[0] || null;
+}
+
+// GET /api/menu?category=&tag=&exclude_allergens=&q=&at=
+// Only what can be ordered at that moment (now by default). Dishes come
+// grouped by category, in the categories' configured order.
+router.get("/", async (req, res) => {
+  const parsed = MenuQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { category, tag, exclude_allergens, q, at } = parsed.data;
+    const moment = menuMoment(at ? new Date(at) : new Date());
 
     const result = await pool.query(
       `
       SELECT
-        id,
-        name_en,
-        name_cn,
-        price::float8 AS price,
-        category,
-        image_url
-      FROM menu_items
-      WHERE is_available = TRUE
-      ORDER BY category, name_en
-      `
+        ${MENU_ITEM_COLUMNS},
+        m.stock_remaining,
+        COALESCE(m.stock_remaining = 0, FALSE) AS is_sold_out,
+        ${windowsColumn("menu_item_id", "m.id")} AS windows,
+        ${comboComponentsColumn("m.id")} AS components,
+        ${modifierGroupsColumn("m.id")} AS modifier_groups
+      FROM menu_items m
+      JOIN menu_categories c ON c.id = m.category_id
+      WHERE ${orderableCondition(5)}
+        AND ($1::text IS NULL OR lower(c.name_en) = lower($1) OR c.id::text = $1)
+        AND ($2::text[] IS NULL OR m.dietary_tags @> $2::text[])
+        AND ($3::text[] IS NULL OR NOT (m.allergens && $3::text[]))
+        AND ($4::text IS NULL OR m.name_en ILIKE '%' || $4 || '%' OR m.name_cn ILIKE '%' || $4 || '%')
+      ORDER BY c.sort_order, c.id, m.name_en
+      `,
+      [
+        category ?? null,
+        tag?.length ? tag : null,
+        exclude_allergens?.length ? exclude_allergens : null,
+        q ?? null,
+        ...momentParams(moment),
+      ]
     );
 
     return res.json(result.rows);
@@ -50,19 +288,35 @@ router.get("/", async (req, res) => {
   }
 });
 
-router.get("/admin", requireAuth, requireAdmin, async (req, res) => {
+// GET /api/menu/categories  (menu sections, in display order)
+router.get("/categories", async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT ${CATEGORY_COLUMNS}
+      FROM menu_categories
+      WHERE is_active = TRUE
+      ORDER BY sort_order, id
+    `);
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /menu/categories error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+router.get("/admin", requireAuth, requirePermission("menu:edit"), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT
-        id,
-        name_en,
-        name_cn,
-        price::float8 AS price,
-        category,
-        is_available,
-        image_url
-      FROM menu_items
-      ORDER BY category, name_en
+        ${MENU_ITEM_COLUMNS},
+        ${STOCK_COLUMNS},
+        m.is_available,
+        ${windowsColumn("menu_item_id", "m.id")} AS windows,
+        ${comboComponentsColumn("m.id")} AS components,
+        ${modifierGroupsColumn("m.id", { onlyAvailable: false })} AS modifier_groups
+      FROM menu_items m
+      JOIN menu_categories c ON c.id = m.category_id
+      ORDER BY c.sort_order, c.id, m.name_en
     `);
 
     return res.json(result.rows);
@@ -73,99 +327,958 @@ router.get("/admin", requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Add new menu item
-router.post("/admin", requireAuth, requireAdmin, async (req, res) => {
+router.post("/admin", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = CreateMenuItemSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
   try {
-    const { name_en, name_cn, price, category, image_url, is_available } = req.body;
+    const m = parsed.data;
+
+    const given = await resolveCategoryId(pool, m);
+    const categoryId = given === undefined
+      ? await resolveCategoryId(pool, { category: DEFAULT_CATEGORY })
+      : given;
+    if (!categoryId) return res.status(400).json({ error: "Unknown category" });
+
+    const client = await pool.connect();
+    let created;
+    try {
+      await client.query("BEGIN");
 
-    if (!name_en || !name_cn || price == null) {
-      return res.status(400).json({ error: "name_en, name_cn, price required" });
+      const result = await client.query(
+        `
+        INSERT INTO menu_items
+          (name_en, name_cn, description_en, description_cn, price, category_id, image_url,
+           is_available, allergens, dietary_tags, chili_rating, is_signature, available_from, available_until,
+           station_id)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+        RETURNING id, price, is_available
+        `,
+        [
+          m.name_en,
+          m.name_cn,
+          m.description_en || null,
+          m.description_cn || null,
+          m.price,
+          categoryId,
+          m.image_url || null,
+          m.is_available,
+          m.allergens,
+          m.dietary_tags,
+          m.chili_rating,
+          m.is_signature,
+          m.available_from ?? null,
+          m.available_until ?? null,
+          m.station_id ?? null,
+        ]
+      );
+      created = result.rows[0];
+      await recordPriceChange(client, created.id, null, created, req.user);
+
+      await client.query("COMMIT");
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      throw e;
+    } finally {
+      client.release();
     }
 
-    const result = await pool.query(
+    return res.json(await getMenuItem(pool, created.id));
+  } catch (e) {
+    if (e.code === "23514") return res.status(400).json({ error: "available_until must not be before available_from" });
+    if (e.code === "23503") return res.status(400).json({ error: "Unknown station" });
+    console.error("POST /menu/admin error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Update menu item
+router.put("/admin/:id", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = UpdateMenuItemSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const id = Number(req.params.id);
+    const m = parsed.data;
+
+    const categoryId = await resolveCategoryId(pool, m);
+    if (categoryId === null) return res.status(400).json({ error: "Unknown category" });
+
+    const client = await pool.connect();
+    let row;
+    try {
+      await client.query("BEGIN");
+
+      // a new image_url replaces an uploaded photo, so its thumbnail goes too
+      const result = await client.query(
+        `
+        UPDATE menu_items
+        SET
+          name_en = COALESCE($1, menu_items.name_en),
+          name_cn = COALESCE($2, menu_items.name_cn),
+          price = COALESCE($3, menu_items.price),
+          category_id = COALESCE($4, menu_items.category_id),
+          image_url = COALESCE($5, menu_items.image_url),
+          image_thumb_url = CASE
+            WHEN $5 IS NOT NULL AND $5 IS DISTINCT FROM menu_items.image_url THEN NULL
+            ELSE menu_items.image_thumb_url
+          END,
+          is_available = COALESCE($6, menu_items.is_available),
+          description_en = CASE WHEN $7::boolean THEN $8 ELSE menu_items.description_en END,
+          description_cn = CASE WHEN $9::boolean THEN $10 ELSE menu_items.description_cn END,
+          allergens = COALESCE($11, menu_items.allergens),
+          dietary_tags = COALESCE($12, menu_items.dietary_tags),
+          chili_rating = COALESCE($13, menu_items.chili_rating),
+          is_signature = COALESCE($14, menu_items.is_signature),
+          available_from = CASE WHEN $15::boolean THEN $16::date ELSE menu_items.available_from END,
+          available_until = CASE WHEN $17::boolean THEN $18::date ELSE menu_items.available_until END,
+          station_id = CASE WHEN $19::boolean THEN $20::int ELSE menu_items.station_id END,
+          updated_at = NOW()
+        FROM (
+          SELECT id, price, is_available, image_url, image_thumb_url
+          FROM menu_items
+          WHERE id = $21
+          FOR UPDATE
+        ) old
+        WHERE menu_items.id = old.id
+        RETURNING
+          menu_items.price,
+          menu_items.is_available,
+          menu_items.image_url,
+          menu_items.image_thumb_url,
+          old.price AS old_price,
+          old.is_available AS old_is_available,
+          old.image_url AS old_image_url,
+          old.image_thumb_url AS old_image_thumb_url
+        `,
+        [
+          m.name_en ?? null,
+          m.name_cn ?? null,
+          m.price ?? null,
+          categoryId ?? null,
+          m.image_url ?? null,
+          m.is_available ?? null,
+          m.description_en !== undefined,
+          m.description_en || null,
+          m.description_cn !== undefined,
+          m.description_cn || null,
+          m.allergens ?? null,
+          m.dietary_tags ?? null,
+          m.chili_rating ?? null,
+          m.is_signature ?? null,
+          m.available_from !== undefined,
+          m.available_from ?? null,
+          m.available_until !== undefined,
+          m.available_until ?? null,
+          m.station_id !== undefined,
+          m.station_id ?? null,
+          id
+        ]
+      );
+
+      if (!result.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      row = result.rows[0];
+      await recordPriceChange(
+        client,
+        id,
+        { price: row.old_price, is_available: row.old_is_available },
+        row,
+        req.user
+      );
+
+      await client.query("COMMIT");
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    await removeMenuImageFiles(
+      [row.old_image_url, row.old_image_thumb_url].filter(
+        (url) => url !== row.image_url && url !== row.image_thumb_url
+      )
+    );
+
+    return res.json(await getMenuItem(pool, id));
+  } catch (e) {
+    if (e.code === "23514") return res.status(400).json({ error: "available_until must not be before available_from" });
+    if (e.code === "23503") return res.status(400).json({ error: "Unknown station" });
+    console.error("PUT /menu/admin/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Remove menu item (soft delete: hide from public menu)
+router.delete("/admin/:id", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const id = Number(req.params.id);
+    await client.query("BEGIN");
+
+    const result = await client.query(
       `
-      INSERT INTO menu_items (name_en, name_cn, price, category, image_url, is_available)
-      VALUES ($1,$2,$3,$4,$5,$6)
-      RETURNING
-        id, name_en, name_cn, price::float8 AS price, category, is_available, image_url
+      UPDATE menu_items
+      SET is_available = FALSE, updated_at = NOW()
+      FROM (SELECT id, is_available FROM menu_items WHERE id = $1 FOR UPDATE) old
+      WHERE menu_items.id = old.id
+      RETURNING menu_items.price, menu_items.is_available, old.is_available AS old_is_available
       `,
-      [
-        name_en,
-        name_cn,
-        price,
-        category || "Main Dishes",
-        image_url || null,
-        is_available ?? true
-      ]
+      [id]
     );
 
-    return res.json(result.rows[0]);
+    if (!result.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    const row = result.rows[0];
+    await recordPriceChange(
+      client,
+      id,
+      { price: row.price, is_available: row.old_is_available },
+      row,
+      req.user
+    );
+
+    await client.query("COMMIT");
+    return res.json({ ok: true });
   } catch (e) {
-    console.error("POST /menu/admin error:", e);
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("DELETE /menu/admin/:id error:", e);
     return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
   }
 });
 
-// Update menu item
-router.put("/admin/:id", requireAuth, requireAdmin, async (req, res) => {
+// GET /api/menu/admin/:id/price-history
+// Price and availability changes made from the dashboard, newest first.
+router.get("/admin/:id(\\d+)/price-history", requireAuth, requirePermission("menu:edit"), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const { name_en, name_cn, price, category, image_url, is_available } = req.body;
 
-    const result = await pool.query(
+    const item = await pool.query(
+      `SELECT id, name_en, name_cn, price::float8 AS price, is_available FROM menu_items WHERE id = $1`,
+      [id]
+    );
+    if (!item.rowCount) return res.status(404).json({ error: "Not found" });
+
+    const history = await pool.query(
+      `
+      SELECT
+        id,
+        price::float8 AS price,
+        is_available,
+        previous_price::float8 AS previous_price,
+        previous_is_available,
+        staff_username,
+        changed_at
+      FROM menu_price_history
+      WHERE menu_item_id = $1
+      ORDER BY changed_at DESC, id DESC
+      `,
+      [id]
+    );
+
+    return res.json({ ...item.rows[0], history: history.rows });
+  } catch (e) {
+    console.error("GET /menu/admin/:id/price-history error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   IMAGES
+========================= */
+
+// Point a dish at new image files (null clears it) and delete the files it
+// used before. Returns the updated dish, or null if it does not exist.
+async function replaceMenuImage(id, urls) {
+  const client = await pool.connect();
+  let old;
+  try {
+    await client.query("BEGIN");
+
+    const cur = await client.query(
+      `SELECT image_url, image_thumb_url FROM menu_items WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    old = cur.rows?.[0];
+    if (!old) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    await client.query(
+      `
+      UPDATE menu_items
+      SET image_url = $1, image_thumb_url = $2, updated_at = NOW()
+      WHERE id = $3
+      `,
+      [urls?.image_url ?? null, urls?.image_thumb_url ?? null, id]
+    );
+
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  await removeMenuImageFiles([old.image_url, old.image_thumb_url]);
+  return getMenuItem(pool, id);
+}
+
+// POST /api/menu/admin/:id/image  (multipart/form-data, field "image")
+router.post(
+  "/admin/:id(\\d+)/image",
+  requireAuth,
+  requirePermission("menu:edit"),
+  receiveImage,
+  async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: "Choose an image to upload" });
+
+    const id = Number(req.params.id);
+    let urls = null;
+
+    try {
+      const item = await pool.query(`SELECT id FROM menu_items WHERE id = $1`, [id]);
+      if (!item.rowCount) return res.status(404).json({ error: "Not found" });
+
+      let variants;
+      try {
+        variants = await processMenuImage(req.file.buffer, req.file.mimetype);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      urls = await saveMenuImage(id, variants);
+      const updated = await replaceMenuImage(id, urls);
+      if (!updated) {
+        await removeMenuImageFiles([urls.image_url, urls.image_thumb_url]);
+        return res.status(404).json({ error: "Not found" });
+      }
+      return res.status(201).json(updated);
+    } catch (e) {
+      // nothing points at the new files if the update failed
+      if (urls) await removeMenuImageFiles([urls.image_url, urls.image_thumb_url]);
+      console.error("POST /menu/admin/:id/image error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// DELETE /api/menu/admin/:id/image
+router.delete("/admin/:id(\\d+)/image", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  try {
+    const updated = await replaceMenuImage(Number(req.params.id), null);
+    if (!updated) return res.status(404).json({ error: "Not found" });
+    return res.json(updated);
+  } catch (e) {
+    console.error("DELETE /menu/admin/:id/image error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   DAILY STOCK
+========================= */
+
+// GET /api/menu/admin/stock  (dishes with a stock count)
+router.get("/admin/stock", requireAuth, requirePermission("menu:stock"), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT
+        m.id,
+        m.name_en,
+        m.name_cn,
+        c.name_en AS category,
+        ${STOCK_COLUMNS},
+        to_char(m.stock_date, 'YYYY-MM-DD') AS stock_date
+      FROM menu_items m
+      JOIN menu_categories c ON c.id = m.category_id
+      WHERE m.stock_remaining IS NOT NULL OR m.daily_stock IS NOT NULL
+      ORDER BY c.sort_order, c.id, m.name_en
+    `);
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /menu/admin/stock error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/menu/admin/:id/stock
+// Changing daily_stock mid-service moves what is left by the same amount, so
+// dishes already sold stay sold.
+router.patch("/admin/:id(\\d+)/stock", requireAuth, requirePermission("menu:stock"), async (req, res) => {
+  const parsed = StockSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const s = parsed.data;
+    const r = await pool.query(
       `
       UPDATE menu_items
       SET
-        name_en = COALESCE($1, name_en),
-        name_cn = COALESCE($2, name_cn),
-        price = COALESCE($3, price),
-        category = COALESCE($4, category),
-        image_url = COALESCE($5, image_url),
-        is_available = COALESCE($6, is_available),
+        daily_stock = CASE WHEN $1::boolean THEN $2::int ELSE daily_stock END,
+        stock_remaining = CASE
+          WHEN $3::boolean THEN $4::int
+          WHEN $1::boolean AND $2::int IS NULL THEN NULL
+          WHEN $1::boolean AND stock_remaining IS NULL THEN $2::int
+          WHEN $1::boolean THEN GREATEST(stock_remaining + $2::int - COALESCE(daily_stock, 0), 0)
+          ELSE stock_remaining
+        END,
+        stock_date = $5::date,
         updated_at = NOW()
-      WHERE id = $7
-      RETURNING
-        id, name_en, name_cn, price::float8 AS price, category, is_available, image_url
+      WHERE id = $6
+      RETURNING id
       `,
       [
-        name_en ?? null,
-        name_cn ?? null,
-        price ?? null,
-        category ?? null,
-        image_url ?? null,
-        (typeof is_available === "boolean") ? is_available : null,
-        id
+        s.daily_stock !== undefined,
+        s.daily_stock ?? null,
+        s.stock_remaining !== undefined,
+        s.stock_remaining ?? null,
+        stockDate(),
+        Number(req.params.id),
       ]
     );
+    if (!r.rowCount) return res.status(404).json({ error: "Not found" });
 
-    if (!result.rowCount) return res.status(404).json({ error: "Not found" });
-    return res.json(result.rows[0]);
+    const item = await getMenuItem(pool, Number(req.params.id));
+    broadcastStock([{ menu_item_id: item.id, stock_remaining: item.stock_remaining }]);
+    return res.json(item);
   } catch (e) {
-    console.error("PUT /menu/admin/:id error:", e);
+    console.error("PATCH /menu/admin/:id/stock error:", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
-// Remove menu item (soft delete: hide from public menu)
-router.delete("/admin/:id", requireAuth, requireAdmin, async (req, res) => {
+/* =========================
+   CATEGORIES
+========================= */
+
+// GET /api/menu/admin/categories  (inactive ones too, with dish counts)
+router.get("/admin/categories", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  try {
+    const r = await pool.query(`
+      SELECT
+        ${CATEGORY_COLUMNS},
+        (SELECT COUNT(*)::int FROM menu_items m WHERE m.category_id = menu_categories.id) AS item_count,
+        ${windowsColumn("category_id", "menu_categories.id")} AS windows
+      FROM menu_categories
+      ORDER BY sort_order, id
+    `);
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /menu/admin/categories error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/menu/admin/categories
+router.post("/admin/categories", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = CategorySchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const c = parsed.data;
+    const r = await pool.query(
+      `
+      INSERT INTO menu_categories (name_en, name_cn, sort_order, is_active, available_from, available_until)
+      VALUES (
+        $1,
+        $2,
+        COALESCE($3, (SELECT COALESCE(MAX(sort_order), 0) + 10 FROM menu_categories)),
+        $4,
+        $5,
+        $6
+      )
+      RETURNING ${CATEGORY_COLUMNS}
+      `,
+      [
+        c.name_en,
+        c.name_cn || null,
+        c.sort_order ?? null,
+        c.is_active,
+        c.available_from ?? null,
+        c.available_until ?? null,
+      ]
+    );
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23514") return res.status(400).json({ error: "available_until must not be before available_from" });
+    if (e.code === "23505") return res.status(409).json({ error: "A category with that name already exists" });
+    console.error("POST /menu/admin/categories error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/menu/admin/categories/:categoryId
+router.patch(
+  "/admin/categories/:categoryId(\\d+)",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    const parsed = UpdateCategorySchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    try {
+      const c = parsed.data;
+      const r = await pool.query(
+        `
+        UPDATE menu_categories
+        SET
+          name_en = COALESCE($1, name_en),
+          name_cn = CASE WHEN $2::boolean THEN $3 ELSE name_cn END,
+          sort_order = COALESCE($4, sort_order),
+          is_active = COALESCE($5, is_active),
+          available_from = CASE WHEN $6::boolean THEN $7::date ELSE available_from END,
+          available_until = CASE WHEN $8::boolean THEN $9::date ELSE available_until END,
+          updated_at = NOW()
+        WHERE id = $10
+        RETURNING ${CATEGORY_COLUMNS}
+        `,
+        [
+          c.name_en ?? null,
+          c.name_cn !== undefined,
+          c.name_cn || null,
+          c.sort_order ?? null,
+          c.is_active ?? null,
+          c.available_from !== undefined,
+          c.available_from ?? null,
+          c.available_until !== undefined,
+          c.available_until ?? null,
+          Number(req.params.categoryId),
+        ]
+      );
+
+      if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+      return res.json(r.rows[0]);
+    } catch (e) {
+      if (e.code === "23514") {
+        return res.status(400).json({ error: "available_until must not be before available_from" });
+      }
+      if (e.code === "23505") return res.status(409).json({ error: "A category with that name already exists" });
+      console.error("PATCH /menu/admin/categories/:categoryId error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// DELETE /api/menu/admin/categories/:categoryId
+// Only empty categories can go; hide one with dishes via is_active instead.
+router.delete(
+  "/admin/categories/:categoryId(\\d+)",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    try {
+      const r = await pool.query(`DELETE FROM menu_categories WHERE id = $1 RETURNING id`, [
+        Number(req.params.categoryId),
+      ]);
+      if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      if (e.code === "23503") {
+        return res.status(409).json({ error: "This category still has dishes. Move them or hide the category." });
+      }
+      console.error("DELETE /menu/admin/categories/:categoryId error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+/* =========================
+   AVAILABILITY WINDOWS
+========================= */
+
+async function insertWindow(column, ownerId, w) {
+  const r = await pool.query(
+    `
+    INSERT INTO menu_availability_windows (${column}, name, weekdays, starts_at, ends_at)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING
+      id,
+      ${column},
+      name,
+      weekdays,
+      to_char(starts_at, 'HH24:MI') AS starts_at,
+      to_char(ends_at, 'HH24:MI') AS ends_at
+    `,
+    [ownerId, w.name || null, w.weekdays, w.starts_at, w.ends_at]
+  );
+  return r.rows[0];
+}
+
+// POST /api/menu/admin/:id/windows
+router.post("/admin/:id(\\d+)/windows", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = WindowSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
   try {
     const id = Number(req.params.id);
+    const item = await pool.query(`SELECT id FROM menu_items WHERE id = $1`, [id]);
+    if (!item.rowCount) return res.status(404).json({ error: "Not found" });
 
-    const result = await pool.query(
+    return res.status(201).json(await insertWindow("menu_item_id", id, parsed.data));
+  } catch (e) {
+    console.error("POST /menu/admin/:id/windows error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/menu/admin/categories/:categoryId/windows
+router.post(
+  "/admin/categories/:categoryId(\\d+)/windows",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    const parsed = WindowSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    try {
+      const id = Number(req.params.categoryId);
+      const cat = await pool.query(`SELECT id FROM menu_categories WHERE id = $1`, [id]);
+      if (!cat.rowCount) return res.status(404).json({ error: "Not found" });
+
+      return res.status(201).json(await insertWindow("category_id", id, parsed.data));
+    } catch (e) {
+      console.error("POST /menu/admin/categories/:categoryId/windows error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// DELETE /api/menu/admin/windows/:windowId
+// Removing the last window makes the dish or category available all day again.
+router.delete("/admin/windows/:windowId(\\d+)", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  try {
+    const r = await pool.query(`DELETE FROM menu_availability_windows WHERE id = $1 RETURNING id`, [
+      Number(req.params.windowId),
+    ]);
+    if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /menu/admin/windows/:windowId error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   SET MEALS
+========================= */
+
+// PUT /api/menu/admin/:id/combo
+// The dish's own price is the bundle price. Set meals cannot contain set meals.
+router.put("/admin/:id(\\d+)/combo", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = ComboSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const comboId = Number(req.params.id);
+  const { components } = parsed.data;
+  const componentIds = components.map((c) => c.menu_item_id);
+
+  if (new Set(componentIds).size !== componentIds.length) {
+    return res.status(400).json({ error: "Each dish can only be listed once; use quantity instead" });
+  }
+  if (componentIds.includes(comboId)) {
+    return res.status(400).json({ error: "A set meal cannot contain itself" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const item = await client.query(`SELECT id FROM menu_items WHERE id = $1 FOR UPDATE`, [comboId]);
+    if (!item.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    if (components.length) {
+      const inCombo = await client.query(`SELECT 1 FROM menu_combo_items WHERE component_item_id = $1`, [
+        comboId,
+      ]);
+      if (inCombo.rowCount) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "This dish is part of another set meal" });
+      }
+
+      const found = await client.query(
+        `
+        SELECT
+          id,
+          EXISTS (SELECT 1 FROM menu_combo_items cc WHERE cc.combo_item_id = menu_items.id) AS is_combo
+        FROM menu_items
+        WHERE id = ANY($1::int[])
+        `,
+        [componentIds]
+      );
+      if (found.rowCount !== componentIds.length) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Unknown menu item in set meal" });
+      }
+      if (found.rows.some((r) => r.is_combo)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "A set meal cannot contain another set meal" });
+      }
+    }
+
+    await client.query(`DELETE FROM menu_combo_items WHERE combo_item_id = $1`, [comboId]);
+    for (const [i, c] of components.entries()) {
+      await client.query(
+        `
+        INSERT INTO menu_combo_items (combo_item_id, component_item_id, quantity, sort_order)
+        VALUES ($1, $2, $3, $4)
+        `,
+        [comboId, c.menu_item_id, c.quantity, i]
+      );
+    }
+
+    await client.query("COMMIT");
+    return res.json(await getMenuItem(pool, comboId));
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("PUT /menu/admin/:id/combo error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+/* =========================
+   MODIFIER GROUPS + OPTIONS
+========================= */
+
+// GET /api/menu/admin/:id/modifiers
+router.get("/admin/:id(\\d+)/modifiers", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const item = await pool.query(`SELECT id FROM menu_items WHERE id = $1`, [id]);
+    if (!item.rowCount) return res.status(404).json({ error: "Not found" });
+
+    return res.json(await getMenuItemModifiers(id));
+  } catch (e) {
+    console.error("GET /menu/admin/:id/modifiers error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/menu/admin/:id/modifiers  (a group, optionally with its options)
+router.post("/admin/:id(\\d+)/modifiers", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = ModifierGroupSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const menuItemId = Number(req.params.id);
+  const g = parsed.data;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const item = await client.query(`SELECT id FROM menu_items WHERE id = $1`, [menuItemId]);
+    if (!item.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    const r = await client.query(
       `
-      UPDATE menu_items
-      SET is_available = FALSE, updated_at = NOW()
-      WHERE id = $1
-      RETURNING id
+      INSERT INTO modifier_groups
+        (menu_item_id, name_en, name_cn, selection, is_required, max_select, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${GROUP_COLUMNS}
       `,
-      [id]
+      [menuItemId, g.name_en, g.name_cn ?? null, g.selection, g.is_required, g.max_select ?? null, g.sort_order]
+    );
+    const group = r.rows[0];
+
+    group.options = [];
+    for (const o of g.options) group.options.push(await insertOption(client, group.id, o));
+
+    await client.query("COMMIT");
+    return res.status(201).json(group);
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "This dish already has a group or option with that name" });
+    }
+    console.error("POST /menu/admin/:id/modifiers error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/menu/admin/modifiers/:groupId
+router.patch("/admin/modifiers/:groupId(\\d+)", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  const parsed = UpdateModifierGroupSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const g = parsed.data;
+    const r = await pool.query(
+      `
+      UPDATE modifier_groups
+      SET
+        name_en = COALESCE($1, name_en),
+        name_cn = CASE WHEN $2::boolean THEN $3 ELSE name_cn END,
+        selection = COALESCE($4, selection),
+        is_required = COALESCE($5, is_required),
+        max_select = CASE WHEN $6::boolean THEN $7 ELSE max_select END,
+        sort_order = COALESCE($8, sort_order),
+        updated_at = NOW()
+      WHERE id = $9
+      RETURNING ${GROUP_COLUMNS}
+      `,
+      [
+        g.name_en ?? null,
+        g.name_cn !== undefined,
+        g.name_cn ?? null,
+        g.selection ?? null,
+        g.is_required ?? null,
+        g.max_select !== undefined,
+        g.max_select ?? null,
+        g.sort_order ?? null,
+        Number(req.params.groupId),
+      ]
     );
 
-    if (!result.rowCount) return res.status(404).json({ error: "Not found" });
+    if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "This dish already has a group with that name" });
+    }
+    console.error("PATCH /menu/admin/modifiers/:groupId error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/menu/admin/modifiers/:groupId
+// Past orders keep their copied option names and prices.
+router.delete("/admin/modifiers/:groupId(\\d+)", requireAuth, requirePermission("menu:edit"), async (req, res) => {
+  try {
+    const r = await pool.query(`DELETE FROM modifier_groups WHERE id = $1 RETURNING id`, [
+      Number(req.params.groupId),
+    ]);
+    if (!r.rowCount) return res.status(404).json({ error: "Not found" });
     return res.json({ ok: true });
   } catch (e) {
-    console.error("DELETE /menu/admin/:id error:", e);
+    console.error("DELETE /menu/admin/modifiers/:groupId error:", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
+// POST /api/menu/admin/modifiers/:groupId/options
+router.post(
+  "/admin/modifiers/:groupId(\\d+)/options",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    const parsed = ModifierOptionSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    try {
+      const groupId = Number(req.params.groupId);
+      const group = await pool.query(`SELECT id FROM modifier_groups WHERE id = $1`, [groupId]);
+      if (!group.rowCount) return res.status(404).json({ error: "Not found" });
+
+      return res.status(201).json(await insertOption(pool, groupId, parsed.data));
+    } catch (e) {
+      if (e.code === "23505") {
+        return res.status(409).json({ error: "This group already has an option with that name" });
+      }
+      console.error("POST /menu/admin/modifiers/:groupId/options error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// PATCH /api/menu/admin/modifier-options/:optionId
+router.patch(
+  "/admin/modifier-options/:optionId(\\d+)",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    const parsed = UpdateModifierOptionSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    try {
+      const o = parsed.data;
+      const r = await pool.query(
+        `
+        UPDATE modifier_options
+        SET
+          name_en = COALESCE($1, name_en),
+          name_cn = CASE WHEN $2::boolean THEN $3 ELSE name_cn END,
+          price_delta = COALESCE($4, price_delta),
+          is_default = COALESCE($5, is_default),
+          is_available = COALESCE($6, is_available),
+          sort_order = COALESCE($7, sort_order),
+          updated_at = NOW()
+        WHERE id = $8
+        RETURNING ${OPTION_COLUMNS}
+        `,
+        [
+          o.name_en ?? null,
+          o.name_cn !== undefined,
+          o.name_cn ?? null,
+          o.price_delta ?? null,
+          o.is_default ?? null,
+          o.is_available ?? null,
+          o.sort_order ?? null,
+          Number(req.params.optionId),
+        ]
+      );
+
+      if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+      return res.json(r.rows[0]);
+    } catch (e) {
+      if (e.code === "23505") {
+        return res.status(409).json({ error: "This group already has an option with that name" });
+      }
+      console.error("PATCH /menu/admin/modifier-options/:optionId error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// DELETE /api/menu/admin/modifier-options/:optionId
+router.delete(
+  "/admin/modifier-options/:optionId(\\d+)",
+  requireAuth,
+  requirePermission("menu:edit"),
+  async (req, res) => {
+    try {
+      const r = await pool.query(`DELETE FROM modifier_options WHERE id = $1 RETURNING id`, [
+        Number(req.params.optionId),
+      ]);
+      if (!r.rowCount) return res.status(404).json({ error: "Not found" });
+      return res.json({ ok: true });
+    } catch (e) {
+      console.error("DELETE /menu/admin/modifier-options/:optionId error:", e);
+      return res.status(500).json({ error: e.message });
+    }
+  }
+);
+
 module.exports = router;
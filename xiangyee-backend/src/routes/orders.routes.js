@@ -2,62 +2,63 @@
 const express = require("express");
 const { pool } = require("../db");
 const { z } = require("zod");
-const { requireAuth } = require("../middleware/auth");
-
-// ADD: jwt for verifying SSE token (admin stream)
-const jwt = require("jsonwebtoken");
+const {
+  requireAuth,
+  requirePermission,
+  loadActiveUser,
+} = require("../middleware/auth");
+const { hasPermission } = require("../services/permissions");
+const { fetchPublicOrder } = require("../services/orders");
+const {
+  sseSend,
+  sseSendMessage,
+  addOrderClient,
+  removeOrderClient,
+  sendToOrder,
+  addAdminClient,
+  removeAdminClient,
+  broadcast,
+} = require("../services/realtime");
+const { verifyToken } = require("../services/sessions");
+const { checkKitchenOpen } = require("../services/hours");
+const { queueEmail } = require("../services/email");
+const { normalizePhone, samePhone, upsertCustomer } = require("../services/customers");
+const {
+  loadModifierGroups,
+  resolveModifiers,
+  saveOrderItemModifiers,
+  orderItemModifiersColumn,
+} = require("../services/modifiers");
+const { takeStock, broadcastStock } = require("../services/stock");
+const {
+  menuMoment,
+  momentParams,
+  orderableCondition,
+  loadComboComponents,
+} = require("../services/menu");
+const {
+  applyPromotions,
+  saveOrderDiscounts,
+  orderDiscountsColumn,
+} = require("../services/promotions");
+const { toCents, fromCents, orderTotals, orderBreakdownColumn } = require("../services/money");
+const { pushTicket } = require("../services/kitchen");
+const { reservePromoCheck, recordPromoFailure, recordPromoSuccess } = require("../services/guestGuard");
+const {
+  ORDER_STATUSES,
+  nextStatuses,
+  recordStatus,
+  changeOrderStatus,
+  orderTimelineColumn,
+} = require("../services/orderStatus");
 
 const router = express.Router();
 
-/* =========================
-   HELPERS
-========================= */
-
-// Reusable: get order + items
-async function fetchOrderWithItems(id) {
-  const orderRes = await pool.query(`SELECT * FROM orders WHERE id = $1`, [id]);
-  const order = orderRes.rows?.[0];
-  if (!order) return null;
-
-  const itemsRes = await pool.query(
-    `
-    SELECT
-      oi.*,
-      mi.name_en,
-      mi.name_cn
-    FROM order_items oi
-    JOIN menu_items mi ON mi.id = oi.menu_item_id
-    WHERE oi.order_id = $1
-    ORDER BY oi.id ASC
-    `,
-    [id]
-  );
-
-  return { ...order, items: itemsRes.rows };
-}
-
 /* =========================
   SSE: CUSTOMER (PER ORDER)
   GET /api/orders/:id/stream
 ========================= */
 
-const orderSseClients = new Map(); // orderId -> Set(res)
-
-function sseSendMessage(res, data) {
-  // default "message" event (what your index.html listens for)
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
-}
-
-function sendToOrder(orderId, payload) {
-  const set = orderSseClients.get(orderId);
-  if (!set) return;
-  for (const res of set) {
-    try {
-      sseSendMessage(res, payload);
-    } catch {}
-  }
-}
-
 // CUSTOMER: SSE STREAM
 router.get("/:id(\\d+)/stream", async (req, res) => {
   const id = parseInt(req.params.id, 10);
@@ -69,76 +70,36 @@ router.get("/:id(\\d+)/stream", async (req, res) => {
   res.flushHeaders?.();
 
   // register client
-  if (!orderSseClients.has(id)) orderSseClients.set(id, new Set());
-  orderSseClients.get(id).add(res);
+  addOrderClient(id, res);
 
   // send initial snapshot immediately
   try {
-    const snapshot = await fetchOrderWithItems(id);
+    const snapshot = await fetchPublicOrder(id);
     if (snapshot) sseSendMessage(res, snapshot);
   } catch {}
 
   req.on("close", () => {
-    const set = orderSseClients.get(id);
-    if (set) {
-      set.delete(res);
-      if (set.size === 0) orderSseClients.delete(id);
-    }
+    removeOrderClient(id, res);
   });
 });
 
-/* =========================
-  SSE: REAL-TIME PUSH (ADMIN)
-  GET /api/orders/stream?token=JWT
-========================= */
-
-const sseClients = new Set();
-
-function sseSend(res, event, data) {
-  res.write(`event: ${event}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
-}
-
-function broadcast(event, data) {
-  for (const client of sseClients) {
-    try {
-      sseSend(client, event, data);
-    } catch {
-      // ignore broken clients
-    }
-  }
-}
-
-// keep-alive ping (admin + customer)
-setInterval(() => {
-  // admin pings
-  for (const client of sseClients) {
-    try {
-      client.write(`: ping\n\n`);
-    } catch {}
-  }
-
-  // customer pings
-  for (const set of orderSseClients.values()) {
-    for (const res of set) {
-      try {
-        res.write(`: ping\n\n`);
-      } catch {}
-    }
-  }
-}, 25000);
-
 /* =========================
    ADMIN: SSE STREAM
-   GET /api/orders/stream?token=JWT
+   GET /api/orders/stream?token=STREAM_TOKEN
 ========================= */
-router.get("/stream", (req, res) => {
+router.get("/stream", async (req, res) => {
   try {
     const token = String(req.query.token || "");
     if (!token) return res.status(401).json({ message: "No token" });
 
-    // verify token
-    jwt.verify(token, process.env.JWT_SECRET);
+    // short-lived stream token from POST /api/auth/stream-token
+    const payload = verifyToken(token, "stream");
+
+    const user = await loadActiveUser(payload.id, payload.sid);
+    if (!user) return res.status(401).json({ message: "Session revoked" });
+    if (!hasPermission(user.role, "orders:view")) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
 
     res.setHeader("Content-Type", "text/event-stream");
     res.setHeader("Cache-Control", "no-cache");
@@ -148,10 +109,10 @@ router.get("/stream", (req, res) => {
 
     sseSend(res, "connected", { ok: true, at: Date.now() });
 
-    sseClients.add(res);
+    addAdminClient(res, { userId: user.id, sid: user.sid });
 
     req.on("close", () => {
-      sseClients.delete(res);
+      removeAdminClient(res);
     });
   } catch (e) {
     return res.status(401).json({ message: "Invalid token" });
@@ -165,14 +126,18 @@ router.get("/stream", (req, res) => {
 const OrderSchema = z.object({
   customer_name: z.string().min(1),
   customer_phone: z.string().min(3),
+  customer_email: z.string().trim().email().max(254).optional().nullable(),
   order_type: z.enum(["dine_in", "takeaway"]).default("takeaway"),
   table_no: z.string().optional().nullable(),
   notes: z.string().optional().nullable(),
+  promo_code: z.string().trim().min(1).max(30).optional().nullable(),
   items: z
     .array(
       z.object({
         menu_item_id: z.number().int(),
         quantity: z.number().int().min(1),
+        // options from the dish's modifier groups; priced on the server
+        modifier_option_ids: z.array(z.number().int().positive()).max(20).default([]),
       })
     )
     .min(1),
@@ -183,6 +148,19 @@ const CollectedVerifySchema = z.object({
   customer_phone: z.string().min(3),
 });
 
+const OrderStatusSchema = z.object({
+  status: z.enum(ORDER_STATUSES),
+  reason: z.string().trim().min(1).max(500).optional(), // needed to cancel
+});
+
+// Settle the promo code lookup reserved before the order was priced; only a
+// code that does not exist counts against the caller.
+function settlePromoCheck(ip, unknownCode) {
+  return (unknownCode ? recordPromoFailure(ip) : recordPromoSuccess(ip)).catch((e) =>
+    console.error("Promo check error:", e)
+  );
+}
+
 /* =========================
    PUBLIC: CREATE ORDER
    POST /api/orders
@@ -193,10 +171,40 @@ router.post("/", async (req, res) => {
     return res.status(400).json({ error: parsed.error.flatten() });
   }
 
-  const { customer_name, customer_phone, order_type, table_no, notes, items } =
-    parsed.data;
+  const {
+    customer_name,
+    customer_phone,
+    customer_email,
+    order_type,
+    table_no,
+    notes,
+    promo_code,
+    items,
+  } = parsed.data;
+
+  const phone = normalizePhone(customer_phone);
+  if (!phone) return res.status(400).json({ error: "Please enter a valid phone number." });
+
+  try {
+    // nothing can be cooked outside opening hours (Singapore time)
+    const closed = await checkKitchenOpen(pool);
+    if (closed) return res.status(400).json({ error: closed });
+
+    // codes that do not exist back off and lock per IP, as on
+    // POST /api/promotions/validate
+    if (promo_code) {
+      const guard = await reservePromoCheck(req.ip);
+      if (!guard.allowed) {
+        res.setHeader("Retry-After", String(guard.retry_after));
+        return res.status(guard.status).json({ error: guard.message });
+      }
+    }
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
 
   const client = await pool.connect();
+  let placed;
 
   try {
     await client.query("BEGIN");
@@ -218,69 +226,238 @@ router.post("/", async (req, res) => {
     const ymd = ymdRes.rows?.[0]?.ymd;
     const orderNo = `${ymd}-${String(seq).padStart(3, "0")}`;
 
+    const customer = await upsertCustomer(client, {
+      phone,
+      name: customer_name,
+      email: customer_email || null,
+    });
+
     const orderInsert = await client.query(
       `
       INSERT INTO orders
-        (order_no, customer_name, customer_phone, order_type, table_no, notes, total_amount)
+        (order_no, customer_name, customer_phone, order_type, table_no, notes, total_amount,
+         customer_email, customer_id)
       VALUES
-        ($1, $2, $3, $4, $5, $6, 0)
+        ($1, $2, $3, $4, $5, $6, 0, $7, $8)
       RETURNING id;
       `,
       [
         orderNo,
         customer_name,
-        customer_phone,
+        phone,
         order_type,
         table_no || null,
         notes || null,
+        customer_email || null,
+        customer.id,
       ]
     );
 
     const orderId = orderInsert.rows?.[0]?.id;
     if (!orderId) throw new Error("Failed to create order");
 
-    let total = 0;
+    await recordStatus(client, orderId, null, "pending", { source: "customer" });
+
+    const lines = [];
+    const emailItems = [];
+    const stockChanges = [];
+    const groupsByItem = await loadModifierGroups(
+      client,
+      items.map((it) => it.menu_item_id)
+    );
+    const moment = menuMoment();
 
     for (const it of items) {
       const menuRes = await client.query(
         `
-        SELECT price
-        FROM menu_items
-        WHERE id = $1
-          AND is_available = TRUE
+        SELECT
+          m.id,
+          m.price,
+          m.name_en,
+          m.name_cn,
+          m.category_id,
+          c.name_en AS category,
+          c.name_cn AS category_cn,
+          m.station_id,
+          m.stock_remaining,
+          ${orderableCondition(2)} AS orderable
+        FROM menu_items m
+        JOIN menu_categories c ON c.id = m.category_id
+        WHERE m.id = $1
+          AND m.is_available = TRUE
         `,
-        [it.menu_item_id]
+        [it.menu_item_id, ...momentParams(moment)]
       );
 
       const menuItem = menuRes.rows?.[0];
       if (!menuItem) throw new Error("Menu item not found");
+      // lunch sets, dinner-only dishes, specials outside their dates
+      if (!menuItem.orderable) throw new Error(`${menuItem.name_en} is not available at this time`);
+
+      // set meals are cooked as their dishes, which must all be on today
+      const components = await loadComboComponents(client, menuItem.id);
+      const missing = components.find((c) => !c.is_available);
+      if (missing) throw new Error(`${missing.name_en} in ${menuItem.name_en} is not available today`);
+
+      // limited dishes: the whole order fails if any line runs out
+      for (const [dish, quantity] of [
+        [menuItem, it.quantity],
+        ...components.map((c) => [c, c.quantity * it.quantity]),
+      ]) {
+        if (dish.stock_remaining === null) continue;
+        const taken = await takeStock(client, dish, quantity);
+        if (taken) stockChanges.push(taken);
+      }
+
+      const { selections, deltaCents } = resolveModifiers(
+        menuItem.name_en,
+        groupsByItem[it.menu_item_id],
+        it.modifier_option_ids
+      );
 
-      const unitPrice = Number(menuItem.price);
-      const lineTotal = unitPrice * it.quantity;
-      total += lineTotal;
+      const unitCents = toCents(menuItem.price) + deltaCents;
+      if (unitCents < 0) throw new Error(`Invalid price for ${menuItem.name_en}`);
+      const lineCents = unitCents * it.quantity;
+      lines.push({ menu_item_id: menuItem.id, category_id: menuItem.category_id, line_cents: lineCents });
 
-      await client.query(
+      // lines keep the dish as it was ordered; later menu edits leave them alone
+      const itemInsert = await client.query(
         `
         INSERT INTO order_items
-          (order_id, menu_item_id, quantity, unit_price, line_total)
+          (order_id, menu_item_id, quantity, unit_price, line_total,
+           name_en, name_cn, category, category_cn, menu_price, station_id)
         VALUES
-          ($1, $2, $3, $4, $5)
+          ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id
         `,
-        [orderId, it.menu_item_id, it.quantity, unitPrice, lineTotal]
+        [
+          orderId,
+          it.menu_item_id,
+          it.quantity,
+          fromCents(unitCents),
+          fromCents(lineCents),
+          menuItem.name_en,
+          menuItem.name_cn,
+          menuItem.category,
+          menuItem.category_cn,
+          menuItem.price,
+          menuItem.station_id,
+        ]
       );
+      const orderItemId = itemInsert.rows[0].id;
+      await saveOrderItemModifiers(client, orderItemId, selections);
+
+      // one zero-priced line per dish in a set meal, so the kitchen sees them
+      for (const c of components) {
+        await client.query(
+          `
+          INSERT INTO order_items
+            (order_id, menu_item_id, quantity, unit_price, line_total, parent_order_item_id,
+             name_en, name_cn, category, category_cn, menu_price, station_id)
+          VALUES
+            ($1, $2, $3, 0, 0, $4, $5, $6, $7, $8, $9, $10)
+          `,
+          [
+            orderId,
+            c.id,
+            c.quantity * it.quantity,
+            orderItemId,
+            c.name_en,
+            c.name_cn,
+            c.category,
+            c.category_cn,
+            c.price,
+            c.station_id,
+          ]
+        );
+      }
+
+      emailItems.push({
+        name_en: menuItem.name_en,
+        quantity: it.quantity,
+        line_total: fromCents(lineCents),
+        modifiers: [
+          ...selections.map((s) => s.name_en),
+          ...components.map((c) => (c.quantity > 1 ? `${c.quantity} × ${c.name_en}` : c.name_en)),
+        ],
+      });
     }
 
+    // discounts are worked out here, so the client cannot set its own total
+    const pricing = await applyPromotions(client, {
+      code: promo_code,
+      phone,
+      order_type,
+      lines,
+      moment,
+      lock: true,
+    });
+    await saveOrderDiscounts(client, orderId, pricing.discounts);
+
+    const totals = orderTotals({
+      subtotalCents: pricing.subtotalCents,
+      discountCents: pricing.discountCents,
+      orderType: order_type,
+    });
+
     await client.query(
       `
       UPDATE orders
-      SET total_amount = $1, updated_at = NOW()
-      WHERE id = $2
+      SET subtotal_amount = $1,
+          discount_amount = $2,
+          service_charge_amount = $3,
+          gst_amount = $4,
+          rounding_amount = $5,
+          total_amount = $6,
+          service_charge_rate = $7,
+          gst_rate = $8,
+          gst_inclusive = $9,
+          updated_at = NOW()
+      WHERE id = $10
       `,
-      [total, orderId]
+      [
+        fromCents(totals.subtotal_cents),
+        fromCents(totals.discount_cents),
+        fromCents(totals.service_charge_cents),
+        fromCents(totals.gst_cents),
+        fromCents(totals.rounding_cents),
+        fromCents(totals.total_cents),
+        totals.service_charge_rate,
+        totals.gst_rate,
+        totals.gst_inclusive,
+        orderId,
+      ]
     );
 
+    await queueEmail(client, "order_received", customer_email, {
+      customer_name,
+      order_no: orderNo,
+      order_type,
+      items: emailItems,
+      discounts: pricing.discounts,
+      breakdown: totals,
+      total_amount: fromCents(totals.total_cents),
+    });
+
     await client.query("COMMIT");
+    placed = { orderId, orderNo, totals, pricing, stockChanges };
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    if (promo_code) await settlePromoCheck(req.ip, e.unknownCode);
+    if (e.soldOut) return res.status(409).json({ error: e.message, sold_out: e.soldOut });
+    return res.status(400).json({ error: e.message });
+  } finally {
+    client.release();
+  }
 
+  // The order is placed. Nothing from here on may fail the request, or the
+  // customer would try again and order twice.
+  const { orderId, orderNo, totals, pricing, stockChanges } = placed;
+  if (promo_code) await settlePromoCheck(req.ip, false);
+
+  try {
     // ✅ ADMIN PUSH: order created
     broadcast("orders_updated", {
       action: "created",
@@ -290,22 +467,25 @@ router.post("/", async (req, res) => {
     });
 
     // ✅ CUSTOMER PUSH (optional): if customer already connected, send snapshot
-    const snapshot = await fetchOrderWithItems(orderId);
+    const snapshot = await fetchPublicOrder(orderId);
     if (snapshot) sendToOrder(orderId, snapshot);
 
-    return res.status(201).json({
-      order_id: orderId,
-      order_no: orderNo,
-      total_amount: total,
-    });
+    broadcastStock(stockChanges);
+
+    // ✅ KITCHEN PUSH: new ticket on the station screens
+    await pushTicket(orderId);
   } catch (e) {
-    try {
-      await client.query("ROLLBACK");
-    } catch {}
-    return res.status(400).json({ error: e.message });
-  } finally {
-    client.release();
+    console.error("POST /orders push error:", e);
   }
+
+  return res.status(201).json({
+    order_id: orderId,
+    order_no: orderNo,
+    subtotal_amount: fromCents(totals.subtotal_cents),
+    discounts: pricing.discounts,
+    total_amount: fromCents(totals.total_cents),
+    breakdown: totals,
+  });
 });
 
 /* =========================
@@ -318,9 +498,16 @@ router.get("/track/:orderNo", async (req, res) => {
 
     const r = await pool.query(
       `
-      SELECT order_no, status, created_at, updated_at
-      FROM orders
-      WHERE order_no = $1
+      SELECT
+        o.order_no,
+        o.status,
+        o.cancel_reason,
+        ${orderBreakdownColumn("o")} AS breakdown,
+        ${orderTimelineColumn("o.id")} AS timeline,
+        o.created_at,
+        o.updated_at
+      FROM orders o
+      WHERE o.order_no = $1
       `,
       [orderNo]
     );
@@ -339,16 +526,19 @@ router.get("/track/:orderNo", async (req, res) => {
    POST /api/orders/:id/collected
 ========================= */
 router.post("/:id(\\d+)/collected", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
+  const id = parseInt(req.params.id, 10);
 
-    const parsed = CollectedVerifySchema.safeParse(req.body);
-    if (!parsed.success) {
-      return res.status(400).json({ error: parsed.error.flatten() });
-    }
-    const { order_no, customer_phone } = parsed.data;
+  const parsed = CollectedVerifySchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.flatten() });
+  }
+  const { order_no, customer_phone } = parsed.data;
 
-    const orderRes = await pool.query(
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const orderRes = await client.query(
       `
       SELECT id, order_no, customer_phone, status
       FROM orders
@@ -358,34 +548,26 @@ router.post("/:id(\\d+)/collected", async (req, res) => {
     );
 
     const order = orderRes.rows?.[0];
-    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!order) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Order not found" });
+    }
 
     if (
       String(order.order_no || "") !== String(order_no || "") ||
-      String(order.customer_phone || "") !== String(customer_phone || "")
+      !samePhone(order.customer_phone, customer_phone)
     ) {
+      await client.query("ROLLBACK");
       return res.status(403).json({ error: "Verification failed" });
     }
 
-    const cur = String(order.status || "").toLowerCase();
-    if (cur !== "ready") {
-      return res.status(400).json({
-        error: `Cannot mark collected unless status is 'ready'. Current: '${order.status}'`,
-      });
+    const changed = await changeOrderStatus(client, id, "collected", { source: "customer" });
+    if (changed.error) {
+      await client.query("ROLLBACK");
+      return res.status(changed.status).json({ error: changed.error });
     }
 
-    const upd = await pool.query(
-      `
-      UPDATE orders
-      SET status = 'collected', updated_at = NOW()
-      WHERE id = $1
-      `,
-      [id]
-    );
-
-    if (upd.rowCount === 0) {
-      return res.status(404).json({ error: "Order not found" });
-    }
+    await client.query("COMMIT");
 
     // ✅ ADMIN PUSH
     broadcast("orders_updated", {
@@ -395,12 +577,17 @@ router.post("/:id(\\d+)/collected", async (req, res) => {
     });
 
     // ✅ CUSTOMER PUSH: send updated snapshot immediately
-    const updated = await fetchOrderWithItems(id);
+    const updated = await fetchPublicOrder(id);
     if (updated) sendToOrder(id, updated);
 
     return res.json(updated);
   } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
     return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -412,7 +599,7 @@ router.get("/:id(\\d+)", async (req, res) => {
   try {
     const id = parseInt(req.params.id, 10);
 
-    const order = await fetchOrderWithItems(id);
+    const order = await fetchPublicOrder(id);
     if (!order) return res.status(404).json({ error: "Order not found" });
 
     return res.json(order);
@@ -425,7 +612,7 @@ router.get("/:id(\\d+)", async (req, res) => {
    ADMIN: LIST ORDERS (WITH ITEMS)
    GET /api/orders/admin
 ========================= */
-router.get("/admin", requireAuth, async (req, res) => {
+router.get("/admin", requireAuth, requirePermission("orders:view"), async (req, res) => {
   try {
     const r = await pool.query(`
       SELECT
@@ -433,25 +620,56 @@ router.get("/admin", requireAuth, async (req, res) => {
         COALESCE(
           json_agg(
             json_build_object(
+              'id', oi.id,
+              'parent_order_item_id', oi.parent_order_item_id,
               'menu_item_id', oi.menu_item_id,
               'quantity', oi.quantity,
               'unit_price', oi.unit_price,
               'line_total', oi.line_total,
-              'name_en', mi.name_en,
-              'name_cn', mi.name_cn
+              'name_en', oi.name_en,
+              'name_cn', oi.name_cn,
+              'category', oi.category,
+              'category_cn', oi.category_cn,
+              'menu_price', oi.menu_price,
+              'modifiers', ${orderItemModifiersColumn("oi.id")}
             )
             ORDER BY oi.id ASC
           ) FILTER (WHERE oi.id IS NOT NULL),
           '[]'::json
-        ) AS items
+        ) AS items,
+        (
+          SELECT COALESCE(
+            json_agg(
+              json_build_object(
+                'id', p.id,
+                'provider', p.provider,
+                'amount_cents', p.amount_cents,
+                'status', p.status,
+                'card_brand', p.card_brand,
+                'card_last4', p.card_last4,
+                'failure_reason', p.failure_reason,
+                'transaction_ref', p.transaction_ref,
+                'refunded_cents', p.refunded_cents,
+                'created_at', p.created_at
+              )
+              ORDER BY p.id ASC
+            ),
+            '[]'::json
+          )
+          FROM payments p
+          WHERE p.order_id = o.id
+        ) AS payments,
+        ${orderDiscountsColumn("o.id")} AS discounts,
+        ${orderBreakdownColumn("o")} AS breakdown,
+        ${orderTimelineColumn("o.id", { staff: true })} AS timeline
       FROM orders o
       LEFT JOIN order_items oi ON oi.order_id = o.id
-      LEFT JOIN menu_items mi ON mi.id = oi.menu_item_id
       GROUP BY o.id
       ORDER BY o.id DESC
     `);
 
-    return res.json(r.rows);
+    // what the dashboard may move each order to
+    return res.json(r.rows.map((o) => ({ ...o, next_statuses: nextStatuses(o.status, "staff") })));
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
@@ -459,31 +677,34 @@ router.get("/admin", requireAuth, async (req, res) => {
 
 /* =========================
    ADMIN: UPDATE STATUS
-   PUT /api/orders/:id
+   PUT /api/orders/:id  { status, reason? }
+   Moves allowed by services/orderStatus.js; cancelling needs a reason.
 ========================= */
-router.put("/:id(\\d+)", requireAuth, async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    const { status } = req.body;
+router.put("/:id(\\d+)", requireAuth, requirePermission("orders:update_status"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
 
-    const allowed = ["pending", "ready", "collected"];
-    if (!allowed.includes(status)) {
-      return res.status(400).json({ error: "Invalid status" });
-    }
+  const parsed = OrderStatusSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.flatten() });
+  }
+  const { status, reason } = parsed.data;
 
-    const r = await pool.query(
-      `
-      UPDATE orders
-      SET status = $1, updated_at = NOW()
-      WHERE id = $2
-      `,
-      [status, id]
-    );
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-    if (r.rowCount === 0) {
-      return res.status(404).json({ error: "Order not found" });
+    const changed = await changeOrderStatus(client, id, status, {
+      source: "staff",
+      user: req.user,
+      reason,
+    });
+    if (changed.error) {
+      await client.query("ROLLBACK");
+      return res.status(changed.status).json({ error: changed.error });
     }
 
+    await client.query("COMMIT");
+
     // ✅ ADMIN PUSH
     broadcast("orders_updated", {
       action: "status_updated",
@@ -491,14 +712,23 @@ router.put("/:id(\\d+)", requireAuth, async (req, res) => {
       status,
       at: Date.now(),
     });
+    broadcastStock(changed.stock);
 
     // ✅ CUSTOMER PUSH: send updated snapshot immediately
-    const updated = await fetchOrderWithItems(id);
+    const updated = await fetchPublicOrder(id);
     if (updated) sendToOrder(id, updated);
 
+    // ✅ KITCHEN PUSH: a ticket leaves (or comes back to) the screens
+    await pushTicket(id);
+
     return res.json({ message: "Order status updated" });
   } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
     return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
   }
 });
 
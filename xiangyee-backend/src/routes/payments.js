@@ -1,72 +1,879 @@
 const express = require("express");
+const { pool } = require("../db");
+const { z } = require("zod");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { fetchOrderWithItems, fetchPublicOrder } = require("../services/orders");
+const { broadcast, sendToOrder } = require("../services/realtime");
+const { queueEmail } = require("../services/email");
+const { samePhone } = require("../services/customers");
+const {
+  getProvider,
+  applyPaymentResult,
+  voidInFlight,
+  FINAL_STATUSES,
+  UNSETTLED_STATUSES,
+} = require("../services/payments");
+
 const router = express.Router();
 
-function makeRef() {
-  return (
-    "MOCK_" +
-    Date.now().toString(36).toUpperCase() +
-    "_" +
-    Math.floor(Math.random() * 1000000).toString().padStart(6, "0")
-  );
-}
+const CURRENCY = "SGD";
+
+const MESSAGES = {
+  success: "Payment successful",
+  failed: "Payment failed",
+  requires_action: "Additional authentication required",
+  pending: "Payment is processing",
+};
+
+// push a payment change to admin + customer streams
+async function notifyPayment(orderId, payment) {
+  const actions = {
+    success: "paid",
+    failed: "payment_failed",
+    requires_action: "payment_pending",
+    pending: "payment_pending",
+  };
+
+  broadcast("orders_updated", {
+    action: actions[payment.status],
+    order_id: orderId,
+    at: Date.now(),
+  });
 
-function detectBrand(cardNumber) {
-  const n = cardNumber.replace(/\s+/g, "");
-  if (/^4\d{12}(\d{3})?$/.test(n)) return "VISA";
-  if (/^(5[1-5]\d{14})$/.test(n)) return "MASTERCARD";
-  if (/^3[47]\d{13}$/.test(n)) return "AMEX";
-  return "UNKNOWN";
+  const snapshot = await fetchPublicOrder(orderId);
+  if (snapshot) sendToOrder(orderId, snapshot);
 }
 
+/* =========================
+   REFUND VALIDATION
+========================= */
+
+const RefundSchema = z.object({
+  reason: z.string().trim().min(3),
+  // omit to refund everything that is still refundable
+  items: z
+    .array(
+      z.object({
+        order_item_id: z.number().int(),
+        quantity: z.number().int().min(1),
+      })
+    )
+    .min(1)
+    .optional(),
+});
+
+const VoidSchema = z.object({
+  reason: z.string().trim().min(3),
+});
+
+// the customer proves the payment is theirs with the order's phone number
+const ConfirmSchema = z.object({
+  customer_phone: z.string().min(3),
+  challenge_passed: z.boolean().default(false),
+});
+
+/* =========================
+   PUBLIC: CHARGE ORDER
+   POST /api/payments/charge
+========================= */
 router.post("/charge", async (req, res) => {
+  const { order_id, amount_cents, card_number } = req.body || {};
+
+  if (!order_id || amount_cents == null || !card_number) {
+    return res.status(400).json({
+      error: "Missing order_id / amount_cents / card_number",
+    });
+  }
+
+  const orderId = parseInt(order_id, 10);
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return res.status(400).json({ error: "Invalid order_id" });
+  }
+
+  const amount = Number(amount_cents);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ error: "Invalid amount_cents" });
+  }
+
+  const normalized = String(card_number).replace(/\s+/g, "");
+
+  if (!/^\d{16}$/.test(normalized)) {
+    return res.status(400).json({
+      error: "Card number must be exactly 16 digits",
+    });
+  }
+
+  const client = await pool.connect();
+
   try {
-    const { order_id, amount_cents, card_number } = req.body || {};
+    const provider = getProvider();
+
+    await client.query("BEGIN");
+
+    // lock the order so two charges cannot both succeed
+    const orderRes = await client.query(
+      `
+      SELECT
+        id,
+        status,
+        payment_status,
+        ROUND(total_amount * 100)::int AS total_cents
+      FROM orders
+      WHERE id = $1
+      FOR UPDATE
+      `,
+      [orderId]
+    );
+
+    const order = orderRes.rows?.[0];
+    if (!order) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Order not found" });
+    }
 
-    if (!order_id || amount_cents == null || !card_number) {
+    if (["paid", "partially_refunded", "refunded"].includes(order.payment_status)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Order is already paid" });
+    }
+
+    if (order.status === "cancelled") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "Order is cancelled" });
+    }
+
+    if (order.total_cents !== amount) {
+      await client.query("ROLLBACK");
       return res.status(400).json({
-        error: "Missing order_id / amount_cents / card_number",
+        error: `Amount does not match order total (expected ${order.total_cents} cents)`,
       });
     }
 
-    const amount = Number(amount_cents);
-    if (!Number.isFinite(amount) || amount <= 0) {
-      return res.status(400).json({ error: "Invalid amount_cents" });
+    const processing = await client.query(
+      `
+      SELECT id
+      FROM payments
+      WHERE order_id = $1
+        AND status = 'pending'
+      LIMIT 1
+      `,
+      [orderId]
+    );
+    if (processing.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "A payment for this order is still processing",
+      });
     }
 
-    const CURRENCY = "SGD";
+    // an abandoned 3DS challenge is replaced by the new attempt
+    await client.query(
+      `
+      UPDATE payments
+      SET status = 'failed', failure_reason = 'Superseded by a new attempt', updated_at = NOW()
+      WHERE order_id = $1
+        AND status = 'requires_action'
+      `,
+      [orderId]
+    );
+
+    const intent = await provider.createIntent({
+      order_id: orderId,
+      amount_cents: amount,
+      currency: CURRENCY,
+    });
+
+    const paymentInsert = await client.query(
+      `
+      INSERT INTO payments
+        (order_id, provider, amount_cents, currency, status, transaction_ref)
+      VALUES
+        ($1, $2, $3, $4, $5, $6)
+      RETURNING id;
+      `,
+      [orderId, provider.name, amount, CURRENCY, intent.status, intent.provider_ref]
+    );
+
+    const result = await provider.confirm(intent.provider_ref, {
+      card_number: normalized,
+    });
+
+    const payment = await applyPaymentResult(
+      client,
+      paymentInsert.rows[0].id,
+      result
+    );
+
+    await client.query("COMMIT");
+
+    await notifyPayment(orderId, payment);
+
+    return res.json({
+      payment,
+      next_action: result.next_action || null,
+      message: MESSAGES[payment.status],
+    });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("Payment error:", err);
+    return res.status(500).json({ error: "Payment error" });
+  } finally {
+    client.release();
+  }
+});
+
+/* =========================
+   PUBLIC: COMPLETE AUTHENTICATION (3DS)
+   POST /api/payments/:id/confirm
+========================= */
+router.post("/:id(\\d+)/confirm", async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  const parsed = ConfirmSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const { customer_phone, challenge_passed } = parsed.data;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `
+      SELECT p.*, o.customer_phone
+      FROM payments p
+      JOIN orders o ON o.id = p.order_id
+      WHERE p.id = $1
+      FOR UPDATE OF p
+      `,
+      [id]
+    );
+
+    const existing = r.rows?.[0];
+    if (!existing) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Payment not found" });
+    }
 
-    const card = String(card_number);
-    const normalized = card.replace(/\s+/g, "");
+    if (!samePhone(existing.customer_phone, customer_phone)) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({ error: "Verification failed" });
+    }
 
-    if (!/^\d{16}$/.test(normalized)) {
+    if (existing.status !== "requires_action") {
+      await client.query("ROLLBACK");
       return res.status(400).json({
-        error: "Card number must be exactly 16 digits",
+        error: `Payment does not need confirmation. Current: '${existing.status}'`,
       });
     }
 
-    const last4 = normalized.slice(-4);
-    const brand = detectBrand(card);
+    if (await voidInFlight(client, id)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "This payment is being voided" });
+    }
+
+    const provider = getProvider(existing.provider);
+    const result = await provider.confirm(existing.transaction_ref, {
+      challenge_passed,
+    });
+
+    const payment = await applyPaymentResult(client, id, result);
+
+    await client.query("COMMIT");
 
-    const FAIL_CARD = "4242424242424242";
-    const ok = normalized !== FAIL_CARD;
+    await notifyPayment(payment.order_id, payment);
 
     return res.json({
-      payment: {
-        order_id,
-        amount_cents: amount,
-        currency: CURRENCY,
-        card_brand: brand,
-        card_last4: last4,
-        status: ok ? "success" : "failed",
-        failure_reason: ok ? null : "Mock card declined",
-        transaction_ref: makeRef(),
-        created_at: new Date().toISOString(),
-      },
-      message: ok ? "Payment successful (mock)" : "Payment failed (mock)",
+      payment,
+      next_action: result.next_action || null,
+      message: MESSAGES[payment.status],
+    });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("Payment confirm error:", err);
+    return res.status(500).json({ error: "Payment error" });
+  } finally {
+    client.release();
+  }
+});
+
+/* =========================
+   PROVIDER: WEBHOOK
+   POST /api/payments/webhook
+========================= */
+router.post("/webhook", async (req, res) => {
+  let provider;
+  let event;
+  try {
+    provider = getProvider(req.query.provider);
+    event = provider.parseWebhook(req.rawBody?.toString("utf8") || "", req.headers);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  // unknown event types are acknowledged so the provider stops retrying
+  if (!event.status || !event.provider_ref) {
+    return res.json({ received: true });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `
+      SELECT *
+      FROM payments
+      WHERE provider = $1
+        AND transaction_ref = $2
+      FOR UPDATE
+      `,
+      [provider.name, event.provider_ref]
+    );
+
+    const existing = r.rows?.[0];
+    if (!existing) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    // webhooks can be redelivered; settled payments stay as they are
+    if (FINAL_STATUSES.includes(existing.status)) {
+      await client.query("ROLLBACK");
+      return res.json({ received: true });
+    }
+
+    // not acknowledged, so the provider sends it again once the void settles
+    if (await voidInFlight(client, existing.id)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "A void of this payment is in progress" });
+    }
+
+    const payment = await applyPaymentResult(client, existing.id, event);
+
+    await client.query("COMMIT");
+
+    await notifyPayment(payment.order_id, payment);
+
+    return res.json({ received: true });
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("Payment webhook error:", err);
+    return res.status(500).json({ error: "Webhook error" });
+  } finally {
+    client.release();
+  }
+});
+
+/* =========================
+   REFUND LEDGER
+========================= */
+
+// Check and allocate a refund of the order, oldest charge first, and record it
+// as one 'pending' refund per charge. The amount and line quantities are taken
+// off what can be refunded straight away, so nothing is refunded twice while
+// the provider is being asked. Returns { order, amount, refunds: [{ refund,
+// payment }] } or { status, error }; commit before asking the provider.
+async function reserveRefund(db, orderId, { reason, items, user }) {
+  const orderRes = await db.query(
+    `
+    SELECT
+      id,
+      order_no,
+      customer_name,
+      customer_email,
+      amount_paid_cents,
+      amount_refunded_cents,
+      ROUND(subtotal_amount * 100)::int AS subtotal_cents,
+      ROUND(total_amount * 100)::int AS total_cents
+    FROM orders
+    WHERE id = $1
+    FOR UPDATE
+    `,
+    [orderId]
+  );
+
+  const order = orderRes.rows?.[0];
+  if (!order) return { status: 404, error: "Order not found" };
+
+  const refundable = order.amount_paid_cents - order.amount_refunded_cents;
+  if (refundable <= 0) return { status: 400, error: "Nothing left to refund on this order" };
+
+  const linesRes = await db.query(
+    `
+    SELECT
+      id,
+      quantity,
+      refunded_quantity,
+      parent_order_item_id,
+      ROUND(unit_price * 100)::int AS unit_cents
+    FROM order_items
+    WHERE order_id = $1
+    ORDER BY id ASC
+    FOR UPDATE
+    `,
+    [orderId]
+  );
+  const lines = new Map(linesRes.rows.map((l) => [l.id, l]));
+
+  // each line is refunded at its share of what was paid, so discounts,
+  // service charge and GST-exclusive pricing are spread over the lines
+  const lineRefundCents = (line, qty) =>
+    order.subtotal_cents > 0 && order.total_cents !== order.subtotal_cents
+      ? Math.round((line.unit_cents * qty * order.total_cents) / order.subtotal_cents)
+      : line.unit_cents * qty;
+
+  // order_item_id -> quantity being refunded
+  const refundQty = new Map();
+  let amount = 0;
+
+  if (items) {
+    for (const it of items) {
+      const line = lines.get(it.order_item_id);
+      if (!line) return { status: 400, error: `Order item ${it.order_item_id} is not on this order` };
+      if (line.parent_order_item_id) {
+        return {
+          status: 400,
+          error: `Order item ${line.id} is part of a set meal; refund the set meal line instead`,
+        };
+      }
+
+      const qty = (refundQty.get(line.id) || 0) + it.quantity;
+      if (qty > line.quantity - line.refunded_quantity) {
+        return { status: 400, error: `Order item ${line.id} cannot be refunded more than it was ordered` };
+      }
+
+      refundQty.set(line.id, qty);
+    }
+
+    for (const [orderItemId, qty] of refundQty) {
+      amount += lineRefundCents(lines.get(orderItemId), qty);
+    }
+
+    if (amount > refundable) {
+      return { status: 400, error: `Refund exceeds the refundable amount (${refundable} cents)` };
+    }
+  } else {
+    for (const line of lines.values()) {
+      const left = line.quantity - line.refunded_quantity;
+      if (left > 0) refundQty.set(line.id, left);
+    }
+    amount = refundable;
+  }
+
+  // spread the refund over the successful charges, oldest first
+  const paymentsRes = await db.query(
+    `
+    SELECT *
+    FROM payments
+    WHERE order_id = $1
+      AND status = 'success'
+      AND refunded_cents < amount_cents
+    ORDER BY id ASC
+    FOR UPDATE
+    `,
+    [orderId]
+  );
+
+  let left = amount;
+  const plan = [];
+
+  for (const payment of paymentsRes.rows) {
+    if (left <= 0) break;
+    const chunk = Math.min(left, payment.amount_cents - payment.refunded_cents);
+    plan.push({ payment, chunk });
+    left -= chunk;
+  }
+
+  if (left > 0) return { status: 400, error: "Paid amount does not cover the refund" };
+
+  const refunds = [];
+
+  for (const { payment, chunk } of plan) {
+    const refundInsert = await db.query(
+      `
+      INSERT INTO refunds
+        (order_id, payment_id, kind, status, amount_cents, reason, staff_user_id, staff_username)
+      VALUES
+        ($1, $2, 'refund', 'pending', $3, $4, $5, $6)
+      RETURNING *;
+      `,
+      [orderId, payment.id, chunk, reason, user.id, user.username]
+    );
+
+    await db.query(
+      `
+      UPDATE payments
+      SET refunded_cents = refunded_cents + $1, updated_at = NOW()
+      WHERE id = $2
+      `,
+      [chunk, payment.id]
+    );
+
+    refunds.push({ refund: refundInsert.rows[0], payment });
+  }
+
+  // line detail is kept on the first refund record
+  for (const [orderItemId, qty] of refundQty) {
+    const line = lines.get(orderItemId);
+
+    await db.query(
+      `
+      INSERT INTO refund_items (refund_id, order_item_id, quantity, amount_cents)
+      VALUES ($1, $2, $3, $4)
+      `,
+      [refunds[0].refund.id, orderItemId, qty, lineRefundCents(line, qty)]
+    );
+
+    await db.query(
+      `
+      UPDATE order_items
+      SET refunded_quantity = refunded_quantity + $1
+      WHERE id = $2
+      `,
+      [qty, orderItemId]
+    );
+  }
+
+  await db.query(
+    `
+    UPDATE orders
+    SET
+      amount_refunded_cents = amount_refunded_cents + $1,
+      payment_status = CASE
+        WHEN amount_refunded_cents + $1 >= amount_paid_cents THEN 'refunded'
+        ELSE 'partially_refunded'
+      END,
+      updated_at = NOW()
+    WHERE id = $2
+    `,
+    [amount, orderId]
+  );
+
+  return { order, amount, refunds };
+}
+
+// Settle a pending refund from the provider's answer. A refund the provider
+// made is kept; a refused one is marked failed and gives back what
+// reserveRefund took off the payment, its lines and the order.
+async function settleRefund(db, refund, result) {
+  if (result.status === "success") {
+    const r = await db.query(
+      `
+      UPDATE refunds
+      SET status = 'success', provider_ref = $1, settled_at = NOW()
+      WHERE id = $2
+      RETURNING *
+      `,
+      [result.refund_ref || null, refund.id]
+    );
+    return r.rows[0];
+  }
+
+  const r = await db.query(
+    `
+    UPDATE refunds
+    SET status = 'failed', failure_reason = $1, settled_at = NOW()
+    WHERE id = $2
+    RETURNING *
+    `,
+    [result.failure_reason || "Provider refused the refund", refund.id]
+  );
+
+  await db.query(
+    `
+    UPDATE payments
+    SET refunded_cents = refunded_cents - $1, updated_at = NOW()
+    WHERE id = $2
+    `,
+    [refund.amount_cents, refund.payment_id]
+  );
+
+  await db.query(
+    `
+    UPDATE order_items oi
+    SET refunded_quantity = oi.refunded_quantity - ri.quantity
+    FROM refund_items ri
+    WHERE ri.refund_id = $1
+      AND oi.id = ri.order_item_id
+    `,
+    [refund.id]
+  );
+
+  await db.query(
+    `
+    UPDATE orders
+    SET
+      amount_refunded_cents = amount_refunded_cents - $1,
+      payment_status = CASE
+        WHEN amount_refunded_cents - $1 <= 0 THEN 'paid'
+        WHEN amount_refunded_cents - $1 >= amount_paid_cents THEN 'refunded'
+        ELSE 'partially_refunded'
+      END,
+      updated_at = NOW()
+    WHERE id = $2
+    `,
+    [refund.amount_cents, refund.order_id]
+  );
+
+  return r.rows[0];
+}
+
+/* =========================
+   ADMIN: REFUND ORDER (FULL OR BY LINE)
+   POST /api/payments/admin/orders/:id/refund
+========================= */
+router.post(
+  "/admin/orders/:id(\\d+)/refund",
+  requireAuth,
+  requirePermission("payments:refund"),
+  async (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+
+    const parsed = RefundSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.flatten() });
+    }
+    const { reason, items } = parsed.data;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+
+      const reserved = await reserveRefund(client, orderId, { reason, items, user: req.user });
+      if (reserved.error) {
+        await client.query("ROLLBACK");
+        return res.status(reserved.status).json({ error: reserved.error });
+      }
+
+      await client.query("COMMIT");
+
+      // the refunds are on record before the provider is asked for any of them;
+      // after the first one that does not go through, the rest are not sent
+      const refunds = [];
+      let failure = null;
+
+      for (const { refund, payment } of reserved.refunds) {
+        let result;
+
+        if (failure) {
+          result = { status: "failed", failure_reason: "Not sent: an earlier refund did not go through" };
+        } else {
+          try {
+            result = await getProvider(payment.provider).refund(payment.transaction_ref, {
+              amount_cents: refund.amount_cents,
+              idempotency_key: `refund_${refund.id}`,
+            });
+          } catch (err) {
+            // no answer: the refund may have been made, so it stays pending
+            console.error("Refund error:", err);
+            failure = "The payment provider did not answer; the refund is pending";
+            refunds.push(refund);
+            continue;
+          }
+        }
+
+        await client.query("BEGIN");
+        const settled = await settleRefund(client, refund, result);
+        await client.query("COMMIT");
+
+        if (settled.status === "failed") failure = failure || settled.failure_reason;
+        refunds.push(settled);
+      }
+
+      const refunded = refunds
+        .filter((r) => r.status === "success")
+        .reduce((sum, r) => sum + r.amount_cents, 0);
+
+      if (refunded > 0) {
+        await queueEmail(client, "order_refunded", reserved.order.customer_email, {
+          customer_name: reserved.order.customer_name,
+          order_no: reserved.order.order_no,
+          amount_cents: refunded,
+        });
+      }
+
+      // ✅ ADMIN PUSH
+      broadcast("orders_updated", {
+        action: "refunded",
+        order_id: orderId,
+        amount_cents: refunded,
+        at: Date.now(),
+      });
+
+      // ✅ CUSTOMER PUSH
+      const updated = await fetchOrderWithItems(orderId);
+      const snapshot = await fetchPublicOrder(orderId);
+      if (snapshot) sendToOrder(orderId, snapshot);
+
+      if (failure) return res.status(502).json({ error: failure, refunds, order: updated });
+      return res.status(201).json({ refunds, order: updated });
+    } catch (err) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error("Refund error:", err);
+      return res.status(500).json({ error: "Refund error" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+/* =========================
+   ADMIN: VOID UNSETTLED CHARGE
+   POST /api/payments/admin/:id/void
+========================= */
+router.post("/admin/:id(\\d+)/void", requireAuth, requirePermission("payments:void"), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  const parsed = VoidSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.flatten() });
+  }
+  const { reason } = parsed.data;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `SELECT * FROM payments WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    const payment = r.rows?.[0];
+    if (!payment) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Payment not found" });
+    }
+
+    if (!UNSETTLED_STATUSES.includes(payment.status)) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: `Only unsettled payments can be voided (current: '${payment.status}'). Use a refund instead.`,
+      });
+    }
+
+    if (await voidInFlight(client, id)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "This payment is already being voided" });
+    }
+
+    // on record before the provider is asked; see reserveRefund
+    const voidInsert = await client.query(
+      `
+      INSERT INTO refunds
+        (order_id, payment_id, kind, status, amount_cents, reason, staff_user_id, staff_username)
+      VALUES
+        ($1, $2, 'void', 'pending', $3, $4, $5, $6)
+      RETURNING *;
+      `,
+      [
+        payment.order_id,
+        id,
+        payment.amount_cents,
+        reason,
+        req.user.id,
+        req.user.username,
+      ]
+    );
+    const pending = voidInsert.rows[0];
+
+    await client.query("COMMIT");
+
+    let result;
+    try {
+      result = await getProvider(payment.provider).void(payment.transaction_ref, {
+        idempotency_key: `void_${pending.id}`,
+      });
+    } catch (err) {
+      // no answer: the void may have been made, so it stays pending
+      console.error("Void error:", err);
+      return res.status(502).json({
+        error: "The payment provider did not answer; the void is pending",
+        void: pending,
+      });
+    }
+
+    await client.query("BEGIN");
+
+    if (result.status !== "voided") {
+      const failed = await client.query(
+        `
+        UPDATE refunds
+        SET status = 'failed', failure_reason = $1, settled_at = NOW()
+        WHERE id = $2
+        RETURNING *
+        `,
+        [result.failure_reason || "Provider refused the void", pending.id]
+      );
+      await client.query("COMMIT");
+
+      return res.status(502).json({ error: failed.rows[0].failure_reason, void: failed.rows[0] });
+    }
+
+    const settled = await client.query(
+      `
+      UPDATE refunds
+      SET status = 'success', settled_at = NOW()
+      WHERE id = $1
+      RETURNING *
+      `,
+      [pending.id]
+    );
+
+    await client.query(
+      `
+      UPDATE payments
+      SET status = 'voided', updated_at = NOW()
+      WHERE id = $1
+      `,
+      [id]
+    );
+
+    // only the in-flight attempt is voided; a paid order keeps its status
+    await client.query(
+      `
+      UPDATE orders
+      SET payment_status = 'voided', updated_at = NOW()
+      WHERE id = $1
+        AND payment_status = 'pending'
+      `,
+      [payment.order_id]
+    );
+
+    await client.query("COMMIT");
+
+    // ✅ ADMIN PUSH
+    broadcast("orders_updated", {
+      action: "voided",
+      order_id: payment.order_id,
+      at: Date.now(),
     });
+
+    // ✅ CUSTOMER PUSH
+    const updated = await fetchOrderWithItems(payment.order_id);
+    const snapshot = await fetchPublicOrder(payment.order_id);
+    if (snapshot) sendToOrder(payment.order_id, snapshot);
+
+    return res.status(201).json({ void: settled.rows[0], order: updated });
   } catch (err) {
-    console.error("Mock payment error:", err);
-    return res.status(500).json({ error: "Mock payment error" });
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("Void error:", err);
+    return res.status(500).json({ error: "Void error" });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,378 @@
+const express = require("express");
+const { z } = require("zod");
+const { DATE, TIME } = require("../schemas");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { loadModifierGroups, resolveModifiers } = require("../services/modifiers");
+const { menuMoment } = require("../services/menu");
+const { normalizePhone } = require("../services/customers");
+const { PROMOTION_COLUMNS, applyPromotions } = require("../services/promotions");
+const { toCents, fromCents, orderTotals } = require("../services/money");
+const { reservePromoCheck, recordPromoFailure, recordPromoSuccess } = require("../services/guestGuard");
+
+const router = express.Router();
+
+const PromotionFields = z.object({
+  name: z.string().trim().min(1).max(100),
+  // NULL: applied automatically to every order that qualifies
+  code: z
+    .string()
+    .trim()
+    .min(3)
+    .max(30)
+    .regex(/^[A-Za-z0-9_-]+$/, "Letters, digits, - and _ only")
+    .nullable(),
+  kind: z.enum(["percent", "fixed"]),
+  value: z.number().positive(),
+  min_spend: z.number().min(0),
+  order_type: z.enum(["dine_in", "takeaway"]).nullable(),
+  menu_item_ids: z.array(z.number().int().positive()).max(100),
+  category_ids: z.array(z.number().int().positive()).max(50),
+  valid_from: DATE.nullable(),
+  valid_until: DATE.nullable(),
+  weekdays: z.array(z.number().int().min(0).max(6)).min(1).max(7),
+  starts_at: TIME.nullable(),
+  ends_at: TIME.nullable(),
+  max_uses: z.number().int().positive().nullable(),
+  max_uses_per_phone: z.number().int().positive().nullable(),
+  is_active: z.boolean(),
+});
+
+const CreatePromotionSchema = PromotionFields.extend({
+  code: PromotionFields.shape.code.default(null),
+  min_spend: PromotionFields.shape.min_spend.default(0),
+  order_type: PromotionFields.shape.order_type.default(null),
+  menu_item_ids: PromotionFields.shape.menu_item_ids.default([]),
+  category_ids: PromotionFields.shape.category_ids.default([]),
+  valid_from: PromotionFields.shape.valid_from.default(null),
+  valid_until: PromotionFields.shape.valid_until.default(null),
+  weekdays: PromotionFields.shape.weekdays.default([0, 1, 2, 3, 4, 5, 6]),
+  starts_at: PromotionFields.shape.starts_at.default(null),
+  ends_at: PromotionFields.shape.ends_at.default(null),
+  max_uses: PromotionFields.shape.max_uses.default(null),
+  max_uses_per_phone: PromotionFields.shape.max_uses_per_phone.default(null),
+  is_active: PromotionFields.shape.is_active.default(true),
+});
+
+const UpdatePromotionSchema = PromotionFields.partial().refine(
+  (v) => Object.keys(v).length > 0,
+  { message: "Nothing to update" }
+);
+
+// what the customer has in the cart; priced here, like an order. Without a
+// code it just shows the automatic discounts the cart would get.
+const ValidateSchema = z.object({
+  code: z.string().trim().min(1).max(30).optional().nullable(),
+  customer_phone: z.string().min(3).optional().nullable(),
+  order_type: z.enum(["dine_in", "takeaway"]).default("takeaway"),
+  items: z
+    .array(
+      z.object({
+        menu_item_id: z.number().int(),
+        quantity: z.number().int().min(1),
+        modifier_option_ids: z.array(z.number().int().positive()).max(20).default([]),
+      })
+    )
+    .min(1),
+});
+
+// checks that span fields are left to the table's constraints
+const CONSTRAINT_ERRORS = {
+  promotions_percent_chk: "A percentage discount cannot be more than 100",
+  promotions_valid_range_chk: "valid_until must not be before valid_from",
+  promotions_weekdays_chk: "Choose at least one weekday",
+  promotions_hours_chk: "Give both starts_at and ends_at, with starts_at first",
+};
+
+function parseId(req) {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) ? id : null;
+}
+
+// error message when a restriction names a dish or category that does not exist
+async function unknownTargets(db, { menu_item_ids, category_ids }) {
+  if (menu_item_ids?.length) {
+    const r = await db.query(`SELECT COUNT(*)::int AS n FROM menu_items WHERE id = ANY($1::int[])`, [
+      menu_item_ids,
+    ]);
+    if (r.rows[0].n !== new Set(menu_item_ids).size) return "Unknown menu item in menu_item_ids";
+  }
+  if (category_ids?.length) {
+    const r = await db.query(
+      `SELECT COUNT(*)::int AS n FROM menu_categories WHERE id = ANY($1::int[])`,
+      [category_ids]
+    );
+    if (r.rows[0].n !== new Set(category_ids).size) return "Unknown category in category_ids";
+  }
+  return null;
+}
+
+function promotionError(res, e, where) {
+  if (e.code === "23505") return res.status(409).json({ error: "A promotion with this code already exists" });
+  if (e.code === "23514") {
+    return res.status(400).json({ error: CONSTRAINT_ERRORS[e.constraint] || "Invalid promotion" });
+  }
+  console.error(`${where} error:`, e);
+  return res.status(500).json({ error: e.message });
+}
+
+// usage so far, for the dashboard; like countUses, cancelled orders do not count
+const USAGE_COLUMNS = `
+  (
+    SELECT COUNT(*)::int
+    FROM order_discounts d
+    JOIN orders o ON o.id = d.order_id
+    WHERE d.promotion_id = p.id
+      AND o.status <> 'cancelled'
+  ) AS uses,
+  (
+    SELECT COALESCE(SUM(d.amount), 0)::float8
+    FROM order_discounts d
+    JOIN orders o ON o.id = d.order_id
+    WHERE d.promotion_id = p.id
+      AND o.status <> 'cancelled'
+  ) AS discount_given
+`;
+
+async function getPromotion(db, id) {
+  const r = await db.query(`SELECT ${PROMOTION_COLUMNS}, ${USAGE_COLUMNS} FROM promotions p WHERE p.id = $1`, [
+    id,
+  ]);
+  return r.rows?.[0] || null;
+}
+
+/* =========================
+   PUBLIC: CHECK A CODE AGAINST A CART
+   POST /api/promotions/validate
+========================= */
+router.post("/validate", async (req, res) => {
+  const parsed = ValidateSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { code, customer_phone, order_type, items } = parsed.data;
+
+  try {
+    const groupsByItem = await loadModifierGroups(
+      pool,
+      items.map((it) => it.menu_item_id)
+    );
+
+    const lines = [];
+    for (const it of items) {
+      const r = await pool.query(
+        `SELECT id, name_en, price, category_id FROM menu_items WHERE id = $1 AND is_available = TRUE`,
+        [it.menu_item_id]
+      );
+      const menuItem = r.rows?.[0];
+      if (!menuItem) return res.status(400).json({ error: "Menu item not found" });
+
+      let deltaCents;
+      try {
+        ({ deltaCents } = resolveModifiers(menuItem.name_en, groupsByItem[menuItem.id], it.modifier_option_ids));
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      lines.push({
+        menu_item_id: menuItem.id,
+        category_id: menuItem.category_id,
+        line_cents: (toCents(menuItem.price) + deltaCents) * it.quantity,
+      });
+    }
+
+    // codes that do not exist back off and lock per IP (see services/guestGuard)
+    if (code) {
+      const guard = await reservePromoCheck(req.ip);
+      if (!guard.allowed) {
+        res.setHeader("Retry-After", String(guard.retry_after));
+        return res.status(guard.status).json({ error: guard.message });
+      }
+    }
+
+    let pricing;
+    try {
+      pricing = await applyPromotions(pool, {
+        code,
+        phone: customer_phone ? normalizePhone(customer_phone) : null,
+        order_type,
+        lines,
+        moment: menuMoment(),
+      });
+    } catch (e) {
+      if (code) await (e.unknownCode ? recordPromoFailure(req.ip) : recordPromoSuccess(req.ip));
+      return res.status(400).json({ error: e.message });
+    }
+    if (code) await recordPromoSuccess(req.ip);
+
+    // the same breakdown the order will be saved with
+    const totals = orderTotals({
+      subtotalCents: pricing.subtotalCents,
+      discountCents: pricing.discountCents,
+      orderType: order_type,
+    });
+
+    return res.json({
+      code: code ?? null,
+      subtotal_amount: fromCents(totals.subtotal_cents),
+      discounts: pricing.discounts,
+      total_amount: fromCents(totals.total_cents),
+      breakdown: totals,
+    });
+  } catch (e) {
+    console.error("POST /promotions/validate error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/* =========================
+   ADMIN
+========================= */
+
+// GET /api/promotions/admin
+router.get("/admin", requireAuth, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT ${PROMOTION_COLUMNS}, ${USAGE_COLUMNS}
+      FROM promotions p
+      ORDER BY p.is_active DESC, p.id DESC
+      `
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /promotions/admin error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/promotions/admin
+router.post("/admin", requireAuth, requirePermission("promotions:manage"), async (req, res) => {
+  const parsed = CreatePromotionSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const p = parsed.data;
+
+    const unknown = await unknownTargets(pool, p);
+    if (unknown) return res.status(400).json({ error: unknown });
+
+    const r = await pool.query(
+      `
+      INSERT INTO promotions
+        (name, code, kind, value, min_spend, order_type, menu_item_ids, category_ids,
+         valid_from, valid_until, weekdays, starts_at, ends_at, max_uses, max_uses_per_phone, is_active)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9::date,$10::date,$11,$12::time,$13::time,$14,$15,$16)
+      RETURNING id
+      `,
+      [
+        p.name,
+        p.code,
+        p.kind,
+        p.value,
+        p.min_spend,
+        p.order_type,
+        p.menu_item_ids,
+        p.category_ids,
+        p.valid_from,
+        p.valid_until,
+        p.weekdays,
+        p.starts_at,
+        p.ends_at,
+        p.max_uses,
+        p.max_uses_per_phone,
+        p.is_active,
+      ]
+    );
+
+    return res.status(201).json(await getPromotion(pool, r.rows[0].id));
+  } catch (e) {
+    return promotionError(res, e, "POST /promotions/admin");
+  }
+});
+
+// PATCH /api/promotions/admin/:id
+router.patch("/admin/:id(\\d+)", requireAuth, requirePermission("promotions:manage"), async (req, res) => {
+  const parsed = UpdatePromotionSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const p = parsed.data;
+    const has = (k) => p[k] !== undefined;
+
+    const unknown = await unknownTargets(pool, p);
+    if (unknown) return res.status(400).json({ error: unknown });
+
+    const r = await pool.query(
+      `
+      UPDATE promotions
+      SET
+        name = COALESCE($1, name),
+        code = CASE WHEN $2::boolean THEN $3 ELSE code END,
+        kind = COALESCE($4, kind),
+        value = COALESCE($5, value),
+        min_spend = COALESCE($6, min_spend),
+        order_type = CASE WHEN $7::boolean THEN $8 ELSE order_type END,
+        menu_item_ids = COALESCE($9, menu_item_ids),
+        category_ids = COALESCE($10, category_ids),
+        valid_from = CASE WHEN $11::boolean THEN $12::date ELSE valid_from END,
+        valid_until = CASE WHEN $13::boolean THEN $14::date ELSE valid_until END,
+        weekdays = COALESCE($15, weekdays),
+        starts_at = CASE WHEN $16::boolean THEN $17::time ELSE starts_at END,
+        ends_at = CASE WHEN $18::boolean THEN $19::time ELSE ends_at END,
+        max_uses = CASE WHEN $20::boolean THEN $21::int ELSE max_uses END,
+        max_uses_per_phone = CASE WHEN $22::boolean THEN $23::int ELSE max_uses_per_phone END,
+        is_active = COALESCE($24, is_active),
+        updated_at = NOW()
+      WHERE id = $25
+      RETURNING id
+      `,
+      [
+        p.name ?? null,
+        has("code"),
+        p.code ?? null,
+        p.kind ?? null,
+        p.value ?? null,
+        p.min_spend ?? null,
+        has("order_type"),
+        p.order_type ?? null,
+        p.menu_item_ids ?? null,
+        p.category_ids ?? null,
+        has("valid_from"),
+        p.valid_from ?? null,
+        has("valid_until"),
+        p.valid_until ?? null,
+        p.weekdays ?? null,
+        has("starts_at"),
+        p.starts_at ?? null,
+        has("ends_at"),
+        p.ends_at ?? null,
+        has("max_uses"),
+        p.max_uses ?? null,
+        has("max_uses_per_phone"),
+        p.max_uses_per_phone ?? null,
+        p.is_active ?? null,
+        parseId(req),
+      ]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "Promotion not found" });
+    return res.json(await getPromotion(pool, parseId(req)));
+  } catch (e) {
+    return promotionError(res, e, "PATCH /promotions/admin/:id");
+  }
+});
+
+// DELETE /api/promotions/admin/:id
+// Orders keep their discount lines (name and code are copied onto them).
+router.delete("/admin/:id(\\d+)", requireAuth, requirePermission("promotions:manage"), async (req, res) => {
+  try {
+    const r = await pool.query(`DELETE FROM promotions WHERE id = $1`, [parseId(req)]);
+    if (!r.rowCount) return res.status(404).json({ error: "Promotion not found" });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("DELETE /promotions/admin/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
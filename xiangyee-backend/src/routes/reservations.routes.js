@@ -1,126 +1,272 @@
 const express = require("express");
 const { pool } = require("../db");
 const { z } = require("zod");
-const { requireAuth } = require("../middleware/auth");
+const { DATE, TIME } = require("../schemas");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { lockDate, availableTimes, conflictingTableIds, assignTables } = require("../services/tables");
+const {
+  MAX_PAX,
+  makeConfirmationCode,
+  holdTables,
+  nextStaffStatuses,
+  isRevived,
+  reclaimTables
+} = require("../services/reservations");
+const { samePhone, screenGuestPhone, upsertCustomer } = require("../services/customers");
+const { settleOffer, promoteAfterCancel } = require("../services/waitlist");
+const { queueEmail } = require("../services/email");
+const { reserveGuest, recordGuestFailure, recordGuestSuccess } = require("../services/guestGuard");
+const {
+  localNow,
+  getDayHours,
+  bookableTimes,
+  checkReservationTime
+} = require("../services/hours");
 
 const router = express.Router();
 
-const MAX_RES_PER_SLOT = 5; // tables per time slot
-
 const ReservationSchema = z.object({
   customer_name: z.string().min(1),
   customer_phone: z.string().min(3),
-  reservation_date: z.string().min(8), // YYYY-MM-DD
-  reservation_time: z.string().min(4), // HH:MM
-  pax: z.number().int().min(1).max(6),
+  customer_email: z.string().trim().email().max(254).optional().nullable(),
+  reservation_date: DATE,
+  reservation_time: TIME,
+  pax: z.number().int().min(1).max(MAX_PAX),
   notes: z.string().optional().nullable()
 });
 
+// Guest self-service: confirmation code + phone, like the order "collected" check
+const ManageSchema = z.object({
+  confirmation_code: z.string().min(4),
+  customer_phone: z.string().min(3)
+});
+
+const RescheduleSchema = ManageSchema.extend({
+  reservation_date: DATE,
+  reservation_time: TIME,
+  pax: z.number().int().min(1).max(MAX_PAX).optional()
+});
+
+const AvailabilityQuery = z.object({
+  date: DATE,
+  pax: z.coerce.number().int().min(1).max(MAX_PAX).default(2)
+});
+
+const ListQuery = z.object({
+  date: DATE.optional()
+});
+
+const AssignTablesSchema = z.object({
+  table_ids: z.array(z.number().int().positive()).min(1)
+});
+
+const GUEST_COLUMNS = `
+  id,
+  confirmation_code,
+  customer_name,
+  customer_email,
+  to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
+  to_char(reservation_time, 'HH24:MI') AS reservation_time,
+  pax,
+  notes,
+  status,
+  guest_confirmed_at,
+  cancelled_at,
+  created_at,
+  updated_at
+`;
+
+// Look up by code and check the phone. Wrong codes and phones back off and
+// lock like failed logins (see services/guestGuard). Returns { reservation }
+// or { status, error } (with retry_after when throttled).
+async function findGuestReservation({ confirmation_code, customer_phone }, ip) {
+  const guard = await reserveGuest(confirmation_code, ip);
+  if (!guard.allowed) {
+    return { status: guard.status, error: guard.message, retry_after: guard.retry_after };
+  }
+
+  const r = await pool.query(
+    `
+    SELECT ${GUEST_COLUMNS}, customer_phone
+    FROM reservations
+    WHERE confirmation_code = $1
+    `,
+    [confirmation_code.trim().toUpperCase()]
+  );
+
+  const found = r.rows?.[0];
+  if (!found) {
+    await recordGuestFailure(confirmation_code, ip);
+    return { status: 404, error: "Reservation not found" };
+  }
+
+  if (!samePhone(found.customer_phone, customer_phone)) {
+    await recordGuestFailure(confirmation_code, ip);
+    return { status: 403, error: "Verification failed" };
+  }
+  await recordGuestSuccess(confirmation_code, ip);
+
+  const { customer_phone: _phone, ...reservation } = found;
+  return { reservation };
+}
+
+function sendGuestError(res, found) {
+  if (found.retry_after) res.setHeader("Retry-After", String(found.retry_after));
+  return res.status(found.status).json({ error: found.error });
+}
+
+const GUEST_EDITABLE = ["pending", "confirmed"];
+
+// the status checks run before the update; this is the answer when staff
+// seated, cancelled or otherwise moved the booking on in between
+const CHANGED_BY_STAFF = "This reservation has just been updated by the restaurant. Please look it up again.";
+
+// status -> email sent to the guest when staff move a booking there
+const STATUS_EMAILS = {
+  confirmed: "reservation_confirmed",
+  cancelled: "reservation_cancelled"
+};
+
+function reservationEmail(r) {
+  return {
+    customer_name: r.customer_name,
+    reservation_date: r.reservation_date,
+    reservation_time: r.reservation_time,
+    pax: r.pax,
+    confirmation_code: r.confirmation_code
+  };
+}
+
+// table numbers per reservation, for the staff lists
+const TABLES_COLUMN = `
+  COALESCE((
+    SELECT json_agg(json_build_object('id', t.id, 'table_no', t.table_no, 'floor', t.floor) ORDER BY t.table_no)
+    FROM reservation_tables rt
+    JOIN tables t ON t.id = rt.table_id
+    WHERE rt.reservation_id = reservations.id
+  ), '[]'::json) AS tables
+`;
+
+// no-shows by the same customer, so staff can spot repeat offenders
+const NO_SHOWS_COLUMN = `
+  (
+    SELECT COUNT(*)::int
+    FROM reservations ns
+    WHERE ns.status = 'no_show'
+      AND ns.customer_id = reservations.customer_id
+  ) AS no_shows
+`;
+
+// what staff should know before the guest arrives
+const CUSTOMER_COLUMN = `
+  (
+    SELECT json_build_object('id', c.id, 'is_vip', c.is_vip, 'allergies', c.allergies, 'notes', c.notes)
+    FROM customers c
+    WHERE c.id = reservations.customer_id
+  ) AS customer
+`;
+
 // POST /api/reservations
 router.post("/", async (req, res) => {
   const parsed = ReservationSchema.safeParse(req.body);
   if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
 
-  try {
-    const r = parsed.data;
-
-    // Past checks
-    const bookingDateTime = new Date(`${r.reservation_date}T${r.reservation_time}`);
-    const now = new Date();
-    const todayStr = new Date().toISOString().slice(0, 10);
+  const r = parsed.data;
 
-    if (r.reservation_date < todayStr) {
-      return res.status(400).json({ error: "Cannot book a date in the past." });
-    }
-
-    const todayOnly = now.toISOString().slice(0, 10);
-    if (r.reservation_date === todayOnly && bookingDateTime < now) {
-      return res.status(400).json({ error: "Time already passed for today." });
-    }
+  const client = await pool.connect();
+  try {
+    const guest = await screenGuestPhone(client, r.customer_phone);
+    if (guest.error) return res.status(guest.status).json({ error: guest.error });
 
-    // Operating hours
-    const time = r.reservation_time; // "HH:MM"
-    const inLunch = time >= "11:30" && time <= "14:30";
-    const inDinner = time >= "17:30" && time <= "21:00";
+    const slotError = await checkReservationTime(client, r.reservation_date, r.reservation_time);
+    if (slotError) return res.status(400).json({ error: slotError });
 
-    // Booking only allowed <= 19:00
-    if (time > "19:00") {
-      return res.status(400).json({ error: "Dinner reservations must be made before 7:00 PM." });
-    }
+    await client.query("BEGIN");
 
-    if (!inLunch && !inDinner) {
-      return res.status(400).json({
-        error: "Reservation must be within operating hours: 11:30–14:30 or 17:30–21:00."
-      });
+    const held = await holdTables(client, {
+      date: r.reservation_date,
+      time: r.reservation_time,
+      pax: r.pax
+    });
+    if (held.error) {
+      await client.query("ROLLBACK");
+      // the guest can queue for this time with POST /api/waitlist
+      return res.status(400).json({ error: held.error, waitlist: true });
     }
 
-    // Cap check
-    const capResult = await pool.query(
-      `
-      SELECT COUNT(*)::int AS cnt
-      FROM reservations
-      WHERE reservation_date = $1::date
-        AND reservation_time = $2::time
-      `,
-      [r.reservation_date, r.reservation_time]
-    );
-
-    const existingCount = Number(capResult.rows?.[0]?.cnt || 0);
-    if (existingCount >= MAX_RES_PER_SLOT) {
-      return res.status(400).json({
-        error: "This time slot is fully booked. Please choose another time."
-      });
-    }
+    const customer = await upsertCustomer(client, {
+      phone: guest.phone,
+      name: r.customer_name,
+      email: r.customer_email || null
+    });
 
     // Insert + return id
-    const insertResult = await pool.query(
+    const insertResult = await client.query(
       `
       INSERT INTO reservations
-        (customer_name, customer_phone, reservation_date, reservation_time, pax, notes)
+        (customer_name, customer_phone, reservation_date, reservation_time, pax, notes,
+         confirmation_code, duration_minutes, customer_email, customer_id)
       VALUES
-        ($1, $2, $3::date, $4::time, $5::int, $6)
-      RETURNING id;
+        ($1, $2, $3::date, $4::time, $5::int, $6, $7, $8::int, $9, $10)
+      RETURNING ${GUEST_COLUMNS};
       `,
       [
         r.customer_name,
-        r.customer_phone,
+        guest.phone,
         r.reservation_date,
         r.reservation_time,
         r.pax,
-        r.notes || null
+        r.notes || null,
+        makeConfirmationCode(),
+        held.minutes,
+        r.customer_email || null,
+        customer.id
       ]
     );
 
-    return res.status(201).json({ reservation_id: insertResult.rows[0].id });
+    const created = insertResult.rows[0];
+    await assignTables(client, created.id, held.tables.map((t) => t.id));
+    await queueEmail(client, "reservation_received", created.customer_email, reservationEmail(created));
+
+    await client.query("COMMIT");
+    return res.status(201).json({
+      reservation_id: created.id,
+      confirmation_code: created.confirmation_code
+    });
   } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
     console.error("POST /reservations error:", e);
     return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
   }
 });
 
-// GET /api/reservations/availability
-// returns counts per time slot + maxPerSlot
+// GET /api/reservations/availability?date=YYYY-MM-DD&pax=N
+// which start times within the day's opening hours still have a table
+// (or combination) for N people
 router.get("/availability", async (req, res) => {
+  const parsed = AvailabilityQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
   try {
-    const { date } = req.query;
-    if (!date) return res.status(400).json({ error: "date is required (YYYY-MM-DD)" });
+    const { date, pax } = parsed.data;
+    const day = await getDayHours(pool, date);
 
-    const result = await pool.query(
-      `
-      SELECT
-        to_char(reservation_time, 'HH24:MI') AS reservation_time,
-        COUNT(*)::int AS booked
-      FROM reservations
-      WHERE reservation_date = $1::date
-      GROUP BY reservation_time
-      ORDER BY reservation_time ASC
-      `,
-      [date]
-    );
+    // start times from the opening hours, minus any already gone today
+    const now = localNow();
+    const times = bookableTimes(day).filter((t) => date > now.date || (date === now.date && t > now.time));
+
+    const result = await availableTimes(pool, { date, pax, times });
 
     return res.json({
-      maxPerSlot: MAX_RES_PER_SLOT,
-      counts: result.rows
+      date,
+      pax,
+      closed: day.closed,
+      closed_reason: day.closed ? day.name : null,
+      ...result
     });
   } catch (e) {
     console.error("GET /reservations/availability error:", e);
@@ -128,24 +274,281 @@ router.get("/availability", async (req, res) => {
   }
 });
 
-// PUBLIC: list reservations (optional by date)
+// PUBLIC: guest views their booking
+// POST /api/reservations/manage/lookup
+router.post("/manage/lookup", async (req, res) => {
+  const parsed = ManageSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const found = await findGuestReservation(parsed.data, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    return res.json(found.reservation);
+  } catch (e) {
+    console.error("POST /reservations/manage/lookup error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PUBLIC: guest moves their booking (same checks as a new booking)
+// POST /api/reservations/manage/reschedule
+router.post("/manage/reschedule", async (req, res) => {
+  const parsed = RescheduleSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const r = parsed.data;
+
+  const client = await pool.connect();
+  try {
+    const found = await findGuestReservation(r, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    const current = found.reservation;
+    if (!GUEST_EDITABLE.includes(current.status)) {
+      return res.status(400).json({
+        error: `Cannot change a reservation that is '${current.status}'.`
+      });
+    }
+
+    const slotError = await checkReservationTime(client, r.reservation_date, r.reservation_time);
+    if (slotError) return res.status(400).json({ error: slotError });
+
+    await client.query("BEGIN");
+
+    // the booking's own tables count as free while it looks for new ones
+    const held = await holdTables(client, {
+      date: r.reservation_date,
+      time: r.reservation_time,
+      pax: r.pax ?? current.pax,
+      excludeReservationId: current.id
+    });
+    if (held.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: held.error });
+    }
+
+    // a moved booking goes back to pending so staff re-confirm it
+    const upd = await client.query(
+      `
+      UPDATE reservations
+      SET
+        reservation_date = $1::date,
+        reservation_time = $2::time,
+        pax = COALESCE($3::int, pax),
+        duration_minutes = $4::int,
+        status = 'pending',
+        guest_confirmed_at = NULL,
+        updated_at = NOW()
+      WHERE id = $5
+        AND status = ANY($6::text[])
+      RETURNING ${GUEST_COLUMNS}
+      `,
+      [r.reservation_date, r.reservation_time, r.pax ?? null, held.minutes, current.id, GUEST_EDITABLE]
+    );
+    if (!upd.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: CHANGED_BY_STAFF });
+    }
+    await assignTables(client, current.id, held.tables.map((t) => t.id));
+    // reminders start over for the new time; old reminder links stop working
+    await client.query(`DELETE FROM reservation_reminders WHERE reservation_id = $1`, [current.id]);
+    await queueEmail(client, "reservation_received", upd.rows[0].customer_email, reservationEmail(upd.rows[0]));
+
+    await client.query("COMMIT");
+
+    // the old time may have freed a table for someone waiting
+    await promoteAfterCancel(current.reservation_date);
+    return res.json(upd.rows[0]);
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("POST /reservations/manage/reschedule error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Guest-side cancellation, from /manage/cancel or a reminder link. The caller
+// has already checked the booking is GUEST_EDITABLE; if staff moved it on
+// since, it is left alone. Returns { reservation } or { status, error }.
+async function cancelForGuest(current) {
+  const client = await pool.connect();
+  let cancelled;
+  try {
+    await client.query("BEGIN");
+    const upd = await client.query(
+      `
+      UPDATE reservations
+      SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+        AND status = ANY($2::text[])
+      RETURNING ${GUEST_COLUMNS}
+      `,
+      [current.id, GUEST_EDITABLE]
+    );
+    cancelled = upd.rows[0];
+    if (!cancelled) {
+      await client.query("ROLLBACK");
+      return { status: 409, error: CHANGED_BY_STAFF };
+    }
+    await queueEmail(client, "reservation_cancelled", cancelled.customer_email, reservationEmail(cancelled));
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  await promoteAfterCancel(current.reservation_date);
+  return { reservation: cancelled };
+}
+
+// PUBLIC: guest cancels their booking (frees the slot in /availability)
+// POST /api/reservations/manage/cancel
+router.post("/manage/cancel", async (req, res) => {
+  const parsed = ManageSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const found = await findGuestReservation(parsed.data, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    const current = found.reservation;
+    if (!GUEST_EDITABLE.includes(current.status)) {
+      return res.status(400).json({
+        error: `Cannot cancel a reservation that is '${current.status}'.`
+      });
+    }
+
+    const done = await cancelForGuest(current);
+    if (done.error) return res.status(done.status).json({ error: done.error });
+
+    return res.json(done.reservation);
+  } catch (e) {
+    console.error("POST /reservations/manage/cancel error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// The token in a reminder email stands in for code + phone.
+async function findByReminderToken(token) {
+  const r = await pool.query(
+    `
+    SELECT ${GUEST_COLUMNS}
+    FROM reservations
+    WHERE id = (SELECT reservation_id FROM reservation_reminders WHERE token = $1)
+    `,
+    [String(token || "")]
+  );
+  return r.rows?.[0] || null;
+}
+
+// PUBLIC: booking behind a reminder link (public/reservation.html)
+// GET /api/reservations/reminder/:token
+router.get("/reminder/:token", async (req, res) => {
+  try {
+    const reservation = await findByReminderToken(req.params.token);
+    if (!reservation) return res.status(404).json({ error: "Reservation not found" });
+
+    return res.json(reservation);
+  } catch (e) {
+    console.error("GET /reservations/reminder/:token error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PUBLIC: guest confirms they are coming
+// POST /api/reservations/reminder/:token/confirm
+router.post("/reminder/:token/confirm", async (req, res) => {
+  try {
+    const current = await findByReminderToken(req.params.token);
+    if (!current) return res.status(404).json({ error: "Reservation not found" });
+
+    if (!GUEST_EDITABLE.includes(current.status)) {
+      return res.status(400).json({
+        error: `Cannot confirm a reservation that is '${current.status}'.`
+      });
+    }
+
+    const upd = await pool.query(
+      `
+      UPDATE reservations
+      SET guest_confirmed_at = COALESCE(guest_confirmed_at, NOW()), updated_at = NOW()
+      WHERE id = $1
+        AND status = ANY($2::text[])
+      RETURNING ${GUEST_COLUMNS}
+      `,
+      [current.id, GUEST_EDITABLE]
+    );
+    if (!upd.rowCount) return res.status(409).json({ error: CHANGED_BY_STAFF });
+
+    return res.json(upd.rows[0]);
+  } catch (e) {
+    console.error("POST /reservations/reminder/:token/confirm error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PUBLIC: guest cancels from the reminder
+// POST /api/reservations/reminder/:token/cancel
+router.post("/reminder/:token/cancel", async (req, res) => {
+  try {
+    const current = await findByReminderToken(req.params.token);
+    if (!current) return res.status(404).json({ error: "Reservation not found" });
+
+    if (!GUEST_EDITABLE.includes(current.status)) {
+      return res.status(400).json({
+        error: `Cannot cancel a reservation that is '${current.status}'.`
+      });
+    }
+
+    const done = await cancelForGuest(current);
+    if (done.error) return res.status(done.status).json({ error: done.error });
+
+    return res.json(done.reservation);
+  } catch (e) {
+    console.error("POST /reservations/reminder/:token/cancel error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// STAFF: list reservations (optional by date)
 // GET /api/reservations?date=YYYY-MM-DD
-router.get("/", async (req, res) => {
+router.get("/", requireAuth, requirePermission("reservations:view"), async (req, res) => {
+  const parsed = ListQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
   try {
-    const { date } = req.query;
+    const { date } = parsed.data;
 
     if (date) {
       const result = await pool.query(
         `
         SELECT
           id,
+          confirmation_code,
           customer_name,
+          customer_id,
           customer_phone,
+          customer_email,
           to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
           to_char(reservation_time, 'HH24:MI') AS reservation_time,
           pax,
           notes,
           status,
+          hold_expires_at,
+          guest_confirmed_at,
+          no_show_at,
+          duration_minutes,
+          ${TABLES_COLUMN},
+          ${NO_SHOWS_COLUMN},
+          ${CUSTOMER_COLUMN},
           created_at,
           updated_at
         FROM reservations
@@ -161,13 +564,23 @@ router.get("/", async (req, res) => {
       `
       SELECT
         id,
+        confirmation_code,
         customer_name,
+        customer_id,
         customer_phone,
+        customer_email,
         to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
         to_char(reservation_time, 'HH24:MI') AS reservation_time,
         pax,
         notes,
         status,
+        hold_expires_at,
+        guest_confirmed_at,
+        no_show_at,
+        duration_minutes,
+        ${TABLES_COLUMN},
+        ${NO_SHOWS_COLUMN},
+        ${CUSTOMER_COLUMN},
         created_at,
         updated_at
       FROM reservations
@@ -181,53 +594,165 @@ router.get("/", async (req, res) => {
   }
 });
 
+// STAFF: customers with no-shows, worst first
+// GET /api/reservations/no-shows?min=1
+router.get("/no-shows", requireAuth, requirePermission("reservations:view"), async (req, res) => {
+  try {
+    const min = Math.max(parseInt(req.query.min || "1", 10) || 1, 1);
+
+    const r = await pool.query(
+      `
+      SELECT
+        c.id AS customer_id,
+        c.phone_e164 AS customer_phone,
+        c.name AS customer_name,
+        c.is_blocklisted,
+        COUNT(*)::int AS no_shows,
+        to_char(MAX(r.reservation_date), 'YYYY-MM-DD') AS last_no_show_date
+      FROM reservations r
+      JOIN customers c ON c.id = r.customer_id
+      WHERE r.status = 'no_show'
+      GROUP BY c.id
+      HAVING COUNT(*) >= $1
+      ORDER BY no_shows DESC, last_no_show_date DESC
+      `,
+      [min]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /reservations/no-shows error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
 // ADMIN: list reservations
 // GET /api/reservations/admin
-router.get("/admin", requireAuth, async (req, res) => {
+router.get("/admin", requireAuth, requirePermission("reservations:view"), async (req, res) => {
   try {
     const r = await pool.query(
       `
       SELECT
         id,
+        confirmation_code,
         customer_name,
+        customer_id,
         customer_phone,
+        customer_email,
         to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
         to_char(reservation_time, 'HH24:MI') AS reservation_time,
         pax,
         notes,
         status,
+        hold_expires_at,
+        guest_confirmed_at,
+        no_show_at,
+        duration_minutes,
+        ${TABLES_COLUMN},
+        ${NO_SHOWS_COLUMN},
+        ${CUSTOMER_COLUMN},
         created_at,
         updated_at
       FROM reservations
       ORDER BY created_at DESC, id DESC
       `
     );
-    res.json(r.rows);
+    // what the dashboard may move each booking to
+    res.json(r.rows.map((row) => ({ ...row, next_statuses: nextStaffStatuses(row.status) })));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// PATCH /api/reservations/:id/status
-router.patch("/:id/status", async (req, res) => {
+// no_show is normally set by the reminder scheduler; staff can set it early
+// or move a late guest on to seated
+const STAFF_STATUSES = ["pending", "confirmed", "seated", "completed", "cancelled", "no_show"];
+
+// Shared by both staff status endpoints. Moves allowed by STAFF_TRANSITIONS;
+// a released booking that is brought back gets its tables back first.
+// Returns { waitlist_offers } or { status, error }.
+async function setReservationStatus(id, status) {
+  const client = await pool.connect();
+  let reservation;
   try {
-    const id = parseInt(req.params.id, 10);
-    const { status } = req.body;
+    await client.query("BEGIN");
 
-    const allowed = ["pending", "confirmed", "seated", "completed", "cancelled"];
-    if (!allowed.includes(status)) return res.status(400).json({ error: "Invalid status" });
+    const cur = await client.query(
+      `SELECT ${GUEST_COLUMNS}, customer_email, duration_minutes FROM reservations WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    reservation = cur.rows?.[0];
+    if (!reservation) {
+      await client.query("ROLLBACK");
+      return { status: 404, error: "Reservation not found" };
+    }
 
-    const r = await pool.query(
+    if (reservation.status !== status && !nextStaffStatuses(reservation.status).includes(status)) {
+      await client.query("ROLLBACK");
+      return {
+        status: 409,
+        error: `Cannot change a reservation that is '${reservation.status}' to '${status}'`
+      };
+    }
+
+    if (isRevived(reservation.status, status)) {
+      const reclaimed = await reclaimTables(client, reservation);
+      if (reclaimed.error) {
+        await client.query("ROLLBACK");
+        return { status: 409, error: reclaimed.error };
+      }
+    }
+
+    await client.query(
       `
       UPDATE reservations
-      SET status = $1, updated_at = NOW()
+      SET
+        status = $1,
+        cancelled_at = CASE WHEN $1::varchar = 'cancelled' THEN COALESCE(cancelled_at, NOW()) END,
+        no_show_at = CASE WHEN $1::varchar = 'no_show' THEN COALESCE(no_show_at, NOW()) END,
+        hold_expires_at = NULL,
+        updated_at = NOW()
       WHERE id = $2
       `,
       [status, id]
     );
+    await settleOffer(client, id, status);
+
+    if (STATUS_EMAILS[status] && reservation.status !== status) {
+      await queueEmail(
+        client,
+        STATUS_EMAILS[status],
+        reservation.customer_email,
+        reservationEmail(reservation)
+      );
+    }
 
-    if (r.rowCount === 0) return res.status(404).json({ error: "Reservation not found" });
-    return res.json({ message: "Reservation status updated" });
+    await client.query("COMMIT");
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  // offer the freed table to the waitlist
+  const offers = status === "cancelled" ? await promoteAfterCancel(reservation.reservation_date) : [];
+  return { waitlist_offers: offers.length };
+}
+
+// PATCH /api/reservations/:id/status (STAFF)
+router.patch("/:id/status", requireAuth, requirePermission("reservations:manage"), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { status } = req.body;
+
+    if (!STAFF_STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
+
+    const result = await setReservationStatus(id, status);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    return res.json({ message: "Reservation status updated", ...result });
   } catch (e) {
     console.error("PATCH /reservations/:id/status error:", e);
     return res.status(500).json({ error: e.message });
@@ -236,29 +761,116 @@ router.patch("/:id/status", async (req, res) => {
 
 
 // PUT /api/reservations/:id (ADMIN)
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("reservations:manage"), async (req, res) => {
   try {
     const { status } = req.body || {};
-    const allowed = ["pending", "confirmed", "seated", "completed", "cancelled"];
-    if (!allowed.includes(status)) return res.status(400).json({ error: "Invalid status" });
+    if (!STAFF_STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
 
     const id = parseInt(req.params.id, 10);
 
-    const result = await pool.query(
-      `
-      UPDATE reservations
-      SET status = $1, updated_at = NOW()
-      WHERE id = $2
-      `,
-      [status, id]
-    );
+    const result = await setReservationStatus(id, status);
+    if (result.error) return res.status(result.status).json({ error: result.error });
 
-    if (result.rowCount === 0) return res.status(404).json({ error: "Reservation not found" });
-    return res.json({ message: "updated" });
+    return res.json({ message: "updated", ...result });
   } catch (e) {
     console.error("PUT /reservations/:id error:", e);
     return res.status(500).json({ error: e.message });
   }
 });
 
+// PUT /api/reservations/:id/tables (ADMIN)
+// move a booking to other tables; they must be free for its whole duration
+router.put(
+  "/:id/tables",
+  requireAuth,
+  requirePermission("reservations:manage"),
+  async (req, res) => {
+    const parsed = AssignTablesSchema.safeParse(req.body);
+    if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+    const id = parseInt(req.params.id, 10);
+    const tableIds = [...new Set(parsed.data.table_ids)];
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const r = await client.query(
+        `
+        SELECT
+          id,
+          to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
+          to_char(reservation_time, 'HH24:MI') AS reservation_time,
+          pax,
+          duration_minutes,
+          status
+        FROM reservations
+        WHERE id = $1
+        FOR UPDATE
+        `,
+        [id]
+      );
+      const reservation = r.rows?.[0];
+      if (!reservation) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Reservation not found" });
+      }
+      if (["cancelled", "completed"].includes(reservation.status)) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          error: `Cannot assign tables to a reservation that is '${reservation.status}'.`
+        });
+      }
+
+      const tablesRes = await client.query(
+        `SELECT id, seats FROM tables WHERE id = ANY($1::int[]) AND is_active = TRUE`,
+        [tableIds]
+      );
+      if (tablesRes.rowCount !== tableIds.length) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Unknown or inactive table" });
+      }
+
+      await lockDate(client, reservation.reservation_date);
+
+      const busy = await conflictingTableIds(client, {
+        date: reservation.reservation_date,
+        time: reservation.reservation_time,
+        minutes: reservation.duration_minutes,
+        excludeReservationId: id
+      });
+      const clashes = tableIds.filter((t) => busy.includes(t));
+      if (clashes.length) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          error: "Table is already booked at that time",
+          table_ids: clashes
+        });
+      }
+
+      // staff may knowingly squeeze a party in, so seats are reported, not enforced
+      const seats = tablesRes.rows.reduce((sum, t) => sum + t.seats, 0);
+
+      await assignTables(client, id, tableIds);
+      await client.query(`UPDATE reservations SET updated_at = NOW() WHERE id = $1`, [id]);
+
+      await client.query("COMMIT");
+      return res.json({
+        message: "Tables updated",
+        table_ids: tableIds,
+        seats,
+        pax: reservation.pax
+      });
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error("PUT /reservations/:id/tables error:", e);
+      return res.status(500).json({ error: e.message });
+    } finally {
+      client.release();
+    }
+  }
+);
+
 module.exports = router;
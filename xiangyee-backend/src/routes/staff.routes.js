@@ -0,0 +1,294 @@
+const express = require("express");
+const { z } = require("zod");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { hasPermission } = require("../services/permissions");
+const { revokeUserSessions } = require("../services/sessions");
+const { unlockUsername } = require("../services/loginGuard");
+const {
+  PASSWORD_MIN,
+  ROLES,
+  PUBLIC_COLUMNS,
+  hashPassword,
+  generatePassword,
+  createStaffUser,
+} = require("../services/staff");
+
+const router = express.Router();
+
+// every route here needs staff:manage
+router.use(requireAuth, requirePermission("staff:manage"));
+
+const CreateStaffSchema = z.object({
+  username: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z0-9._-]{3,50}$/, "3-50 letters, digits, . _ or -"),
+  // omit to generate a temporary password the user must change
+  password: z.string().min(PASSWORD_MIN).optional(),
+  role: z.enum(ROLES).default("front_of_house"),
+});
+
+const UpdateStaffSchema = z
+  .object({
+    role: z.enum(ROLES).optional(),
+    is_active: z.boolean().optional(),
+  })
+  .refine((v) => v.role !== undefined || v.is_active !== undefined, {
+    message: "role or is_active required",
+  });
+
+const ResetPasswordSchema = z.object({
+  password: z.string().min(PASSWORD_MIN).optional(),
+});
+
+const LoginAttemptsQuery = z.object({
+  username: z.string().optional(),
+  ip: z.string().optional(),
+  success: z.enum(["true", "false"]).optional(),
+  since: z.string().datetime({ offset: true }).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// GET /api/staff
+router.get("/", async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM staff_users ORDER BY username ASC`
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /staff error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/staff
+router.post("/", async (req, res) => {
+  const parsed = CreateStaffSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { username, role } = parsed.data;
+    const temporary = !parsed.data.password;
+    const password = parsed.data.password || generatePassword();
+
+    const user = await createStaffUser({
+      username,
+      password,
+      role,
+      must_change_password: temporary,
+    });
+
+    return res.status(201).json({
+      user,
+      ...(temporary ? { temporary_password: password } : {}),
+    });
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Username already exists" });
+    }
+    console.error("POST /staff error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/staff/:id  (change role, disable / re-enable)
+router.patch("/:id(\\d+)", async (req, res) => {
+  const parsed = UpdateStaffSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { role, is_active } = parsed.data;
+
+    // an admin locking themselves out leaves nobody to undo it
+    if (
+      id === req.user.id &&
+      (is_active === false || (role && !hasPermission(role, "staff:manage")))
+    ) {
+      return res.status(400).json({ error: "You cannot disable or demote your own account" });
+    }
+
+    const r = await pool.query(
+      `
+      UPDATE staff_users
+      SET
+        role = COALESCE($1, role),
+        is_active = COALESCE($2, is_active),
+        disabled_at = CASE
+          WHEN $2 IS NULL THEN disabled_at
+          WHEN $2 THEN NULL
+          ELSE COALESCE(disabled_at, NOW())
+        END,
+        updated_at = NOW()
+      FROM (SELECT role AS previous_role FROM staff_users WHERE id = $3) prev
+      WHERE id = $3
+      RETURNING ${PUBLIC_COLUMNS}, prev.previous_role
+      `,
+      [role ?? null, is_active ?? null, id]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "User not found" });
+    const { previous_role, ...user } = r.rows[0];
+
+    // a disabled account loses every device straight away; a new role signs
+    // the user in again so their screens pick up what they may now do
+    if (is_active === false) {
+      await revokeUserSessions(id, "account_disabled");
+    } else if (user.role !== previous_role) {
+      await revokeUserSessions(id, "role_changed", id === req.user.id ? req.user.sid : null);
+    }
+
+    return res.json(user);
+  } catch (e) {
+    console.error("PATCH /staff/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/staff/:id/reset-password  (forced reset; user must change it at next login)
+router.post("/:id(\\d+)/reset-password", async (req, res) => {
+  const parsed = ResetPasswordSchema.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const password = parsed.data.password || generatePassword();
+
+    const r = await pool.query(
+      `
+      UPDATE staff_users
+      SET
+        password_hash = $1,
+        must_change_password = TRUE,
+        password_changed_at = NOW(),
+        updated_at = NOW()
+      WHERE id = $2
+      RETURNING ${PUBLIC_COLUMNS}
+      `,
+      [await hashPassword(password), id]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "User not found" });
+
+    await revokeUserSessions(id, "password_reset");
+
+    return res.json({ user: r.rows[0], temporary_password: password });
+  } catch (e) {
+    console.error("POST /staff/:id/reset-password error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/staff/:id/sessions
+router.get("/:id(\\d+)/sessions", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const r = await pool.query(
+      `
+      SELECT
+        id,
+        user_agent,
+        ip,
+        created_at,
+        last_used_at,
+        expires_at,
+        revoked_at,
+        revoke_reason
+      FROM staff_sessions
+      WHERE staff_user_id = $1
+      ORDER BY created_at DESC
+      `,
+      [id]
+    );
+
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /staff/:id/sessions error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/staff/:id/sessions/revoke  (sign out all sessions for this user)
+router.post("/:id(\\d+)/sessions/revoke", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const revoked = await revokeUserSessions(id, "revoked_by_admin");
+    return res.json({ revoked });
+  } catch (e) {
+    console.error("POST /staff/:id/sessions/revoke error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/staff/:id/unlock  (clear a login lockout early)
+router.post("/:id(\\d+)/unlock", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const r = await pool.query(`SELECT username FROM staff_users WHERE id = $1`, [id]);
+    const user = r.rows?.[0];
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const cleared = await unlockUsername(user.username);
+    return res.json({ unlocked: cleared });
+  } catch (e) {
+    console.error("POST /staff/:id/unlock error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/staff/lockouts  (usernames and IPs currently locked or backing off)
+router.get("/lockouts", async (req, res) => {
+  try {
+    const r = await pool.query(
+      `
+      SELECT kind, key, failures, last_failure_at, locked_until
+      FROM login_throttle
+      ORDER BY last_failure_at DESC
+      `
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /staff/lockouts error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/staff/login-attempts?username=&ip=&success=&since=&limit=
+router.get("/login-attempts", async (req, res) => {
+  const parsed = LoginAttemptsQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { username, ip, success, since, limit } = parsed.data;
+
+    const r = await pool.query(
+      `
+      SELECT id, username, staff_user_id, ip, user_agent, success, reason, created_at
+      FROM login_attempts
+      WHERE ($1::text IS NULL OR lower(username) = lower($1))
+        AND ($2::text IS NULL OR ip = $2)
+        AND ($3::boolean IS NULL OR success = $3)
+        AND ($4::timestamptz IS NULL OR created_at >= $4)
+      ORDER BY created_at DESC
+      LIMIT $5
+      `,
+      [
+        username ?? null,
+        ip ?? null,
+        success == null ? null : success === "true",
+        since ?? null,
+        limit,
+      ]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /staff/login-attempts error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
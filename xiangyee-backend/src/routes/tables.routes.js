@@ -0,0 +1,174 @@
+const express = require("express");
+const { z } = require("zod");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const TableSchema = z.object({
+  table_no: z.string().trim().min(1).max(10),
+  floor: z.number().int().min(1),
+  seats: z.number().int().min(1).max(20),
+  // tables with the same group can be pushed together for one party
+  combine_group: z.string().trim().min(1).max(20).nullable().optional(),
+  is_active: z.boolean().optional(),
+  sort_order: z.number().int().optional(),
+});
+
+const UpdateTableSchema = TableSchema.partial().refine(
+  (v) => Object.keys(v).length > 0,
+  { message: "Nothing to update" }
+);
+
+const DurationsSchema = z.object({
+  durations: z
+    .array(
+      z.object({
+        max_pax: z.number().int().min(1),
+        minutes: z.number().int().min(15).max(360),
+      })
+    )
+    .min(1),
+});
+
+const TABLE_COLUMNS = `
+  id, table_no, floor, seats, combine_group, is_active, sort_order, created_at, updated_at
+`;
+
+// GET /api/tables
+router.get("/", requirePermission("reservations:view"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT ${TABLE_COLUMNS} FROM tables ORDER BY floor ASC, sort_order ASC, table_no ASC`
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /tables error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// POST /api/tables
+router.post("/", requirePermission("reservations:manage"), async (req, res) => {
+  const parsed = TableSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const t = parsed.data;
+    const r = await pool.query(
+      `
+      INSERT INTO tables (table_no, floor, seats, combine_group, is_active, sort_order)
+      VALUES ($1, $2, $3, $4, COALESCE($5, TRUE), COALESCE($6, 0))
+      RETURNING ${TABLE_COLUMNS}
+      `,
+      [t.table_no, t.floor, t.seats, t.combine_group ?? null, t.is_active ?? null, t.sort_order ?? null]
+    );
+    return res.status(201).json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Table number already exists" });
+    }
+    console.error("POST /tables error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PATCH /api/tables/:id
+// Tables are retired with is_active=false rather than deleted, so past
+// bookings keep their table numbers. Existing bookings stay on a retired table
+// until staff move them.
+router.patch("/:id(\\d+)", requirePermission("reservations:manage"), async (req, res) => {
+  const parsed = UpdateTableSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const id = parseInt(req.params.id, 10);
+    const t = parsed.data;
+
+    const r = await pool.query(
+      `
+      UPDATE tables
+      SET
+        table_no = COALESCE($1, table_no),
+        floor = COALESCE($2, floor),
+        seats = COALESCE($3, seats),
+        combine_group = CASE WHEN $4::boolean THEN $5 ELSE combine_group END,
+        is_active = COALESCE($6, is_active),
+        sort_order = COALESCE($7, sort_order),
+        updated_at = NOW()
+      WHERE id = $8
+      RETURNING ${TABLE_COLUMNS}
+      `,
+      [
+        t.table_no ?? null,
+        t.floor ?? null,
+        t.seats ?? null,
+        t.combine_group !== undefined,
+        t.combine_group ?? null,
+        t.is_active ?? null,
+        t.sort_order ?? null,
+        id,
+      ]
+    );
+
+    if (!r.rowCount) return res.status(404).json({ error: "Table not found" });
+    return res.json(r.rows[0]);
+  } catch (e) {
+    if (e.code === "23505") {
+      return res.status(409).json({ error: "Table number already exists" });
+    }
+    console.error("PATCH /tables/:id error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// GET /api/tables/durations
+router.get("/durations", requirePermission("reservations:view"), async (req, res) => {
+  try {
+    const r = await pool.query(
+      `SELECT max_pax, minutes FROM dining_durations ORDER BY max_pax ASC`
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /tables/durations error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PUT /api/tables/durations  (replaces every band; applies to new bookings only)
+router.put("/durations", requirePermission("reservations:manage"), async (req, res) => {
+  const parsed = DurationsSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const bands = parsed.data.durations;
+  if (new Set(bands.map((b) => b.max_pax)).size !== bands.length) {
+    return res.status(400).json({ error: "max_pax must be unique" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM dining_durations`);
+    for (const b of bands) {
+      await client.query(
+        `INSERT INTO dining_durations (max_pax, minutes) VALUES ($1, $2)`,
+        [b.max_pax, b.minutes]
+      );
+    }
+    await client.query("COMMIT");
+
+    return res.json([...bands].sort((a, b) => a.max_pax - b.max_pax));
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("PUT /tables/durations error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,464 @@
+const express = require("express");
+const { z } = require("zod");
+const { DATE, TIME } = require("../schemas");
+const { pool } = require("../db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { checkReservationTime } = require("../services/hours");
+const { lockDate } = require("../services/tables");
+const {
+  MAX_PAX,
+  makeConfirmationCode,
+  holdTables,
+} = require("../services/reservations");
+const { samePhone, screenGuestPhone } = require("../services/customers");
+const {
+  ENTRY_COLUMNS,
+  offerEntry,
+  announceOffers,
+  promoteAfterCancel,
+} = require("../services/waitlist");
+const { queueEmail } = require("../services/email");
+const { reserveGuest, recordGuestFailure, recordGuestSuccess } = require("../services/guestGuard");
+
+const router = express.Router();
+
+const JoinSchema = z.object({
+  customer_name: z.string().min(1),
+  customer_phone: z.string().min(3),
+  customer_email: z.string().trim().email().max(254).optional().nullable(),
+  reservation_date: DATE,
+  reservation_time: TIME,
+  pax: z.number().int().min(1).max(MAX_PAX),
+  notes: z.string().optional().nullable(),
+});
+
+// same code + phone check as reservation self-service
+const GuestSchema = z.object({
+  waitlist_code: z.string().min(4),
+  customer_phone: z.string().min(3),
+});
+
+const AdminListQuery = z.object({
+  date: DATE.optional(),
+  status: z.enum(["waiting", "offered", "accepted", "expired", "cancelled"]).optional(),
+});
+
+// waiting guests ahead of this one for the same date and time
+async function queuePosition(db, entry) {
+  if (entry.status !== "waiting") return null;
+
+  const r = await db.query(
+    `
+    SELECT COUNT(*)::int AS ahead
+    FROM waitlist_entries
+    WHERE reservation_date = $1::date
+      AND reservation_time = $2::time
+      AND status = 'waiting'
+      AND (created_at, id) < (SELECT created_at, id FROM waitlist_entries WHERE id = $3)
+    `,
+    [entry.reservation_date, entry.reservation_time, entry.id]
+  );
+  return r.rows[0].ahead + 1;
+}
+
+// Look up by code and check the phone. Failed checks are throttled like
+// reservation lookups, so this runs outside any transaction. Returns { entry }
+// or { status, error } (with retry_after when throttled).
+async function findGuestEntry({ waitlist_code, customer_phone }, ip) {
+  const guard = await reserveGuest(waitlist_code, ip);
+  if (!guard.allowed) {
+    return { status: guard.status, error: guard.message, retry_after: guard.retry_after };
+  }
+
+  const r = await pool.query(
+    `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries WHERE waitlist_code = $1`,
+    [waitlist_code.trim().toUpperCase()]
+  );
+
+  const entry = r.rows?.[0];
+  if (!entry) {
+    await recordGuestFailure(waitlist_code, ip);
+    return { status: 404, error: "Waitlist entry not found" };
+  }
+  if (!samePhone(entry.customer_phone, customer_phone)) {
+    await recordGuestFailure(waitlist_code, ip);
+    return { status: 403, error: "Verification failed" };
+  }
+  await recordGuestSuccess(waitlist_code, ip);
+  return { entry };
+}
+
+// the entry as it is now, locked until the transaction ends
+async function lockEntry(client, id) {
+  const r = await client.query(
+    `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries WHERE id = $1 FOR UPDATE`,
+    [id]
+  );
+  return r.rows[0];
+}
+
+function sendGuestError(res, found) {
+  if (found.retry_after) res.setHeader("Retry-After", String(found.retry_after));
+  return res.status(found.status).json({ error: found.error });
+}
+
+function guestView(entry, position = null) {
+  const { customer_phone: _phone, reservation_id: _rid, ...rest } = entry;
+  return { ...rest, position };
+}
+
+// PUBLIC: join the waitlist for a full slot
+// POST /api/waitlist
+router.post("/", async (req, res) => {
+  const parsed = JoinSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const w = parsed.data;
+
+  const client = await pool.connect();
+  try {
+    // a blocklisted guest must not get a table through a waitlist offer either
+    const guest = await screenGuestPhone(client, w.customer_phone);
+    if (guest.error) return res.status(guest.status).json({ error: guest.error });
+
+    const slotError = await checkReservationTime(client, w.reservation_date, w.reservation_time);
+    if (slotError) return res.status(400).json({ error: slotError });
+
+    await client.query("BEGIN");
+    await lockDate(client, w.reservation_date);
+
+    // nothing to wait for if a table is free right now
+    const held = await holdTables(client, {
+      date: w.reservation_date,
+      time: w.reservation_time,
+      pax: w.pax,
+    });
+    if (!held.error) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "A table is available at this time. Please book it directly."
+      });
+    }
+
+    const dup = await client.query(
+      `
+      SELECT id
+      FROM waitlist_entries
+      WHERE reservation_date = $1::date
+        AND reservation_time = $2::time
+        AND customer_phone = $3
+        AND status IN ('waiting', 'offered')
+      `,
+      [w.reservation_date, w.reservation_time, guest.phone]
+    );
+    if (dup.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "You are already on the waitlist for this time." });
+    }
+
+    const ins = await client.query(
+      `
+      INSERT INTO waitlist_entries
+        (waitlist_code, customer_name, customer_phone, reservation_date, reservation_time, pax, notes,
+         customer_email)
+      VALUES
+        ($1, $2, $3, $4::date, $5::time, $6::int, $7, $8)
+      RETURNING ${ENTRY_COLUMNS}
+      `,
+      [
+        makeConfirmationCode(),
+        w.customer_name,
+        guest.phone,
+        w.reservation_date,
+        w.reservation_time,
+        w.pax,
+        w.notes || null,
+        w.customer_email || null,
+      ]
+    );
+    const entry = ins.rows[0];
+    const position = await queuePosition(client, entry);
+
+    await client.query("COMMIT");
+    return res.status(201).json({
+      waitlist_id: entry.id,
+      waitlist_code: entry.waitlist_code,
+      position,
+    });
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("POST /waitlist error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// PUBLIC: guest checks their place / offer
+// POST /api/waitlist/lookup
+router.post("/lookup", async (req, res) => {
+  const parsed = GuestSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const found = await findGuestEntry(parsed.data, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    const position = await queuePosition(pool, found.entry);
+    return res.json(guestView(found.entry, position));
+  } catch (e) {
+    console.error("POST /waitlist/lookup error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// PUBLIC: guest takes the offered table before the hold runs out
+// POST /api/waitlist/accept
+router.post("/accept", async (req, res) => {
+  const parsed = GuestSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const client = await pool.connect();
+  try {
+    const found = await findGuestEntry(parsed.data, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    await client.query("BEGIN");
+
+    const entry = await lockEntry(client, found.entry.id);
+    if (entry.status !== "offered" || new Date(entry.hold_expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "There is no open offer for this waitlist entry." });
+    }
+
+    const upd = await client.query(
+      `
+      UPDATE reservations
+      SET status = 'pending', hold_expires_at = NULL, updated_at = NOW()
+      WHERE id = $1
+        AND status = 'held'
+        AND hold_expires_at > NOW()
+      RETURNING id, confirmation_code
+      `,
+      [entry.reservation_id]
+    );
+    if (!upd.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "There is no open offer for this waitlist entry." });
+    }
+
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'accepted', updated_at = NOW() WHERE id = $1`,
+      [entry.id]
+    );
+    await queueEmail(client, "reservation_received", entry.customer_email, {
+      customer_name: entry.customer_name,
+      reservation_date: entry.reservation_date,
+      reservation_time: entry.reservation_time,
+      pax: entry.pax,
+      confirmation_code: upd.rows[0].confirmation_code,
+    });
+
+    await client.query("COMMIT");
+    return res.json({
+      reservation_id: upd.rows[0].id,
+      confirmation_code: upd.rows[0].confirmation_code,
+    });
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("POST /waitlist/accept error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Leave the waitlist (or turn down an offer, which goes to the next guest).
+// Returns the updated entry, or null when it was already closed.
+async function cancelEntry(client, entry) {
+  if (!["waiting", "offered"].includes(entry.status)) return null;
+
+  if (entry.status === "offered" && entry.reservation_id) {
+    await client.query(
+      `
+      UPDATE reservations
+      SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+        AND status = 'held'
+      `,
+      [entry.reservation_id]
+    );
+  }
+
+  const upd = await client.query(
+    `
+    UPDATE waitlist_entries
+    SET status = 'cancelled', updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${ENTRY_COLUMNS}
+    `,
+    [entry.id]
+  );
+  return upd.rows[0];
+}
+
+// PUBLIC: guest leaves the waitlist
+// POST /api/waitlist/cancel
+router.post("/cancel", async (req, res) => {
+  const parsed = GuestSchema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const client = await pool.connect();
+  try {
+    const found = await findGuestEntry(parsed.data, req.ip);
+    if (found.error) return sendGuestError(res, found);
+
+    await client.query("BEGIN");
+
+    const entry = await lockEntry(client, found.entry.id);
+    const cancelled = await cancelEntry(client, entry);
+    if (!cancelled) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        error: `Cannot cancel a waitlist entry that is '${entry.status}'.`
+      });
+    }
+
+    await client.query("COMMIT");
+
+    if (entry.status === "offered") await promoteAfterCancel(entry.reservation_date);
+    return res.json(guestView(cancelled));
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    console.error("POST /waitlist/cancel error:", e);
+    return res.status(500).json({ error: e.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ADMIN: list the waitlist
+// GET /api/waitlist/admin?date=YYYY-MM-DD&status=waiting
+router.get("/admin", requireAuth, requirePermission("reservations:view"), async (req, res) => {
+  const parsed = AdminListQuery.safeParse(req.query);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  try {
+    const { date, status } = parsed.data;
+    const r = await pool.query(
+      `
+      SELECT ${ENTRY_COLUMNS}
+      FROM waitlist_entries
+      WHERE ($1::date IS NULL OR reservation_date = $1::date)
+        AND ($2::text IS NULL OR status = $2)
+      ORDER BY reservation_date ASC, reservation_time ASC, created_at ASC, id ASC
+      `,
+      [date ?? null, status ?? null]
+    );
+    return res.json(r.rows);
+  } catch (e) {
+    console.error("GET /waitlist/admin error:", e);
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// ADMIN: offer a table to this guest now, out of turn
+// POST /api/waitlist/admin/:id/offer
+router.post(
+  "/admin/:id(\\d+)/offer",
+  requireAuth,
+  requirePermission("reservations:manage"),
+  async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const r = await client.query(
+        `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      const entry = r.rows?.[0];
+      if (!entry) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Waitlist entry not found" });
+      }
+      if (entry.status !== "waiting") {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `Entry is '${entry.status}', not waiting.` });
+      }
+
+      const offered = await offerEntry(client, entry);
+      if (!offered) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "No table is free for this party at that time." });
+      }
+
+      await client.query("COMMIT");
+      announceOffers([offered]);
+      return res.json(offered);
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error("POST /waitlist/admin/:id/offer error:", e);
+      return res.status(500).json({ error: e.message });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ADMIN: remove a guest from the waitlist (withdraws any open offer)
+// POST /api/waitlist/admin/:id/cancel
+router.post(
+  "/admin/:id(\\d+)/cancel",
+  requireAuth,
+  requirePermission("reservations:manage"),
+  async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const r = await client.query(
+        `SELECT ${ENTRY_COLUMNS} FROM waitlist_entries WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      const entry = r.rows?.[0];
+      if (!entry) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Waitlist entry not found" });
+      }
+
+      const cancelled = await cancelEntry(client, entry);
+      if (!cancelled) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: `Cannot cancel an entry that is '${entry.status}'.` });
+      }
+
+      await client.query("COMMIT");
+
+      if (entry.status === "offered") await promoteAfterCancel(entry.reservation_date);
+      return res.json(cancelled);
+    } catch (e) {
+      try {
+        await client.query("ROLLBACK");
+      } catch {}
+      console.error("POST /waitlist/admin/:id/cancel error:", e);
+      return res.status(500).json({ error: e.message });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+module.exports = router;
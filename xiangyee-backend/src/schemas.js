@@ -0,0 +1,19 @@
+// schemas.js
+// zod schemas shared by the routes.
+
+const { z } = require("zod");
+
+// HH:MM on the 24-hour clock
+const TIME = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, "HH:MM");
+
+// YYYY-MM-DD that is a real day; 2027-02-31 matches the pattern and would
+// otherwise only fail once it reaches Postgres
+const DATE = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "YYYY-MM-DD")
+  .refine((s) => {
+    const d = new Date(`${s}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+  }, "Not a calendar date");
+
+module.exports = { DATE, TIME };
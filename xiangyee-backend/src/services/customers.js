@@ -0,0 +1,101 @@
+// services/customers.js
+// One customers row per phone number. Orders and reservations are matched to
+// it by the phone in E.164 form; a bare 8-digit number is taken as Singapore.
+
+const SG_COUNTRY_CODE = "65";
+
+// Singapore numbers are 8 digits starting 3 (VoIP), 6 (fixed), 8 or 9 (mobile)
+const SG_LOCAL = /^[3689]\d{7}$/;
+
+// "9123 4567", "+65 9123-4567", "0065 91234567" -> "+6591234567".
+// Returns null for anything that cannot be a phone number.
+function normalizePhone(raw) {
+  let v = String(raw || "").trim().replace(/[\s\-().]/g, "");
+  if (!v) return null;
+
+  if (v.startsWith("00")) v = `+${v.slice(2)}`;
+
+  if (v.startsWith("+")) {
+    const digits = v.slice(1);
+    if (!/^[1-9]\d{6,14}$/.test(digits)) return null;
+    if (digits.startsWith(SG_COUNTRY_CODE) && !SG_LOCAL.test(digits.slice(2))) return null;
+    return `+${digits}`;
+  }
+
+  if (SG_LOCAL.test(v)) return `+${SG_COUNTRY_CODE}${v}`;
+  if (v.startsWith(SG_COUNTRY_CODE) && SG_LOCAL.test(v.slice(2))) return `+${v}`;
+
+  return null;
+}
+
+// guests type their number in any format; older rows may not be E.164 yet
+function samePhone(a, b) {
+  const key = (v) => normalizePhone(v) || String(v || "").replace(/\s+/g, "");
+  return key(a) === key(b);
+}
+
+const CUSTOMER_COLUMNS = `
+  id,
+  phone_e164,
+  name,
+  email,
+  is_vip,
+  is_blocklisted,
+  blocklist_reason,
+  allergies,
+  notes,
+  last_seen_at,
+  created_at,
+  updated_at
+`;
+
+async function findCustomerByPhone(db, phone) {
+  const r = await db.query(`SELECT ${CUSTOMER_COLUMNS} FROM customers WHERE phone_e164 = $1`, [phone]);
+  return r.rows?.[0] || null;
+}
+
+// Normalise a guest's phone and turn away blocklisted numbers before a
+// booking. Returns { phone } or { status, error }.
+async function screenGuestPhone(db, raw) {
+  const phone = normalizePhone(raw);
+  if (!phone) return { status: 400, error: "Please enter a valid phone number." };
+
+  const customer = await findCustomerByPhone(db, phone);
+  if (customer?.is_blocklisted) {
+    return {
+      status: 403,
+      error: "We are unable to accept online reservations for this number. Please call the restaurant.",
+    };
+  }
+
+  return { phone };
+}
+
+// Create or refresh the customer for an incoming order/reservation. The latest
+// name wins; an email is only replaced by another email, never by a blank.
+async function upsertCustomer(db, { phone, name, email = null }) {
+  const r = await db.query(
+    `
+    INSERT INTO customers (phone_e164, name, email, last_seen_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (phone_e164) DO UPDATE
+    SET
+      name = EXCLUDED.name,
+      email = COALESCE(EXCLUDED.email, customers.email),
+      last_seen_at = NOW(),
+      updated_at = NOW()
+    RETURNING ${CUSTOMER_COLUMNS}
+    `,
+    [phone, name, email]
+  );
+  return r.rows[0];
+}
+
+module.exports = {
+  normalizePhone,
+  samePhone,
+  CUSTOMER_COLUMNS,
+  findCustomerByPhone,
+  screenGuestPhone,
+  upsertCustomer,
+};
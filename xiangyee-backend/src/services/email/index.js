@@ -0,0 +1,135 @@
+// services/email/index.js
+// Transactional email through an outbox. Routes call queueEmail() with the
+// same client as their business change; the worker below sends what was
+// committed and retries with backoff.
+//
+//   EMAIL_POLL_INTERVAL_MS   how often the worker looks for due emails (5000)
+//   EMAIL_MAX_ATTEMPTS       give up and mark 'failed' after this many (6)
+
+const { pool } = require("../../db");
+const { TEMPLATES, render } = require("./templates");
+const { isConfigured, sendMail } = require("./transport");
+
+const POLL_INTERVAL_MS = Number(process.env.EMAIL_POLL_INTERVAL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 6);
+const BATCH_SIZE = 10;
+
+// 1 min, 2 min, 4 min ... capped at 1 hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// a worker that died mid-send leaves rows in 'sending'; take them back after this
+const STALE_LOCK_MINUTES = 10;
+
+// Queue an email inside the caller's transaction. No address, no email.
+async function queueEmail(db, template, to, payload) {
+  if (!to) return null;
+  if (!TEMPLATES.includes(template)) throw new Error(`Unknown email template '${template}'`);
+
+  const r = await db.query(
+    `
+    INSERT INTO email_outbox (template, to_address, payload)
+    VALUES ($1, $2, $3::jsonb)
+    RETURNING id
+    `,
+    [template, to, JSON.stringify(payload || {})]
+  );
+  return r.rows[0].id;
+}
+
+function retryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+}
+
+// Claim due rows so two app instances never send the same email.
+async function claimBatch() {
+  const r = await pool.query(
+    `
+    UPDATE email_outbox
+    SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+    WHERE id IN (
+      SELECT id
+      FROM email_outbox
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+         OR (status = 'sending' AND locked_at < NOW() - make_interval(mins => $2::int))
+      ORDER BY id ASC
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, template, to_address, payload, attempts
+    `,
+    [BATCH_SIZE, STALE_LOCK_MINUTES]
+  );
+  return r.rows;
+}
+
+async function deliver(row) {
+  try {
+    const message = render(row.template, row.payload);
+    const info = await sendMail({ to: row.to_address, ...message });
+
+    await pool.query(
+      `
+      UPDATE email_outbox
+      SET status = 'sent', sent_at = NOW(), locked_at = NULL, last_error = NULL, message_id = $2
+      WHERE id = $1
+      `,
+      [row.id, info?.messageId || null]
+    );
+  } catch (e) {
+    const giveUp = row.attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `
+      UPDATE email_outbox
+      SET
+        status = $2,
+        locked_at = NULL,
+        last_error = $3,
+        next_attempt_at = NOW() + make_interval(secs => $4::int)
+      WHERE id = $1
+      `,
+      [row.id, giveUp ? "failed" : "pending", String(e.message || e), Math.round(retryDelayMs(row.attempts) / 1000)]
+    );
+    console.error(`Email ${row.id} (${row.template}) failed, attempt ${row.attempts}:`, e.message);
+  }
+}
+
+// Send everything that is due. Returns how many rows were attempted.
+async function processOutbox() {
+  let total = 0;
+  for (;;) {
+    const batch = await claimBatch();
+    for (const row of batch) await deliver(row);
+    total += batch.length;
+    if (batch.length < BATCH_SIZE) return total;
+  }
+}
+
+let running = false;
+
+function startEmailWorker() {
+  if (!isConfigured()) {
+    console.log("Email worker disabled (SMTP_HOST not set); emails stay queued in email_outbox.");
+    return null;
+  }
+
+  const timer = setInterval(async () => {
+    if (running) return; // a slow SMTP server must not stack up ticks
+    running = true;
+    try {
+      await processOutbox();
+    } catch (e) {
+      console.error("Email worker error:", e);
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  startEmailWorker,
+};
@@ -0,0 +1,216 @@
+// services/email/templates.js
+// template name -> (payload) => { subject, text, html }
+// Payloads are snapshots taken when the email was queued, so a message
+// describes the booking or order as it was at that moment.
+
+const RESTAURANT = "Xiangyee Hunan Cuisine";
+const SITE_URL = (process.env.PUBLIC_SITE_URL || "").replace(/\/+$/, "");
+
+function escapeHtml(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function money(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+// Every email is a greeting, a few lines and an optional table of details.
+function layout({ subject, name, lines, details = [] }) {
+  const text = [
+    `Hi ${name || "there"},`,
+    "",
+    ...lines,
+    "",
+    ...details.map(([k, v]) => `${k}: ${v}`),
+    "",
+    RESTAURANT,
+    ...(SITE_URL ? [SITE_URL] : []),
+  ].join("\n");
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size: 14px; color: #222;">
+      <p>Hi ${escapeHtml(name || "there")},</p>
+      ${lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("")}
+      ${
+        details.length
+          ? `<table cellpadding="4">${details
+              .map(([k, v]) => `<tr><td><b>${escapeHtml(k)}</b></td><td>${escapeHtml(v)}</td></tr>`)
+              .join("")}</table>`
+          : ""
+      }
+      <p>${escapeHtml(RESTAURANT)}${SITE_URL ? `<br><a href="${escapeHtml(SITE_URL)}">${escapeHtml(SITE_URL)}</a>` : ""}</p>
+    </div>
+  `;
+
+  return { subject, text, html };
+}
+
+function reservationDetails(p) {
+  return [
+    ["Date", p.reservation_date],
+    ["Time", p.reservation_time],
+    ["Guests", p.pax],
+    ["Confirmation code", p.confirmation_code],
+  ];
+}
+
+function orderLines(p) {
+  return (p.items || []).map((it) => [
+    `${it.quantity} × ${it.name_en}${it.modifiers?.length ? ` (${it.modifiers.join(", ")})` : ""}`,
+    money(it.line_total),
+  ]);
+}
+
+// discounts, service charge, GST and rounding under the dish lines
+function orderTotalLines(p) {
+  const b = p.breakdown;
+  const rows = (p.discounts || []).map((d) => [d.code ? `${d.name} (${d.code})` : d.name, `-${money(d.amount)}`]);
+  if (!b) return rows;
+
+  if (b.service_charge_cents) {
+    rows.push([`Service charge (${b.service_charge_rate}%)`, money(b.service_charge_cents / 100)]);
+  }
+  if (b.gst_cents) {
+    rows.push([
+      b.gst_inclusive ? `GST ${b.gst_rate}% (included)` : `GST (${b.gst_rate}%)`,
+      money(b.gst_cents / 100),
+    ]);
+  }
+  if (b.rounding_cents) {
+    rows.push(["Rounding", `${b.rounding_cents < 0 ? "-" : ""}${money(Math.abs(b.rounding_cents) / 100)}`]);
+  }
+  return rows;
+}
+
+const templates = {
+  reservation_received: (p) =>
+    layout({
+      subject: `${RESTAURANT}: we received your reservation`,
+      name: p.customer_name,
+      lines: [
+        "Thank you for your reservation request. We will confirm it shortly.",
+        "Use your confirmation code and phone number to view, change or cancel the booking.",
+      ],
+      details: reservationDetails(p),
+    }),
+
+  reservation_confirmed: (p) =>
+    layout({
+      subject: `${RESTAURANT}: your reservation is confirmed`,
+      name: p.customer_name,
+      lines: ["Your table is confirmed. We look forward to seeing you."],
+      details: reservationDetails(p),
+    }),
+
+  reservation_reminder: (p) =>
+    layout({
+      subject: `${RESTAURANT}: reminder of your reservation on ${p.reservation_date}`,
+      name: p.customer_name,
+      lines: [
+        `This is a reminder that your table for ${p.pax} is booked for ${p.reservation_date} at ${p.reservation_time}.`,
+        SITE_URL && p.token
+          ? `Please confirm you are coming, or cancel if your plans have changed: ${SITE_URL}/reservation.html?token=${encodeURIComponent(p.token)}`
+          : "If your plans have changed, please cancel with your confirmation code and phone number.",
+      ],
+      details: reservationDetails(p),
+    }),
+
+  reservation_cancelled: (p) =>
+    layout({
+      subject: `${RESTAURANT}: your reservation is cancelled`,
+      name: p.customer_name,
+      lines: ["Your reservation has been cancelled. We hope to welcome you another time."],
+      details: reservationDetails(p),
+    }),
+
+  waitlist_offered: (p) =>
+    layout({
+      subject: `${RESTAURANT}: a table is free on ${p.reservation_date}`,
+      name: p.customer_name,
+      lines: [
+        `Good news: a table for ${p.pax} has opened up on ${p.reservation_date} at ${p.reservation_time}.`,
+        `We are holding it for you until ${p.hold_until}. After that it goes to the next guest on the waitlist.`,
+        SITE_URL
+          ? `Accept the table here: ${SITE_URL}/reservation.html?waitlist=${encodeURIComponent(p.waitlist_code)}`
+          : "Accept the table on our website with your waitlist code and phone number.",
+      ],
+      details: [
+        ["Date", p.reservation_date],
+        ["Time", p.reservation_time],
+        ["Guests", p.pax],
+        ["Waitlist code", p.waitlist_code],
+        ["Hold until", p.hold_until],
+      ],
+    }),
+
+  order_received: (p) =>
+    layout({
+      subject: `${RESTAURANT}: order ${p.order_no} received`,
+      name: p.customer_name,
+      lines: [
+        `We have received your ${p.order_type === "dine_in" ? "dine-in" : "takeaway"} order.`,
+        "We will let you know when it is ready.",
+      ],
+      details: [
+        ["Order no", p.order_no],
+        ...orderLines(p),
+        ...orderTotalLines(p),
+        ["Total", money(p.total_amount)],
+      ],
+    }),
+
+  order_ready: (p) =>
+    layout({
+      subject: `${RESTAURANT}: order ${p.order_no} is ready`,
+      name: p.customer_name,
+      lines: [
+        p.order_type === "dine_in"
+          ? "Your order is ready and on its way to your table."
+          : "Your order is ready for collection at the counter.",
+      ],
+      details: [["Order no", p.order_no]],
+    }),
+
+  order_cancelled: (p) =>
+    layout({
+      subject: `${RESTAURANT}: order ${p.order_no} is cancelled`,
+      name: p.customer_name,
+      lines: [
+        "We are sorry, but we have had to cancel your order.",
+        "If you have paid, we will refund you.",
+      ],
+      details: [
+        ["Order no", p.order_no],
+        ["Reason", p.reason],
+      ],
+    }),
+
+  order_refunded: (p) =>
+    layout({
+      subject: `${RESTAURANT}: refund for order ${p.order_no}`,
+      name: p.customer_name,
+      lines: [
+        `We have refunded ${money(p.amount_cents / 100)} for your order.`,
+        "It can take a few working days to appear on your statement.",
+      ],
+      details: [
+        ["Order no", p.order_no],
+        ["Refund", money(p.amount_cents / 100)],
+      ],
+    }),
+};
+
+function render(template, payload) {
+  const fn = templates[template];
+  if (!fn) throw new Error(`Unknown email template '${template}'`);
+  return fn(payload || {});
+}
+
+module.exports = {
+  TEMPLATES: Object.keys(templates),
+  render,
+};
@@ -0,0 +1,40 @@
+// services/email/transport.js
+// SMTP connection from env. For local testing point it at a catch-all such
+// as Mailpit or MailHog:  SMTP_HOST=localhost SMTP_PORT=1025 SMTP_SECURE=false
+//
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465)
+//   SMTP_USER, SMTP_PASS (optional; omit for servers without auth)
+//   EMAIL_FROM  e.g. "Xiangyee Hunan Cuisine <bookings@example.com>"
+
+const nodemailer = require("nodemailer");
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "Xiangyee Hunan Cuisine <no-reply@localhost>";
+
+let transporter = null;
+
+function isConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (transporter) return transporter;
+  if (!isConfigured()) throw new Error("SMTP_HOST is not set");
+
+  const port = Number(process.env.SMTP_PORT || 587);
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || "" }
+      : undefined,
+  });
+  return transporter;
+}
+
+// { to, subject, text, html } -> nodemailer info (info.messageId)
+async function sendMail(message) {
+  return getTransport().sendMail({ from: EMAIL_FROM, ...message });
+}
+
+module.exports = { EMAIL_FROM, isConfigured, sendMail };
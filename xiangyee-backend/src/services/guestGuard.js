@@ -0,0 +1,202 @@
+// services/guestGuard.js
+// Brute-force protection for the public reservation and waitlist self-service
+// endpoints, where a confirmation or waitlist code and a phone number stand in
+// for a login, and for promo code lookups.
+//
+// Works like loginGuard: failed checks are counted per code and per IP, each
+// failure past the free ones doubles the wait, and enough failures lock the
+// key for a while. reserveGuest counts a check as a failure up front, in the
+// same statement that decides whether it may run, so parallel guesses cannot
+// all get past the backoff; a successful check gives it back and clears the
+// code's count.
+//
+// Promo codes have no phone to check, so there the key is the IP alone
+// (kind 'promo') and only lookups that find no code count as failures.
+
+const { pool } = require("../db");
+
+const num = (name, fallback) => Number(process.env[name] || fallback);
+
+const FREE_ATTEMPTS = num("GUEST_FREE_ATTEMPTS", 5);
+const BACKOFF_BASE_MS = num("GUEST_BACKOFF_BASE_MS", 1000);
+const BACKOFF_MAX_MS = num("GUEST_BACKOFF_MAX_MS", 5 * 60 * 1000);
+const CODE_LOCK_THRESHOLD = num("GUEST_LOCK_THRESHOLD", 10);
+const IP_LOCK_THRESHOLD = num("GUEST_IP_LOCK_THRESHOLD", 30);
+const PROMO_LOCK_THRESHOLD = num("GUEST_PROMO_LOCK_THRESHOLD", 20);
+const LOCK_MINUTES = num("GUEST_LOCK_MINUTES", 15);
+// failures older than this no longer count
+const WINDOW_MINUTES = num("GUEST_WINDOW_MINUTES", 60);
+
+const LOCK_THRESHOLDS = { code: CODE_LOCK_THRESHOLD, ip: IP_LOCK_THRESHOLD, promo: PROMO_LOCK_THRESHOLD };
+
+function codeKey(code) {
+  return String(code).trim().toUpperCase().slice(0, 100);
+}
+
+// [[kind, key]] checked for a guest code: the code and, if known, the IP
+function guestKeys(code, ip) {
+  const keys = [["code", codeKey(code)]];
+  if (ip) keys.push(["ip", String(ip)]);
+  return keys;
+}
+
+function backoffMs(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - FREE_ATTEMPTS), BACKOFF_MAX_MS);
+}
+
+// how long the keys must wait: { allowed: true } or
+// { allowed: false, status, message, retry_after }
+async function checkKeys(keys) {
+  const r = await pool.query(
+    `
+    SELECT failures, last_failure_at, locked_until
+    FROM guest_throttle
+    WHERE (kind, key) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      AND last_failure_at > NOW() - make_interval(mins => $3)
+    `,
+    [keys.map(([kind]) => kind), keys.map(([, key]) => key), WINDOW_MINUTES]
+  );
+
+  const now = Date.now();
+  let wait = 0;
+
+  for (const row of r.rows) {
+    const lockedUntil = row.locked_until ? new Date(row.locked_until).getTime() : 0;
+    const nextTry =
+      lockedUntil > now ? lockedUntil : new Date(row.last_failure_at).getTime() + backoffMs(row.failures);
+    wait = Math.max(wait, nextTry - now);
+  }
+
+  if (wait <= 0) return { allowed: true };
+
+  const retryAfter = Math.ceil(wait / 1000);
+  return {
+    allowed: false,
+    status: 429,
+    message: `Too many attempts. Try again in ${retryAfter}s.`,
+    retry_after: retryAfter,
+  };
+}
+
+// Take one check for the key unless it is locked or backing off; false if it
+// may not check now. Runs on the caller's transaction.
+async function reserveKey(db, kind, key) {
+  const r = await db.query(
+    `
+    INSERT INTO guest_throttle AS t (kind, key, failures, last_failure_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (kind, key) DO UPDATE SET
+      failures = CASE
+        WHEN t.last_failure_at > NOW() - make_interval(mins => $3)
+          THEN t.failures + 1
+        ELSE 1
+      END,
+      last_failure_at = NOW()
+    WHERE t.last_failure_at <= NOW() - make_interval(mins => $3)
+       OR (
+         (t.locked_until IS NULL OR t.locked_until <= NOW())
+         AND t.last_failure_at + CASE
+           WHEN t.failures < $4 THEN INTERVAL '0'
+           ELSE make_interval(secs => LEAST($5::float8 * 2 ^ LEAST(t.failures - $4, 30), $6::float8) / 1000)
+         END <= NOW()
+       )
+    RETURNING t.failures
+    `,
+    [kind, key, WINDOW_MINUTES, FREE_ATTEMPTS, BACKOFF_BASE_MS, BACKOFF_MAX_MS]
+  );
+  return r.rowCount > 0;
+}
+
+// Reserve one check for every key, or for none.
+// { allowed: true } or { allowed: false, status, message, retry_after }
+async function reserveKeys(keys) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const [kind, key] of keys) {
+      if (!(await reserveKey(client, kind, key))) {
+        await client.query("ROLLBACK");
+        const guard = await checkKeys(keys);
+        if (!guard.allowed) return guard;
+
+        // the wait ran out in between; the next try will get in
+        return { allowed: false, status: 429, message: "Too many attempts. Try again in 1s.", retry_after: 1 };
+      }
+    }
+    await client.query("COMMIT");
+    return { allowed: true };
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function lockIfOver(kind, key) {
+  await pool.query(
+    `
+    UPDATE guest_throttle
+    SET locked_until = NOW() + make_interval(mins => $3)
+    WHERE kind = $1
+      AND key = $2
+      AND failures >= $4
+      AND (locked_until IS NULL OR locked_until < NOW())
+    `,
+    [kind, key, LOCK_MINUTES, LOCK_THRESHOLDS[kind]]
+  );
+}
+
+function checkGuest(code, ip) {
+  return checkKeys(guestKeys(code, ip));
+}
+
+function reserveGuest(code, ip) {
+  return reserveKeys(guestKeys(code, ip));
+}
+
+// the failure itself was counted by reserveGuest
+async function recordGuestFailure(code, ip) {
+  await lockIfOver("code", codeKey(code));
+  if (ip) await lockIfOver("ip", String(ip));
+}
+
+async function recordGuestSuccess(code, ip) {
+  await pool.query(`DELETE FROM guest_throttle WHERE kind = 'code' AND key = $1`, [codeKey(code)]);
+  if (ip) {
+    await pool.query(
+      `UPDATE guest_throttle SET failures = GREATEST(failures - 1, 0) WHERE kind = 'ip' AND key = $1`,
+      [String(ip)]
+    );
+  }
+}
+
+// Promo code lookups, keyed by IP. A lookup that finds no code is a failure;
+// any other answer gives the reserved check back.
+function reservePromoCheck(ip) {
+  return reserveKeys([["promo", String(ip || "")]]);
+}
+
+async function recordPromoFailure(ip) {
+  await lockIfOver("promo", String(ip || ""));
+}
+
+async function recordPromoSuccess(ip) {
+  await pool.query(
+    `UPDATE guest_throttle SET failures = GREATEST(failures - 1, 0) WHERE kind = 'promo' AND key = $1`,
+    [String(ip || "")]
+  );
+}
+
+module.exports = {
+  checkGuest,
+  reserveGuest,
+  recordGuestFailure,
+  recordGuestSuccess,
+  reservePromoCheck,
+  recordPromoFailure,
+  recordPromoSuccess,
+};
@@ -0,0 +1,187 @@
+// services/hours.js
+// Opening hours in restaurant local time. Weekly periods come from
+// opening_hours; a special_dates row closes the day or swaps in its own
+// special_hours. "Today" is always the Singapore date, never the UTC one.
+
+const TIME_ZONE = process.env.TIME_ZONE || "Asia/Singapore";
+
+const PERIOD_COLUMNS = `
+  name,
+  to_char(opens_at, 'HH24:MI') AS opens_at,
+  to_char(closes_at, 'HH24:MI') AS closes_at,
+  to_char(COALESCE(last_booking_at, closes_at), 'HH24:MI') AS last_booking_at,
+  to_char(COALESCE(last_order_at, closes_at), 'HH24:MI') AS last_order_at
+`;
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM' } for the restaurant's clock
+function localNow(at = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: TIME_ZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(at)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// { date, weekday, closed, kind, name, periods: [{ name, opens_at, ... }] }
+async function getDayHours(db, date) {
+  const weekday = weekdayOf(date);
+
+  const specialRes = await db.query(
+    `SELECT kind, name, closed FROM special_dates WHERE special_date = $1::date`,
+    [date]
+  );
+  const special = specialRes.rows?.[0];
+
+  if (special?.closed) {
+    return { date, weekday, closed: true, kind: special.kind, name: special.name, periods: [] };
+  }
+
+  let periods = [];
+  if (special) {
+    const r = await db.query(
+      `SELECT ${PERIOD_COLUMNS} FROM special_hours WHERE special_date = $1::date ORDER BY opens_at ASC`,
+      [date]
+    );
+    periods = r.rows;
+  }
+
+  // a holiday without its own hours keeps the normal weekly ones
+  if (!periods.length) {
+    const r = await db.query(
+      `SELECT ${PERIOD_COLUMNS} FROM opening_hours WHERE weekday = $1 ORDER BY opens_at ASC`,
+      [weekday]
+    );
+    periods = r.rows;
+  }
+
+  return {
+    date,
+    weekday,
+    closed: periods.length === 0,
+    kind: special?.kind || null,
+    name: special?.name || null,
+    periods,
+  };
+}
+
+function closedMessage(day) {
+  return day.name ? `We are closed on ${day.date} (${day.name}).` : `We are closed on ${day.date}.`;
+}
+
+// Reservation start times on a day, every stepMinutes up to each last booking.
+function bookableTimes(day, stepMinutes = 30) {
+  const toMin = (t) => t.split(":").map(Number).reduce((h, m) => h * 60 + m);
+  const fmt = (m) =>
+    `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+
+  const times = [];
+  for (const p of day.periods) {
+    for (let cur = toMin(p.opens_at); cur <= toMin(p.last_booking_at); cur += stepMinutes) {
+      times.push(fmt(cur));
+    }
+  }
+  return times;
+}
+
+// Past-date and opening-hours check for a reservation.
+// Returns an error message, or null when the time is bookable.
+async function checkReservationTime(db, date, time) {
+  const now = localNow();
+
+  if (date < now.date) return "Cannot book a date in the past.";
+  if (date === now.date && time <= now.time) return "Time already passed for today.";
+
+  const day = await getDayHours(db, date);
+  if (day.closed) return closedMessage(day);
+
+  const fits = day.periods.some((p) => time >= p.opens_at && time <= p.last_booking_at);
+  if (!fits) {
+    const windows = day.periods.map((p) => `${p.opens_at}–${p.last_booking_at}`).join(" or ");
+    return `Reservations on ${date} can start ${windows}.`;
+  }
+
+  return null;
+}
+
+// Is the kitchen taking orders right now? Returns an error message or null.
+async function checkKitchenOpen(db) {
+  const now = localNow();
+  const day = await getDayHours(db, now.date);
+
+  if (day.closed) return "Sorry, we are closed today.";
+
+  const open = day.periods.some((p) => now.time >= p.opens_at && now.time < p.last_order_at);
+  if (!open) {
+    const windows = day.periods.map((p) => `${p.opens_at}–${p.last_order_at}`).join(", ");
+    return `The kitchen is closed. Orders are taken ${windows}.`;
+  }
+
+  return null;
+}
+
+// The regular week, weekday 0 (Sunday) to 6.
+async function getWeeklyHours(db) {
+  const r = await db.query(
+    `SELECT weekday, ${PERIOD_COLUMNS} FROM opening_hours ORDER BY weekday ASC, opens_at ASC`
+  );
+
+  const week = [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({ weekday, periods: [] }));
+  for (const { weekday, ...period } of r.rows) week[weekday].periods.push(period);
+  return week;
+}
+
+// Current status plus the next `days` days, for the public site.
+async function getSchedule(db, days = 7) {
+  const now = localNow();
+
+  const upcoming = [];
+  for (let i = 0; i < days; i++) {
+    upcoming.push(await getDayHours(db, addDays(now.date, i)));
+  }
+
+  const today = upcoming[0];
+  const current = today.periods.find((p) => now.time >= p.opens_at && now.time < p.closes_at);
+
+  return {
+    timezone: TIME_ZONE,
+    now,
+    open_now: Boolean(current),
+    kitchen_open: Boolean(current && now.time < current.last_order_at),
+    weekly: await getWeeklyHours(db),
+    days: upcoming,
+  };
+}
+
+module.exports = {
+  TIME_ZONE,
+  localNow,
+  weekdayOf,
+  getDayHours,
+  getWeeklyHours,
+  bookableTimes,
+  checkReservationTime,
+  checkKitchenOpen,
+  getSchedule,
+};
@@ -0,0 +1,246 @@
+// services/kitchen.js
+// Kitchen display: stations, tickets and the cooking status of order lines.
+// A ticket is an order as the kitchen sees it: the lines it cooks (a set
+// meal's dishes rather than the set line itself), each with its station and
+// status. Lines go queued -> cooking -> done; a set meal line follows its
+// dishes. The order moves to preparing when the first dish is started and to
+// ready when the last one is done.
+
+const { pool } = require("../db");
+const { KITCHEN_STATUSES, changeOrderStatus } = require("./orderStatus");
+const { sendTicket } = require("./realtime");
+const { TIME_ZONE } = require("./hours");
+const { orderItemModifiersColumn } = require("./modifiers");
+
+const LINE_STATUSES = ["queued", "cooking", "done"];
+
+const STATION_COLUMNS = `
+  id,
+  code,
+  name_en,
+  name_cn,
+  sort_order,
+  is_active
+`;
+
+// order_items oi the kitchen cooks: no set meal lines, nothing refunded in full
+const COOKED_LINE = `
+  NOT EXISTS (SELECT 1 FROM order_items ch WHERE ch.parent_order_item_id = oi.id)
+  AND oi.refunded_quantity < oi.quantity
+`;
+
+async function findStation(db, code) {
+  const r = await db.query(`SELECT ${STATION_COLUMNS} FROM kitchen_stations WHERE code = $1`, [code]);
+  return r.rows?.[0] || null;
+}
+
+// Tickets with their lines, oldest order first. orderId loads that order
+// whatever its status; otherwise only orders the kitchen is working on
+// (KITCHEN_STATUSES) with something still to cook. station narrows the lines (and so the tickets) to one station's code.
+async function loadTickets(db, { orderId = null, station = null } = {}) {
+  const r = await db.query(
+    `
+    SELECT
+      o.id AS order_id,
+      o.order_no,
+      o.order_type,
+      o.table_no,
+      o.notes,
+      o.status,
+      o.created_at,
+      json_agg(
+        json_build_object(
+          'id', oi.id,
+          'menu_item_id', oi.menu_item_id,
+          'name_en', oi.name_en,
+          'name_cn', oi.name_cn,
+          'quantity', oi.quantity,
+          'set_name_en', p.name_en,
+          'modifiers', ${orderItemModifiersColumn("COALESCE(p.id, oi.id)")},
+          'station', s.code,
+          'station_id', oi.station_id,
+          'kitchen_status', oi.kitchen_status,
+          'cooking_started_at', oi.cooking_started_at,
+          'done_at', oi.done_at
+        )
+        ORDER BY oi.id
+      ) AS items
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    LEFT JOIN order_items p ON p.id = oi.parent_order_item_id
+    LEFT JOIN kitchen_stations s ON s.id = oi.station_id
+    WHERE ${COOKED_LINE}
+      AND ($1::int IS NULL OR o.id = $1)
+      AND ($1::int IS NOT NULL OR o.status = ANY($3::text[]))
+      AND ($2::text IS NULL OR s.code = $2)
+    GROUP BY o.id
+    HAVING $1::int IS NOT NULL OR bool_or(oi.kitchen_status <> 'done')
+    ORDER BY o.created_at, o.id
+    `,
+    [orderId, station, KITCHEN_STATUSES]
+  );
+  return r.rows;
+}
+
+function lineError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Set a line's status and record when it happened. Going back clears the
+// later timestamps, so a dish sent back to the queue is timed afresh.
+// Throws for lines that cannot be changed; err.status is the HTTP status.
+async function setLineStatus(db, orderItemId, status) {
+  const cur = await db.query(
+    `
+    SELECT
+      oi.id,
+      oi.order_id,
+      oi.parent_order_item_id,
+      o.status AS order_status,
+      EXISTS (SELECT 1 FROM order_items ch WHERE ch.parent_order_item_id = oi.id) AS is_set
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.id = $1
+    FOR UPDATE OF o, oi
+    `,
+    [orderItemId]
+  );
+  const line = cur.rows?.[0];
+  if (!line) throw lineError(404, "Order item not found");
+  if (line.is_set) throw lineError(400, "Update the dishes of a set meal, not the set itself");
+  if (!KITCHEN_STATUSES.includes(line.order_status)) {
+    throw lineError(409, `Order is already ${line.order_status}`);
+  }
+
+  await db.query(
+    `
+    UPDATE order_items
+    SET
+      cooking_started_at = CASE
+        WHEN $2 = 'queued' THEN NULL
+        WHEN $2 = 'cooking' AND kitchen_status <> 'cooking' THEN NOW()
+        ELSE cooking_started_at
+      END,
+      done_at = CASE
+        WHEN $2 <> 'done' THEN NULL
+        WHEN kitchen_status <> 'done' THEN NOW()
+        ELSE done_at
+      END,
+      kitchen_status = $2
+    WHERE id = $1
+    `,
+    [orderItemId, status]
+  );
+
+  if (line.parent_order_item_id) {
+    await db.query(
+      `
+      UPDATE order_items p
+      SET
+        kitchen_status = CASE
+          WHEN c.done = c.total THEN 'done'
+          WHEN c.started > 0 THEN 'cooking'
+          ELSE 'queued'
+        END,
+        cooking_started_at = c.first_started,
+        done_at = CASE WHEN c.done = c.total THEN c.last_done END
+      FROM (
+        SELECT
+          COUNT(*) AS total,
+          COUNT(*) FILTER (WHERE kitchen_status = 'done') AS done,
+          COUNT(*) FILTER (WHERE kitchen_status <> 'queued') AS started,
+          MIN(cooking_started_at) AS first_started,
+          MAX(done_at) AS last_done
+        FROM order_items
+        WHERE parent_order_item_id = $1
+      ) c
+      WHERE p.id = $1
+      `,
+      [line.parent_order_item_id]
+    );
+  }
+
+  return line;
+}
+
+// Move the order along after a line changed: to preparing once a dish is
+// started, to ready once every dish is done (which queues the "ready" email).
+// user is the staff member at the kitchen display. Returns the order's status.
+async function advanceOrder(db, orderId, user) {
+  const r = await db.query(
+    `
+    SELECT
+      o.status,
+      COUNT(*) FILTER (WHERE oi.kitchen_status <> 'queued')::int AS started,
+      COUNT(*) FILTER (WHERE oi.kitchen_status <> 'done')::int AS to_cook
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    WHERE o.id = $1
+      AND ${COOKED_LINE}
+    GROUP BY o.id
+    `,
+    [orderId]
+  );
+  const order = r.rows?.[0];
+  if (!order) return null;
+
+  let status = order.status;
+  const moveTo = async (to) => {
+    const changed = await changeOrderStatus(db, orderId, to, { source: "kitchen", user });
+    if (changed.error) throw lineError(changed.status, changed.error);
+    status = to;
+  };
+
+  if (order.started > 0 && (status === "pending" || status === "confirmed")) await moveTo("preparing");
+  if (order.to_cook === 0 && status === "preparing") await moveTo("ready");
+  return status;
+}
+
+// Average seconds from order to cooking, cooking to done and order to done
+// per station and dish, for lines cooked on local dates from..until.
+async function lineTimings(db, { from, until, station = null }) {
+  const r = await db.query(
+    `
+    SELECT
+      s.code AS station,
+      oi.menu_item_id,
+      (array_agg(oi.name_en ORDER BY oi.id DESC))[1] AS name_en,
+      COUNT(*)::int AS lines,
+      ROUND(AVG(EXTRACT(EPOCH FROM oi.cooking_started_at - o.created_at)))::int AS avg_wait_seconds,
+      ROUND(AVG(EXTRACT(EPOCH FROM oi.done_at - oi.cooking_started_at)))::int AS avg_cook_seconds,
+      ROUND(AVG(EXTRACT(EPOCH FROM oi.done_at - o.created_at)))::int AS avg_total_seconds
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    LEFT JOIN kitchen_stations s ON s.id = oi.station_id
+    WHERE ${COOKED_LINE}
+      AND oi.done_at IS NOT NULL
+      AND (oi.done_at AT TIME ZONE $3::text)::date BETWEEN $1::date AND $2::date
+      AND ($4::text IS NULL OR s.code = $4)
+    GROUP BY s.code, s.sort_order, oi.menu_item_id
+    ORDER BY s.sort_order NULLS LAST, name_en
+    `,
+    [from, until, TIME_ZONE, station]
+  );
+  return r.rows;
+}
+
+// Push an order's ticket to the kitchen screens and return it; call after the
+// transaction commits.
+async function pushTicket(orderId) {
+  const [ticket] = await loadTickets(pool, { orderId });
+  if (ticket) sendTicket(ticket);
+  return ticket || null;
+}
+
+module.exports = {
+  LINE_STATUSES,
+  STATION_COLUMNS,
+  findStation,
+  loadTickets,
+  setLineStatus,
+  advanceOrder,
+  lineTimings,
+  pushTicket,
+};
@@ -0,0 +1,216 @@
+// services/loginGuard.js
+// Brute-force protection for POST /api/auth/login.
+//
+// Failures are counted per username and per IP. After a few free attempts each
+// further failure doubles the wait before the next try; enough failures lock
+// the key for a while. A success clears the username's count.
+//
+// reserveLogin counts an attempt as a failure before the password is checked,
+// in the same statement that decides whether the key may try now, so parallel
+// guesses cannot all get past the backoff while bcrypt runs. recordSuccess
+// gives the attempt back.
+
+const { pool } = require("../db");
+
+const num = (name, fallback) => Number(process.env[name] || fallback);
+
+const FREE_ATTEMPTS = num("LOGIN_FREE_ATTEMPTS", 3);
+const BACKOFF_BASE_MS = num("LOGIN_BACKOFF_BASE_MS", 1000);
+const BACKOFF_MAX_MS = num("LOGIN_BACKOFF_MAX_MS", 5 * 60 * 1000);
+const USER_LOCK_THRESHOLD = num("LOGIN_LOCK_THRESHOLD", 10);
+const IP_LOCK_THRESHOLD = num("LOGIN_IP_LOCK_THRESHOLD", 50);
+const LOCK_MINUTES = num("LOGIN_LOCK_MINUTES", 15);
+// failures older than this no longer count
+const WINDOW_MINUTES = num("LOGIN_WINDOW_MINUTES", 60);
+
+const LOCK_THRESHOLDS = { username: USER_LOCK_THRESHOLD, ip: IP_LOCK_THRESHOLD };
+
+function usernameKey(username) {
+  return String(username).trim().toLowerCase().slice(0, 100);
+}
+
+function backoffMs(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - FREE_ATTEMPTS), BACKOFF_MAX_MS);
+}
+
+// how long the username and IP must wait: { allowed: true } or
+// { allowed: false, status, reason, message, retry_after }
+async function checkLogin(username, ip) {
+  const r = await pool.query(
+    `
+    SELECT kind, failures, last_failure_at, locked_until
+    FROM login_throttle
+    WHERE ((kind = 'username' AND key = $1) OR (kind = 'ip' AND key = $2))
+      AND last_failure_at > NOW() - make_interval(mins => $3)
+    `,
+    [usernameKey(username), String(ip || ""), WINDOW_MINUTES]
+  );
+
+  const now = Date.now();
+  let wait = 0;
+  let locked = false;
+
+  for (const row of r.rows) {
+    const lockedUntil = row.locked_until ? new Date(row.locked_until).getTime() : 0;
+    if (lockedUntil > now) {
+      locked = true;
+      wait = Math.max(wait, lockedUntil - now);
+      continue;
+    }
+
+    const nextTry = new Date(row.last_failure_at).getTime() + backoffMs(row.failures);
+    wait = Math.max(wait, nextTry - now);
+  }
+
+  if (wait <= 0) return { allowed: true };
+
+  const retryAfter = Math.ceil(wait / 1000);
+  return locked
+    ? {
+        allowed: false,
+        status: 423,
+        reason: "locked",
+        message: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} min.`,
+        retry_after: retryAfter,
+      }
+    : {
+        allowed: false,
+        status: 429,
+        reason: "throttled",
+        message: `Too many attempts. Try again in ${retryAfter}s.`,
+        retry_after: retryAfter,
+      };
+}
+
+// Take one attempt for the key unless it is locked or backing off; false if
+// it may not try now. Runs on the caller's transaction.
+async function reserveKey(db, kind, key) {
+  const r = await db.query(
+    `
+    INSERT INTO login_throttle AS t (kind, key, failures, last_failure_at)
+    VALUES ($1, $2, 1, NOW())
+    ON CONFLICT (kind, key) DO UPDATE SET
+      failures = CASE
+        WHEN t.last_failure_at > NOW() - make_interval(mins => $3)
+          THEN t.failures + 1
+        ELSE 1
+      END,
+      last_failure_at = NOW()
+    WHERE t.last_failure_at <= NOW() - make_interval(mins => $3)
+       OR (
+         (t.locked_until IS NULL OR t.locked_until <= NOW())
+         AND t.last_failure_at + CASE
+           WHEN t.failures < $4 THEN INTERVAL '0'
+           ELSE make_interval(secs => LEAST($5::float8 * 2 ^ LEAST(t.failures - $4, 30), $6::float8) / 1000)
+         END <= NOW()
+       )
+    RETURNING t.failures
+    `,
+    [kind, key, WINDOW_MINUTES, FREE_ATTEMPTS, BACKOFF_BASE_MS, BACKOFF_MAX_MS]
+  );
+  return r.rowCount > 0;
+}
+
+// Reserve this attempt for the username and the IP, or neither.
+// { allowed: true } or { allowed: false, status, reason, message, retry_after }
+async function reserveLogin(username, ip) {
+  const keys = [["username", usernameKey(username)]];
+  if (ip) keys.push(["ip", String(ip)]);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const [kind, key] of keys) {
+      if (!(await reserveKey(client, kind, key))) {
+        await client.query("ROLLBACK");
+        const guard = await checkLogin(username, ip);
+        if (!guard.allowed) return guard;
+
+        // the wait ran out in between; the next try will get in
+        return {
+          allowed: false,
+          status: 429,
+          reason: "throttled",
+          message: "Too many attempts. Try again in 1s.",
+          retry_after: 1,
+        };
+      }
+    }
+    await client.query("COMMIT");
+    return { allowed: true };
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function recordAttempt({ username, ip, userAgent, userId, success, reason }) {
+  await pool.query(
+    `
+    INSERT INTO login_attempts
+      (username, staff_user_id, ip, user_agent, success, reason)
+    VALUES
+      ($1, $2, $3, $4, $5, $6)
+    `,
+    [String(username).slice(0, 100), userId || null, ip || null, userAgent || null, success, reason || null]
+  );
+}
+
+// lock once the threshold is reached (the count keeps running while locked)
+async function lockIfOver(kind, key) {
+  await pool.query(
+    `
+    UPDATE login_throttle
+    SET locked_until = NOW() + make_interval(mins => $3)
+    WHERE kind = $1
+      AND key = $2
+      AND failures >= $4
+      AND (locked_until IS NULL OR locked_until < NOW())
+    `,
+    [kind, key, LOCK_MINUTES, LOCK_THRESHOLDS[kind]]
+  );
+}
+
+// the failure itself was counted by reserveLogin
+async function recordFailure({ username, ip, userAgent, userId, reason }) {
+  await recordAttempt({ username, ip, userAgent, userId, success: false, reason });
+  await lockIfOver("username", usernameKey(username));
+  if (ip) await lockIfOver("ip", String(ip));
+}
+
+async function recordSuccess({ username, ip, userAgent, userId }) {
+  await recordAttempt({ username, ip, userAgent, userId, success: true });
+  await pool.query(
+    `DELETE FROM login_throttle WHERE kind = 'username' AND key = $1`,
+    [usernameKey(username)]
+  );
+  if (ip) {
+    await pool.query(
+      `UPDATE login_throttle SET failures = GREATEST(failures - 1, 0) WHERE kind = 'ip' AND key = $1`,
+      [String(ip)]
+    );
+  }
+}
+
+// Admin unlock: clears the account's lock and failure count.
+async function unlockUsername(username) {
+  const r = await pool.query(
+    `DELETE FROM login_throttle WHERE kind = 'username' AND key = $1`,
+    [usernameKey(username)]
+  );
+  return r.rowCount > 0;
+}
+
+module.exports = {
+  checkLogin,
+  reserveLogin,
+  recordAttempt,
+  recordFailure,
+  recordSuccess,
+  unlockUsername,
+};
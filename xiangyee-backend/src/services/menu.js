@@ -0,0 +1,222 @@
+// services/menu.js
+// Dish metadata vocabulary and the shared SELECT for menu items. Dishes are
+// always read joined to their category so sections follow its sort_order.
+// Whether a dish can be ordered at a given moment (time windows, date-ranged
+// specials) and what a set meal is made of are worked out here too, and
+// price/availability changes are logged to menu_price_history.
+
+const { localNow, weekdayOf } = require("./hours");
+
+// allergen codes a dish can be flagged with
+const ALLERGENS = [
+  "gluten",
+  "egg",
+  "dairy",
+  "peanuts",
+  "tree_nuts",
+  "soy",
+  "sesame",
+  "fish",
+  "shellfish",
+];
+
+// dietary tags; a vegan dish is also tagged vegetarian
+const DIETARY_TAGS = ["vegetarian", "vegan", "contains_pork", "contains_beef"];
+
+const MAX_CHILI_RATING = 3;
+
+// columns for a menu item row aliased m, joined to menu_categories c
+const MENU_ITEM_COLUMNS = `
+  m.id,
+  m.name_en,
+  m.name_cn,
+  m.description_en,
+  m.description_cn,
+  m.price::float8 AS price,
+  m.category_id,
+  c.name_en AS category,
+  c.name_cn AS category_cn,
+  m.allergens,
+  m.dietary_tags,
+  m.chili_rating,
+  m.is_signature,
+  m.image_url,
+  m.image_thumb_url,
+  m.station_id,
+  to_char(m.available_from, 'YYYY-MM-DD') AS available_from,
+  to_char(m.available_until, 'YYYY-MM-DD') AS available_until
+`;
+
+const CATEGORY_COLUMNS = `
+  id,
+  name_en,
+  name_cn,
+  sort_order,
+  is_active,
+  to_char(available_from, 'YYYY-MM-DD') AS available_from,
+  to_char(available_until, 'YYYY-MM-DD') AS available_until
+`;
+
+// { date, weekday, time } in restaurant local time
+function menuMoment(at = new Date()) {
+  const { date, time } = localNow(at);
+  return { date, weekday: weekdayOf(date), time };
+}
+
+function momentParams(moment) {
+  return [moment.date, moment.weekday, moment.time];
+}
+
+// SQL condition: dish m in category c can be ordered at the moment passed as
+// parameters $n, $n+1, $n+2 (see momentParams). Without windows a dish or
+// category is available all day; with them, only inside one of them.
+function orderableCondition(n) {
+  const date = `$${n}::date`;
+  const weekday = `$${n + 1}::smallint`;
+  const time = `$${n + 2}::time`;
+
+  const inWindow = (column, ref) => `(
+    NOT EXISTS (SELECT 1 FROM menu_availability_windows w WHERE w.${column} = ${ref})
+    OR EXISTS (
+      SELECT 1
+      FROM menu_availability_windows w
+      WHERE w.${column} = ${ref}
+        AND ${weekday} = ANY(w.weekdays)
+        AND ${time} >= w.starts_at
+        AND ${time} < w.ends_at
+    )
+  )`;
+
+  return `(
+    m.is_available = TRUE
+    AND c.is_active = TRUE
+    AND (m.available_from IS NULL OR m.available_from <= ${date})
+    AND (m.available_until IS NULL OR ${date} <= m.available_until)
+    AND (c.available_from IS NULL OR c.available_from <= ${date})
+    AND (c.available_until IS NULL OR ${date} <= c.available_until)
+    AND ${inWindow("menu_item_id", "m.id")}
+    AND ${inWindow("category_id", "c.id")}
+  )`;
+}
+
+// windows of a dish or category as json, for the menu endpoints
+function windowsColumn(column, ref) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', w.id,
+        'name', w.name,
+        'weekdays', w.weekdays,
+        'starts_at', to_char(w.starts_at, 'HH24:MI'),
+        'ends_at', to_char(w.ends_at, 'HH24:MI')
+      ) ORDER BY w.starts_at, w.id)
+      FROM menu_availability_windows w
+      WHERE w.${column} = ${ref}
+    ), '[]'::json)
+  `;
+}
+
+// what a set meal contains; an empty list for ordinary dishes
+function comboComponentsColumn(menuItemColumn) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'menu_item_id', ci.id,
+        'name_en', ci.name_en,
+        'name_cn', ci.name_cn,
+        'quantity', cc.quantity
+      ) ORDER BY cc.sort_order, cc.id)
+      FROM menu_combo_items cc
+      JOIN menu_items ci ON ci.id = cc.component_item_id
+      WHERE cc.combo_item_id = ${menuItemColumn}
+    ), '[]'::json)
+  `;
+}
+
+async function loadComboComponents(db, comboItemId) {
+  const r = await db.query(
+    `
+    SELECT
+      mi.id,
+      mi.name_en,
+      mi.name_cn,
+      mi.price,
+      c.name_en AS category,
+      c.name_cn AS category_cn,
+      mi.is_available,
+      mi.stock_remaining,
+      mi.station_id,
+      cc.quantity
+    FROM menu_combo_items cc
+    JOIN menu_items mi ON mi.id = cc.component_item_id
+    JOIN menu_categories c ON c.id = mi.category_id
+    WHERE cc.combo_item_id = $1
+    ORDER BY cc.sort_order, cc.id
+    `,
+    [comboItemId]
+  );
+  return r.rows;
+}
+
+// Log a dish's price and availability after a dashboard change. before is
+// null for a new dish; nothing is written when neither value changed.
+async function recordPriceChange(db, menuItemId, before, after, user) {
+  if (
+    before &&
+    Number(before.price) === Number(after.price) &&
+    before.is_available === after.is_available
+  ) {
+    return;
+  }
+
+  await db.query(
+    `
+    INSERT INTO menu_price_history
+      (menu_item_id, price, is_available, previous_price, previous_is_available, staff_user_id, staff_username)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [
+      menuItemId,
+      after.price,
+      after.is_available,
+      before?.price ?? null,
+      before?.is_available ?? null,
+      user?.id ?? null,
+      user?.username ?? null,
+    ]
+  );
+}
+
+// Category id for a create/update body that names it either way. Returns
+// undefined when neither is given and null when the category does not exist.
+async function resolveCategoryId(db, { category_id, category }) {
+  if (category_id === undefined && category === undefined) return undefined;
+
+  const r = await db.query(
+    `
+    SELECT id
+    FROM menu_categories
+    WHERE id = $1 OR lower(name_en) = lower($2)
+    ORDER BY (id = $1) DESC NULLS LAST
+    LIMIT 1
+    `,
+    [category_id ?? null, category ?? null]
+  );
+  return r.rows?.[0]?.id ?? null;
+}
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_TAGS,
+  MAX_CHILI_RATING,
+  MENU_ITEM_COLUMNS,
+  CATEGORY_COLUMNS,
+  resolveCategoryId,
+  menuMoment,
+  momentParams,
+  orderableCondition,
+  windowsColumn,
+  comboComponentsColumn,
+  loadComboComponents,
+  recordPriceChange,
+};
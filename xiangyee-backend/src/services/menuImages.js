@@ -0,0 +1,103 @@
+// services/menuImages.js
+// Dish photos uploaded from the dashboard. Each upload is re-encoded, which
+// drops EXIF (camera, GPS) data, and saved as a resized image plus a
+// thumbnail under UPLOAD_DIR/menu, served from /uploads/menu.
+//
+//   UPLOAD_DIR              where uploads are written (<backend>/uploads); point
+//                           it at a persistent disk in production
+//   MENU_IMAGE_MAX_BYTES    largest accepted upload (5 MB)
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "../../uploads"));
+const MENU_IMAGE_DIR = path.join(UPLOAD_DIR, "menu");
+const MENU_IMAGE_URL_PREFIX = "/uploads/menu/";
+
+const MENU_IMAGE_MAX_BYTES = Number(process.env.MENU_IMAGE_MAX_BYTES || 5 * 1024 * 1024);
+
+// what browsers send -> what sharp must find in the file itself
+const ACCEPTED_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const IMAGE_WIDTH = 1200;
+const THUMB_SIZE = 320;
+
+// refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Re-encode an upload. Throws with a message for the admin when the file is
+// not really an image of an accepted type.
+async function processMenuImage(buffer, mimetype) {
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new Error("File is not a readable image");
+  }
+  if (meta.format !== ACCEPTED_TYPES[mimetype]) {
+    throw new Error("Image content does not match its file type");
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const base = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  const [image, thumb] = await Promise.all([
+    base()
+      .resize({ width: IMAGE_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer(),
+    base()
+      .resize(THUMB_SIZE, THUMB_SIZE, { fit: "cover" })
+      .webp({ quality: 75 })
+      .toBuffer(),
+  ]);
+
+  return { image, thumb };
+}
+
+// Write both variants for a dish. Returns their public URLs.
+async function saveMenuImage(menuItemId, { image, thumb }) {
+  await fs.mkdir(MENU_IMAGE_DIR, { recursive: true });
+
+  const stem = `${menuItemId}-${crypto.randomBytes(6).toString("hex")}`;
+  const imageName = `${stem}.webp`;
+  const thumbName = `${stem}-thumb.webp`;
+
+  await fs.writeFile(path.join(MENU_IMAGE_DIR, imageName), image);
+  await fs.writeFile(path.join(MENU_IMAGE_DIR, thumbName), thumb);
+
+  return {
+    image_url: `${MENU_IMAGE_URL_PREFIX}${imageName}`,
+    image_thumb_url: `${MENU_IMAGE_URL_PREFIX}${thumbName}`,
+  };
+}
+
+// Delete files behind upload URLs. Anything not under /uploads/menu (hand-
+// copied images in public/, external links) is left alone.
+async function removeMenuImageFiles(urls) {
+  for (const url of urls) {
+    if (typeof url !== "string" || !url.startsWith(MENU_IMAGE_URL_PREFIX)) continue;
+
+    const name = path.basename(url);
+    try {
+      await fs.unlink(path.join(MENU_IMAGE_DIR, name));
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error(`Could not remove menu image ${name}:`, e);
+    }
+  }
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  MENU_IMAGE_MAX_BYTES,
+  ACCEPTED_TYPES,
+  processMenuImage,
+  saveMenuImage,
+  removeMenuImageFiles,
+};
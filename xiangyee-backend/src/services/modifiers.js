@@ -0,0 +1,165 @@
+// services/modifiers.js
+// Modifier groups on dishes: loading them for the menu and checking and
+// pricing what a customer picked. Prices always come from the database.
+
+const { pool } = require("../db");
+const { toCents } = require("./money");
+
+// groups -> options for the given dishes, as json for the menu endpoints.
+// onlyAvailable hides options switched off in the dashboard.
+function modifierGroupsColumn(menuItemColumn, { onlyAvailable = true } = {}) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'id', mg.id,
+        'name_en', mg.name_en,
+        'name_cn', mg.name_cn,
+        'selection', mg.selection,
+        'is_required', mg.is_required,
+        'max_select', mg.max_select,
+        'sort_order', mg.sort_order,
+        'options', COALESCE((
+          SELECT json_agg(json_build_object(
+            'id', mo.id,
+            'name_en', mo.name_en,
+            'name_cn', mo.name_cn,
+            'price_delta', mo.price_delta::float8,
+            'is_default', mo.is_default,
+            'is_available', mo.is_available,
+            'sort_order', mo.sort_order
+          ) ORDER BY mo.sort_order, mo.id)
+          FROM modifier_options mo
+          WHERE mo.group_id = mg.id
+            ${onlyAvailable ? "AND mo.is_available = TRUE" : ""}
+        ), '[]'::json)
+      ) ORDER BY mg.sort_order, mg.id)
+      FROM modifier_groups mg
+      WHERE mg.menu_item_id = ${menuItemColumn}
+    ), '[]'::json)
+  `;
+}
+
+// { menu_item_id: [group with options] } for the dishes in an order
+async function loadModifierGroups(db, menuItemIds) {
+  const r = await db.query(
+    `
+    SELECT
+      mg.id,
+      mg.menu_item_id,
+      mg.name_en,
+      mg.selection,
+      mg.is_required,
+      mg.max_select,
+      COALESCE(json_agg(json_build_object(
+        'id', mo.id,
+        'name_en', mo.name_en,
+        'name_cn', mo.name_cn,
+        'price_delta', mo.price_delta,
+        'is_default', mo.is_default
+      ) ORDER BY mo.sort_order, mo.id) FILTER (WHERE mo.id IS NOT NULL), '[]'::json) AS options
+    FROM modifier_groups mg
+    LEFT JOIN modifier_options mo ON mo.group_id = mg.id AND mo.is_available = TRUE
+    WHERE mg.menu_item_id = ANY($1::int[])
+    GROUP BY mg.id
+    ORDER BY mg.sort_order, mg.id
+    `,
+    [menuItemIds]
+  );
+
+  const byItem = {};
+  for (const g of r.rows) {
+    (byItem[g.menu_item_id] = byItem[g.menu_item_id] || []).push(g);
+  }
+  return byItem;
+}
+
+// Check the chosen option ids against one dish's groups. Returns
+// { selections, deltaCents } where selections are the rows for
+// order_item_modifiers and deltaCents what the options add to the price.
+// Throws with a customer-facing message when the choice is not allowed.
+function resolveModifiers(dishName, groups = [], chosenIds = []) {
+  const chosen = new Set(chosenIds);
+  if (chosen.size !== chosenIds.length) throw new Error(`Duplicate option for ${dishName}`);
+
+  const selections = [];
+  const known = new Set();
+
+  for (const g of groups) {
+    let picked = g.options.filter((o) => chosen.has(o.id));
+    picked.forEach((o) => known.add(o.id));
+
+    // a required group left empty falls back to its default option
+    if (!picked.length && g.is_required) picked = g.options.filter((o) => o.is_default).slice(0, 1);
+
+    if (g.is_required && !picked.length) {
+      throw new Error(`Please choose ${g.name_en} for ${dishName}`);
+    }
+    if (g.selection === "single" && picked.length > 1) {
+      throw new Error(`Choose only one ${g.name_en} for ${dishName}`);
+    }
+    if (g.selection === "multi" && g.max_select && picked.length > g.max_select) {
+      throw new Error(`Choose at most ${g.max_select} ${g.name_en} for ${dishName}`);
+    }
+
+    for (const o of picked) {
+      selections.push({
+        modifier_option_id: o.id,
+        group_name_en: g.name_en,
+        name_en: o.name_en,
+        name_cn: o.name_cn,
+        price_delta: Number(o.price_delta),
+      });
+    }
+  }
+
+  if (known.size !== chosen.size) throw new Error(`Option not available for ${dishName}`);
+
+  const deltaCents = selections.reduce((sum, s) => sum + toCents(s.price_delta), 0);
+  return { selections, deltaCents };
+}
+
+async function saveOrderItemModifiers(db, orderItemId, selections) {
+  for (const s of selections) {
+    await db.query(
+      `
+      INSERT INTO order_item_modifiers
+        (order_item_id, modifier_option_id, group_name_en, name_en, name_cn, price_delta)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      `,
+      [orderItemId, s.modifier_option_id, s.group_name_en, s.name_en, s.name_cn, s.price_delta]
+    );
+  }
+}
+
+// chosen modifiers per order line, for order snapshots and lists
+function orderItemModifiersColumn(orderItemColumn) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'group_name_en', oim.group_name_en,
+        'name_en', oim.name_en,
+        'name_cn', oim.name_cn,
+        'price_delta', oim.price_delta
+      ) ORDER BY oim.id)
+      FROM order_item_modifiers oim
+      WHERE oim.order_item_id = ${orderItemColumn}
+    ), '[]'::json)
+  `;
+}
+
+async function getMenuItemModifiers(menuItemId, db = pool) {
+  const r = await db.query(
+    `SELECT ${modifierGroupsColumn("$1::int", { onlyAvailable: false })} AS modifier_groups`,
+    [menuItemId]
+  );
+  return r.rows[0].modifier_groups;
+}
+
+module.exports = {
+  modifierGroupsColumn,
+  loadModifierGroups,
+  resolveModifiers,
+  saveOrderItemModifiers,
+  orderItemModifiersColumn,
+  getMenuItemModifiers,
+};
@@ -0,0 +1,117 @@
+// services/money.js
+// Order arithmetic in integer cents. DECIMAL columns come back from pg as
+// strings and go through toCents; fromCents turns a result back into dollars
+// for the *_amount columns and API fields that are kept in dollars.
+//
+//   GST_RATE                    GST percent (9)
+//   GST_INCLUSIVE               "true" when menu prices already include GST
+//                               (true); otherwise GST is added on top
+//   SERVICE_CHARGE_RATE         service charge percent (10)
+//   SERVICE_CHARGE_ORDER_TYPES  order types that pay it ("dine_in")
+//   ROUND_TOTAL_TO_CENTS        round the grand total to a multiple of this
+//                               many cents, e.g. 5 for cash (1 = no rounding)
+
+const ORDER_TYPES = ["dine_in", "takeaway"];
+
+function numberSetting(name, fallback, { min = 0, max = Infinity } = {}) {
+  const raw = process.env[name];
+  const value = raw === undefined || raw === "" ? fallback : Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`Invalid ${name} '${raw}'`);
+  }
+  return value;
+}
+
+function parseOrderTypes(value) {
+  const types = String(value)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const unknown = types.find((t) => !ORDER_TYPES.includes(t));
+  if (unknown) throw new Error(`Invalid SERVICE_CHARGE_ORDER_TYPES entry '${unknown}'`);
+  return types;
+}
+
+const GST_RATE = numberSetting("GST_RATE", 9, { max: 100 });
+const GST_INCLUSIVE = String(process.env.GST_INCLUSIVE ?? "true").toLowerCase() !== "false";
+const SERVICE_CHARGE_RATE = numberSetting("SERVICE_CHARGE_RATE", 10, { max: 100 });
+const SERVICE_CHARGE_ORDER_TYPES = parseOrderTypes(process.env.SERVICE_CHARGE_ORDER_TYPES ?? "dine_in");
+const ROUND_TOTAL_TO_CENTS = numberSetting("ROUND_TOTAL_TO_CENTS", 1, { min: 1, max: 100 });
+
+// "12.30", 12.3 -> 1230
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+// 1230 -> 12.3
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function percentOf(cents, percent) {
+  return Math.round((cents * percent) / 100);
+}
+
+// Everything a receipt needs, in cents, for an order of lines worth
+// subtotalCents less discountCents. Rates are returned too so they can be
+// stored with the order.
+//
+// With GST-inclusive prices the service charge is worked out on the
+// GST-inclusive amount (the same as charging it on the net price and adding
+// GST to it), and the GST shown is the part of the total that is GST.
+function orderTotals({ subtotalCents, discountCents = 0, orderType }) {
+  const net = subtotalCents - discountCents;
+
+  const serviceChargeRate = SERVICE_CHARGE_ORDER_TYPES.includes(orderType) ? SERVICE_CHARGE_RATE : 0;
+  const serviceCharge = percentOf(net, serviceChargeRate);
+
+  const taxable = net + serviceCharge;
+  const gst = GST_INCLUSIVE
+    ? Math.round((taxable * GST_RATE) / (100 + GST_RATE))
+    : percentOf(taxable, GST_RATE);
+
+  const beforeRounding = GST_INCLUSIVE ? taxable : taxable + gst;
+  const total = Math.round(beforeRounding / ROUND_TOTAL_TO_CENTS) * ROUND_TOTAL_TO_CENTS;
+
+  return {
+    subtotal_cents: subtotalCents,
+    discount_cents: discountCents,
+    service_charge_cents: serviceCharge,
+    gst_cents: gst,
+    rounding_cents: total - beforeRounding,
+    total_cents: total,
+    service_charge_rate: serviceChargeRate,
+    gst_rate: GST_RATE,
+    gst_inclusive: GST_INCLUSIVE,
+  };
+}
+
+// the stored breakdown of order o, in cents, for receipts
+function orderBreakdownColumn(orderAlias) {
+  const o = orderAlias;
+  return `
+    json_build_object(
+      'subtotal_cents', ROUND(${o}.subtotal_amount * 100)::int,
+      'discount_cents', ROUND(${o}.discount_amount * 100)::int,
+      'service_charge_cents', ROUND(${o}.service_charge_amount * 100)::int,
+      'gst_cents', ROUND(${o}.gst_amount * 100)::int,
+      'rounding_cents', ROUND(${o}.rounding_amount * 100)::int,
+      'total_cents', ROUND(${o}.total_amount * 100)::int,
+      'service_charge_rate', ${o}.service_charge_rate::float8,
+      'gst_rate', ${o}.gst_rate::float8,
+      'gst_inclusive', ${o}.gst_inclusive
+    )
+  `;
+}
+
+module.exports = {
+  GST_RATE,
+  GST_INCLUSIVE,
+  SERVICE_CHARGE_RATE,
+  SERVICE_CHARGE_ORDER_TYPES,
+  toCents,
+  fromCents,
+  percentOf,
+  orderTotals,
+  orderBreakdownColumn,
+};
@@ -0,0 +1,170 @@
+// services/orderStatus.js
+// The order status state machine. Every status change goes through
+// changeOrderStatus, which checks the move is allowed for whoever makes it,
+// logs it to order_status_history and queues the email that goes with it.
+// Cancelling an order also gives its dishes back to the daily stock.
+//
+//   pending    placed, waiting for staff to confirm it
+//   confirmed  accepted by staff
+//   preparing  the kitchen has started on it
+//   ready      every dish is done
+//   collected  picked up at the counter or served at the table
+//   completed  closed by staff
+//   cancelled  stopped by staff, with a reason
+
+const { queueEmail } = require("./email");
+const { returnStock } = require("./stock");
+
+const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "preparing",
+  "ready",
+  "collected",
+  "completed",
+  "cancelled",
+];
+
+// orders the kitchen still has to cook; these are on the kitchen display
+const KITCHEN_STATUSES = ["pending", "confirmed", "preparing"];
+
+// who changes the status: the customer's own page, staff on the dashboard,
+// or the kitchen display as dishes are ticked off
+const SOURCES = ["customer", "staff", "kitchen"];
+
+// from -> to -> who may make that move
+const TRANSITIONS = {
+  pending: {
+    confirmed: ["staff"],
+    preparing: ["staff", "kitchen"],
+    ready: ["staff", "kitchen"],
+    cancelled: ["staff"],
+  },
+  confirmed: {
+    preparing: ["staff", "kitchen"],
+    ready: ["staff", "kitchen"],
+    cancelled: ["staff"],
+  },
+  preparing: {
+    ready: ["staff", "kitchen"],
+    cancelled: ["staff"],
+  },
+  ready: {
+    // a dish has to be redone
+    preparing: ["staff"],
+    collected: ["staff", "customer"],
+    completed: ["staff"],
+    cancelled: ["staff"],
+  },
+  collected: {
+    completed: ["staff"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// status -> email sent to the customer when the order moves there
+const STATUS_EMAILS = {
+  ready: "order_ready",
+  cancelled: "order_cancelled",
+};
+
+// statuses source may move an order in status from to
+function nextStatuses(from, source) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, who]) => who.includes(source))
+    .map(([to]) => to);
+}
+
+async function recordStatus(db, orderId, from, to, { source, reason = null, user = null }) {
+  await db.query(
+    `
+    INSERT INTO order_status_history
+      (order_id, from_status, to_status, source, reason, staff_user_id, staff_username)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [orderId, from, to, source, reason, user?.id ?? null, user?.username ?? null]
+  );
+}
+
+// Move an order to status to, on behalf of source (see SOURCES); user is the
+// staff member, if any. Locks the order row until the transaction ends.
+// Returns { order, stock } with the order as it now is (from_status is where
+// it came from) and any stock levels it gave back, or { status, error }. Pass
+// stock to broadcastStock once the transaction commits.
+async function changeOrderStatus(db, orderId, to, { source, user = null, reason = null }) {
+  const cur = await db.query(
+    `
+    SELECT id, order_no, customer_name, customer_email, order_type, status, created_at
+    FROM orders
+    WHERE id = $1
+    FOR UPDATE
+    `,
+    [orderId]
+  );
+  const order = cur.rows?.[0];
+  if (!order) return { status: 404, error: "Order not found" };
+
+  if (order.status === to) return { status: 409, error: `Order is already ${to}` };
+  if (!nextStatuses(order.status, source).includes(to)) {
+    return { status: 409, error: `Cannot change an order that is '${order.status}' to '${to}'` };
+  }
+  if (to === "cancelled" && !reason) {
+    return { status: 400, error: "Give a reason for cancelling the order" };
+  }
+
+  await db.query(
+    `
+    UPDATE orders
+    SET
+      status = $1::varchar,
+      cancel_reason = CASE WHEN $1::varchar = 'cancelled' THEN $2 ELSE cancel_reason END,
+      updated_at = NOW()
+    WHERE id = $3
+    `,
+    [to, reason, orderId]
+  );
+  await recordStatus(db, orderId, order.status, to, { source, reason, user });
+
+  const stock = to === "cancelled" ? await returnStock(db, orderId, order.created_at) : [];
+
+  const template = STATUS_EMAILS[to];
+  if (template) {
+    await queueEmail(db, template, order.customer_email, {
+      customer_name: order.customer_name,
+      order_no: order.order_no,
+      order_type: order.order_type,
+      ...(to === "cancelled" ? { reason } : {}),
+    });
+  }
+
+  return { order: { ...order, from_status: order.status, status: to }, stock };
+}
+
+// status changes of an order, oldest first; staff names are for the dashboard
+function orderTimelineColumn(orderColumn, { staff = false } = {}) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'status', h.to_status,
+        'from_status', h.from_status,
+        'source', h.source,
+        'reason', h.reason,
+        ${staff ? "'staff_username', h.staff_username," : ""}
+        'at', h.created_at
+      ) ORDER BY h.created_at, h.id)
+      FROM order_status_history h
+      WHERE h.order_id = ${orderColumn}
+    ), '[]'::json)
+  `;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  KITCHEN_STATUSES,
+  SOURCES,
+  nextStatuses,
+  recordStatus,
+  changeOrderStatus,
+  orderTimelineColumn,
+};
@@ -0,0 +1,145 @@
+// services/orders.js
+const { pool } = require("../db");
+const { orderItemModifiersColumn } = require("./modifiers");
+const { orderDiscountsColumn } = require("./promotions");
+const { orderBreakdownColumn } = require("./money");
+const { orderTimelineColumn } = require("./orderStatus");
+
+// What anyone with the order id may see (the order page, its stream and the
+// receipt): no email or customer link, only the last digits of the phone, no
+// card details and no staff notes on refunds.
+const PUBLIC_ORDER_COLUMNS = `
+  o.id,
+  o.order_no,
+  o.customer_name,
+  '****' || RIGHT(o.customer_phone, 4) AS customer_phone,
+  o.order_type,
+  o.table_no,
+  o.notes,
+  o.status,
+  o.cancel_reason,
+  o.payment_status,
+  o.subtotal_amount,
+  o.discount_amount,
+  o.service_charge_rate,
+  o.service_charge_amount,
+  o.gst_rate,
+  o.gst_inclusive,
+  o.gst_amount,
+  o.rounding_amount,
+  o.total_amount,
+  o.amount_paid_cents,
+  o.amount_refunded_cents,
+  o.created_at,
+  o.updated_at
+`;
+
+const PAYMENT_COLUMNS = `
+  id,
+  provider,
+  amount_cents,
+  currency,
+  status,
+  card_brand,
+  card_last4,
+  failure_reason,
+  transaction_ref,
+  refunded_cents,
+  created_at
+`;
+
+const PUBLIC_PAYMENT_COLUMNS = `
+  id,
+  amount_cents,
+  currency,
+  status,
+  failure_reason,
+  refunded_cents,
+  created_at
+`;
+
+// Reusable: get order + breakdown + status timeline + items + discounts +
+// payment attempts + refunds. Staff get the full rows; pass
+// { publicView: true } for anything served without a login.
+async function fetchOrderWithItems(id, db = pool, { publicView = false } = {}) {
+  const orderRes = await db.query(
+    `
+    SELECT
+      ${publicView ? PUBLIC_ORDER_COLUMNS : "o.*"},
+      ${orderDiscountsColumn("o.id")} AS discounts,
+      ${orderBreakdownColumn("o")} AS breakdown,
+      ${orderTimelineColumn("o.id")} AS timeline
+    FROM orders o
+    WHERE o.id = $1
+    `,
+    [id]
+  );
+  const order = orderRes.rows?.[0];
+  if (!order) return null;
+
+  const itemsRes = await db.query(
+    `
+    SELECT
+      oi.*,
+      ${orderItemModifiersColumn("oi.id")} AS modifiers
+    FROM order_items oi
+    WHERE oi.order_id = $1
+    ORDER BY oi.id ASC
+    `,
+    [id]
+  );
+
+  const paymentsRes = await db.query(
+    `
+    SELECT ${publicView ? PUBLIC_PAYMENT_COLUMNS : PAYMENT_COLUMNS}
+    FROM payments
+    WHERE order_id = $1
+    ORDER BY id ASC
+    `,
+    [id]
+  );
+
+  const refundsRes = await db.query(
+    `
+    SELECT
+      r.id,
+      r.payment_id,
+      r.kind,
+      r.status,
+      r.amount_cents,
+      ${publicView ? "" : "r.reason, r.failure_reason, r.staff_username,"}
+      r.created_at,
+      COALESCE(
+        json_agg(
+          json_build_object(
+            'order_item_id', ri.order_item_id,
+            'quantity', ri.quantity,
+            'amount_cents', ri.amount_cents
+          )
+          ORDER BY ri.id ASC
+        ) FILTER (WHERE ri.id IS NOT NULL),
+        '[]'::json
+      ) AS items
+    FROM refunds r
+    LEFT JOIN refund_items ri ON ri.refund_id = r.id
+    WHERE r.order_id = $1
+    GROUP BY r.id
+    ORDER BY r.id ASC
+    `,
+    [id]
+  );
+
+  return {
+    ...order,
+    items: itemsRes.rows,
+    payments: paymentsRes.rows,
+    refunds: refundsRes.rows,
+  };
+}
+
+// the customer-facing view of an order, or null
+function fetchPublicOrder(id, db = pool) {
+  return fetchOrderWithItems(id, db, { publicView: true });
+}
+
+module.exports = { fetchOrderWithItems, fetchPublicOrder };
@@ -0,0 +1,118 @@
+// services/payments/index.js
+// Provider registry + ledger helpers. Routes only talk to this module,
+// so adding a real card / PayNow adapter means registering it here.
+//
+// Provider interface:
+//   name
+//   createIntent({ order_id, amount_cents, currency }) -> { provider_ref, status }
+//   confirm(provider_ref, params)  -> { status, failure_reason?, card_brand?, card_last4?, next_action? }
+//   refund(provider_ref, { amount_cents, idempotency_key }) -> { refund_ref, status, failure_reason? }
+//   void(provider_ref, { idempotency_key }) -> { status, failure_reason? }   (only for charges that have not settled)
+//   parseWebhook(rawBody, headers) -> { type, provider_ref, status, failure_reason } (throws on bad signature)
+//
+// status is always one of the ledger statuses: pending | requires_action | success | failed | voided
+//
+// refund and void are called after a pending row for them is committed, with
+// that row as idempotency_key, so asking again for the same row never moves
+// money twice.
+
+const simulator = require("./simulator");
+
+const providers = {
+  [simulator.name]: simulator,
+};
+
+// payments.status -> orders.payment_status
+const ORDER_PAYMENT_STATUS = {
+  pending: "pending",
+  requires_action: "pending",
+  success: "paid",
+  failed: "failed",
+};
+
+const FINAL_STATUSES = ["success", "failed", "voided"];
+
+// charges that can still be voided instead of refunded
+const UNSETTLED_STATUSES = ["pending", "requires_action"];
+
+function getProvider(name) {
+  const key = name || process.env.PAYMENT_PROVIDER || "simulator";
+  const provider = providers[key];
+  if (!provider) throw new Error(`Unknown payment provider '${key}'`);
+  return provider;
+}
+
+// Write a provider result onto the payment row and mirror it on the order.
+async function applyPaymentResult(db, paymentId, result) {
+  const upd = await db.query(
+    `
+    UPDATE payments
+    SET
+      status = $1,
+      failure_reason = $2,
+      card_brand = COALESCE($3, card_brand),
+      card_last4 = COALESCE($4, card_last4),
+      updated_at = NOW()
+    WHERE id = $5
+    RETURNING *
+    `,
+    [
+      result.status,
+      result.failure_reason || null,
+      result.card_brand || null,
+      result.card_last4 || null,
+      paymentId,
+    ]
+  );
+
+  const payment = upd.rows?.[0];
+  if (!payment) throw new Error("Payment not found");
+
+  if (result.status === "success") {
+    await db.query(
+      `
+      UPDATE orders
+      SET amount_paid_cents = amount_paid_cents + $1, updated_at = NOW()
+      WHERE id = $2
+      `,
+      [payment.amount_cents, payment.order_id]
+    );
+  }
+
+  // never downgrade an order that another attempt already paid
+  await db.query(
+    `
+    UPDATE orders
+    SET payment_status = $1, updated_at = NOW()
+    WHERE id = $2
+      AND payment_status NOT IN ('paid', 'partially_refunded', 'refunded')
+    `,
+    [ORDER_PAYMENT_STATUS[result.status], payment.order_id]
+  );
+
+  return payment;
+}
+
+// true while a void of the payment is on record but not yet settled; nothing
+// else may change the payment until it is
+async function voidInFlight(db, paymentId) {
+  const r = await db.query(
+    `
+    SELECT 1
+    FROM refunds
+    WHERE payment_id = $1
+      AND kind = 'void'
+      AND status = 'pending'
+    `,
+    [paymentId]
+  );
+  return r.rowCount > 0;
+}
+
+module.exports = {
+  getProvider,
+  applyPaymentResult,
+  voidInFlight,
+  FINAL_STATUSES,
+  UNSETTLED_STATUSES,
+};
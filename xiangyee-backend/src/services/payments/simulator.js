@@ -0,0 +1,193 @@
+// services/payments/simulator.js
+// Local gateway simulator. Behaves like a hosted card gateway so the
+// whole intent -> confirm -> webhook flow can be exercised offline.
+//
+// Outcome per card (or forced for every card with PAYMENT_SIM_OUTCOME):
+//   4242424242424242  decline           (kept from the old mock)
+//   4000000000003220  pending_3ds       (needs POST /api/payments/:id/confirm)
+//   4000000000000077  delayed_webhook   (settles later via POST /api/payments/webhook)
+//   anything else     success
+//
+// Webhooks are signed with PAYMENT_WEBHOOK_SECRET. Without it they are
+// rejected, except with NODE_ENV=development, where a fixed dev secret is used.
+
+const crypto = require("crypto");
+
+const OUTCOMES = ["success", "decline", "pending_3ds", "delayed_webhook"];
+
+const TEST_CARDS = {
+  "4242424242424242": "decline",
+  "4000000000003220": "pending_3ds",
+  "4000000000000077": "delayed_webhook",
+};
+
+const SIGNATURE_HEADER = "x-sim-signature";
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+// the dev secret is in the source, so anyone could sign events with it
+function webhookSecret() {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (process.env.NODE_ENV === "development") return "sim_dev_webhook_secret";
+  return null;
+}
+
+function makeRef(prefix) {
+  return (
+    prefix +
+    "_" +
+    Date.now().toString(36).toUpperCase() +
+    "_" +
+    crypto.randomBytes(4).toString("hex").toUpperCase()
+  );
+}
+
+function detectBrand(cardNumber) {
+  const n = cardNumber.replace(/\s+/g, "");
+  if (/^4\d{12}(\d{3})?$/.test(n)) return "VISA";
+  if (/^(5[1-5]\d{14})$/.test(n)) return "MASTERCARD";
+  if (/^3[47]\d{13}$/.test(n)) return "AMEX";
+  return "UNKNOWN";
+}
+
+function pickOutcome(cardNumber) {
+  const forced = String(process.env.PAYMENT_SIM_OUTCOME || "").trim();
+  if (OUTCOMES.includes(forced)) return forced;
+  return TEST_CARDS[cardNumber] || "success";
+}
+
+function sign(body, timestamp) {
+  const secret = webhookSecret();
+  if (!secret) throw new Error("Webhooks are disabled: PAYMENT_WEBHOOK_SECRET is not set");
+
+  const mac = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+// POST a signed event back to our own webhook endpoint, like a real gateway would.
+function scheduleWebhook(event) {
+  const delay = Number(process.env.PAYMENT_SIM_WEBHOOK_DELAY_MS || 3000);
+  const url =
+    process.env.PAYMENT_SIM_WEBHOOK_URL ||
+    `http://127.0.0.1:${process.env.PORT || 4000}/api/payments/webhook`;
+
+  setTimeout(async () => {
+    const body = JSON.stringify(event);
+    try {
+      await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [SIGNATURE_HEADER]: sign(body, Math.floor(Date.now() / 1000)),
+        },
+        body,
+      });
+    } catch (err) {
+      console.error("Simulator webhook delivery failed:", err);
+    }
+  }, delay).unref?.();
+}
+
+const simulator = {
+  name: "simulator",
+
+  async createIntent({ amount_cents, currency }) {
+    return {
+      provider_ref: makeRef("SIM"),
+      status: "pending",
+      amount_cents,
+      currency,
+    };
+  },
+
+  async confirm(providerRef, { card_number, challenge_passed } = {}) {
+    // second confirm = 3DS challenge completed by the customer
+    if (challenge_passed !== undefined) {
+      return challenge_passed
+        ? { status: "success" }
+        : { status: "failed", failure_reason: "3DS authentication failed" };
+    }
+
+    const normalized = String(card_number || "").replace(/\s+/g, "");
+    const card = {
+      card_brand: detectBrand(normalized),
+      card_last4: normalized.slice(-4),
+    };
+
+    switch (pickOutcome(normalized)) {
+      case "decline":
+        return { ...card, status: "failed", failure_reason: "Card declined (simulator)" };
+      case "pending_3ds":
+        return {
+          ...card,
+          status: "requires_action",
+          next_action: { type: "3ds_challenge" },
+        };
+      case "delayed_webhook":
+        scheduleWebhook({
+          type: "payment.succeeded",
+          provider_ref: providerRef,
+          created: Math.floor(Date.now() / 1000),
+        });
+        return { ...card, status: "pending" };
+      default:
+        return { ...card, status: "success" };
+    }
+  },
+
+  async refund(providerRef, { amount_cents, idempotency_key }) {
+    return {
+      // the same key always gets the same refund back, like a real gateway
+      refund_ref: idempotency_key ? `SIMRF_${idempotency_key}` : makeRef("SIMRF"),
+      status: "success",
+      amount_cents,
+    };
+  },
+
+  async void() {
+    // nothing has settled yet; a late webhook for this ref is ignored by the ledger
+    return { status: "voided" };
+  },
+
+  // Verify signature and normalise the event. Throws on a bad signature.
+  parseWebhook(rawBody, headers) {
+    if (!webhookSecret()) throw new Error("Webhooks are disabled: PAYMENT_WEBHOOK_SECRET is not set");
+
+    const header = String(headers[SIGNATURE_HEADER] || "");
+    const parts = Object.fromEntries(
+      header.split(",").map((kv) => kv.trim().split("="))
+    );
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) throw new Error("Missing webhook signature");
+
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SEC) {
+      throw new Error("Webhook signature expired");
+    }
+
+    const expected = Buffer.from(sign(rawBody, timestamp).split("v1=")[1], "hex");
+    const given = Buffer.from(String(parts.v1), "hex");
+    if (
+      expected.length !== given.length ||
+      !crypto.timingSafeEqual(expected, given)
+    ) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const event = JSON.parse(rawBody);
+    const statusByType = {
+      "payment.succeeded": "success",
+      "payment.failed": "failed",
+    };
+
+    return {
+      type: event.type,
+      provider_ref: event.provider_ref,
+      status: statusByType[event.type] || null,
+      failure_reason: event.failure_reason || null,
+    };
+  },
+};
+
+module.exports = simulator;
@@ -0,0 +1,71 @@
+// services/permissions.js
+// Role -> permission map. Routes check permissions, never role names,
+// so a role can be reshaped here without touching the routes.
+
+const PERMISSIONS = [
+  "orders:view",
+  "orders:update_status",
+  "reservations:view",
+  "reservations:manage",
+  "customers:view",
+  "customers:manage",
+  "menu:edit",
+  "menu:stock",
+  "promotions:manage",
+  "hours:manage",
+  "payments:refund",
+  "payments:void",
+  "staff:manage",
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: [
+    "orders:view",
+    "orders:update_status",
+    "reservations:view",
+    "reservations:manage",
+    "customers:view",
+    "customers:manage",
+    "menu:edit",
+    "menu:stock",
+    "promotions:manage",
+    "hours:manage",
+    "payments:refund",
+    "payments:void",
+  ],
+  cashier: [
+    "orders:view",
+    "orders:update_status",
+    "reservations:view",
+    "customers:view",
+    "payments:void",
+  ],
+  kitchen: ["orders:view", "orders:update_status", "menu:stock"],
+  front_of_house: [
+    "orders:view",
+    "orders:update_status",
+    "reservations:view",
+    "reservations:manage",
+    "customers:view",
+    "customers:manage",
+    "menu:stock",
+  ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsFor,
+  hasPermission,
+};
@@ -0,0 +1,194 @@
+// services/promotions.js
+// Promo codes and automatic discounts. Discounts are worked out from lines
+// priced on the server, never from amounts sent by the client. An order gets
+// the best automatic discount it qualifies for plus, if the customer entered
+// one, a code; together they never take it below zero. Amounts are in cents
+// (see services/money.js).
+
+const { toCents, fromCents, percentOf } = require("./money");
+
+const PROMOTION_COLUMNS = `
+  p.id,
+  p.name,
+  p.code,
+  p.kind,
+  p.value::float8 AS value,
+  p.min_spend::float8 AS min_spend,
+  p.order_type,
+  p.menu_item_ids,
+  p.category_ids,
+  to_char(p.valid_from, 'YYYY-MM-DD') AS valid_from,
+  to_char(p.valid_until, 'YYYY-MM-DD') AS valid_until,
+  p.weekdays,
+  to_char(p.starts_at, 'HH24:MI') AS starts_at,
+  to_char(p.ends_at, 'HH24:MI') AS ends_at,
+  p.max_uses,
+  p.max_uses_per_phone,
+  p.is_active,
+  p.created_at,
+  p.updated_at
+`;
+
+// { total, phone }: orders that already used the promotion; cancelled orders
+// give their use back
+async function countUses(db, promotionId, phone) {
+  const r = await db.query(
+    `
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE o.customer_phone = $2)::int AS phone
+    FROM order_discounts d
+    JOIN orders o ON o.id = d.order_id
+    WHERE d.promotion_id = $1
+      AND o.status <> 'cancelled'
+    `,
+    [promotionId, phone ?? null]
+  );
+  return r.rows[0];
+}
+
+// Why the promotion cannot be used for this order, or null when it can.
+// moment is menuMoment().
+function promotionProblem(p, { moment, order_type, subtotalCents, uses }) {
+  if (!p.is_active) return "This code is no longer valid";
+  if (p.valid_from && moment.date < p.valid_from) return `This code is valid from ${p.valid_from}`;
+  if (p.valid_until && moment.date > p.valid_until) return "This code has expired";
+  if (!p.weekdays.includes(moment.weekday)) return "This code is not valid today";
+  if (p.starts_at && (moment.time < p.starts_at || moment.time >= p.ends_at)) {
+    return `This code is valid from ${p.starts_at} to ${p.ends_at}`;
+  }
+  if (p.order_type && p.order_type !== order_type) {
+    return `This code is for ${p.order_type === "dine_in" ? "dine-in" : "takeaway"} orders only`;
+  }
+  if (subtotalCents < toCents(p.min_spend)) {
+    return `Spend at least $${p.min_spend.toFixed(2)} to use this code`;
+  }
+  if (p.max_uses && uses.total >= p.max_uses) return "This code has been fully redeemed";
+  if (p.max_uses_per_phone && uses.phone >= p.max_uses_per_phone) {
+    return "You have already used this code";
+  }
+  return null;
+}
+
+// A code that does not exist and one that was switched off get the same
+// answer, so the answer does not tell which codes exist. unknownCode marks
+// the error for the lookup throttle (see services/guestGuard).
+function unknownCodeError() {
+  const err = new Error("This code is not valid");
+  err.unknownCode = true;
+  return err;
+}
+
+// cents off the lines the promotion covers
+function centsOff(p, lines) {
+  const restricted = p.menu_item_ids.length || p.category_ids.length;
+  const eligible = lines
+    .filter(
+      (l) =>
+        !restricted ||
+        p.menu_item_ids.includes(l.menu_item_id) ||
+        p.category_ids.includes(l.category_id)
+    )
+    .reduce((sum, l) => sum + l.line_cents, 0);
+
+  if (p.kind === "percent") return percentOf(eligible, p.value);
+  return Math.min(toCents(p.value), eligible);
+}
+
+// Discounts for priced lines ({ menu_item_id, category_id, line_cents }).
+// Returns { subtotalCents, discounts, discountCents }; each discount has its
+// amount in dollars and amount_cents, as stored on the order. Throws with a
+// customer-facing message when the code cannot be used (see unknownCodeError
+// for codes that do not exist). Pass lock inside the
+// order transaction so usage limits hold under concurrent orders.
+async function applyPromotions(db, { code, phone, order_type, lines, moment, lock = false }) {
+  const subtotalCents = lines.reduce((sum, l) => sum + l.line_cents, 0);
+  const ctx = { moment, order_type, subtotalCents };
+
+  const r = await db.query(
+    `
+    SELECT ${PROMOTION_COLUMNS}
+    FROM promotions p
+    WHERE (p.code IS NULL AND p.is_active = TRUE)
+       OR upper(p.code) = upper($1)
+    ORDER BY p.id
+    ${lock ? "FOR UPDATE" : ""}
+    `,
+    [code ?? null]
+  );
+
+  const applied = [];
+
+  let best = null;
+  for (const p of r.rows.filter((row) => row.code === null)) {
+    if (promotionProblem(p, { ...ctx, uses: await countUses(db, p.id, phone) })) continue;
+    const cents = centsOff(p, lines);
+    if (cents > 0 && (!best || cents > best.cents)) best = { promotion: p, cents };
+  }
+  if (best) applied.push(best);
+
+  if (code) {
+    const p = r.rows.find((row) => row.code !== null);
+    if (!p || !p.is_active) throw unknownCodeError();
+
+    const problem = promotionProblem(p, { ...ctx, uses: await countUses(db, p.id, phone) });
+    if (problem) throw new Error(problem);
+
+    const cents = centsOff(p, lines);
+    if (!cents) throw new Error("This code does not apply to anything in your cart");
+    applied.push({ promotion: p, cents });
+  }
+
+  let left = subtotalCents;
+  const discounts = [];
+  for (const { promotion, cents } of applied) {
+    const amount = Math.min(cents, left);
+    if (amount <= 0) continue;
+    left -= amount;
+    discounts.push({
+      promotion_id: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      amount: fromCents(amount),
+      amount_cents: amount,
+    });
+  }
+
+  return { subtotalCents, discounts, discountCents: subtotalCents - left };
+}
+
+async function saveOrderDiscounts(db, orderId, discounts) {
+  for (const d of discounts) {
+    await db.query(
+      `
+      INSERT INTO order_discounts (order_id, promotion_id, code, name, amount)
+      VALUES ($1, $2, $3, $4, $5)
+      `,
+      [orderId, d.promotion_id, d.code, d.name, fromCents(d.amount_cents)]
+    );
+  }
+}
+
+// discount lines of an order, for order snapshots and lists
+function orderDiscountsColumn(orderColumn) {
+  return `
+    COALESCE((
+      SELECT json_agg(json_build_object(
+        'promotion_id', od.promotion_id,
+        'code', od.code,
+        'name', od.name,
+        'amount', od.amount,
+        'amount_cents', ROUND(od.amount * 100)::int
+      ) ORDER BY od.id)
+      FROM order_discounts od
+      WHERE od.order_id = ${orderColumn}
+    ), '[]'::json)
+  `;
+}
+
+module.exports = {
+  PROMOTION_COLUMNS,
+  applyPromotions,
+  saveOrderDiscounts,
+  orderDiscountsColumn,
+};
@@ -0,0 +1,140 @@
+// services/realtime.js
+// Shared SSE registries so any route can push order updates.
+
+/* =========================
+   CUSTOMER (PER ORDER)
+========================= */
+
+const orderSseClients = new Map(); // orderId -> Set(res)
+
+function sseSendMessage(res, data) {
+  // default "message" event (what your index.html listens for)
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function addOrderClient(orderId, res) {
+  if (!orderSseClients.has(orderId)) orderSseClients.set(orderId, new Set());
+  orderSseClients.get(orderId).add(res);
+}
+
+function removeOrderClient(orderId, res) {
+  const set = orderSseClients.get(orderId);
+  if (set) {
+    set.delete(res);
+    if (set.size === 0) orderSseClients.delete(orderId);
+  }
+}
+
+function sendToOrder(orderId, payload) {
+  const set = orderSseClients.get(orderId);
+  if (!set) return;
+  for (const res of set) {
+    try {
+      sseSendMessage(res, payload);
+    } catch {}
+  }
+}
+
+/* =========================
+   ADMIN
+========================= */
+
+const sseClients = new Map(); // res -> { userId, sid }
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function addAdminClient(res, meta = {}) {
+  sseClients.set(res, meta);
+}
+
+function removeAdminClient(res) {
+  sseClients.delete(res);
+}
+
+// Close streams whose session was revoked so the device stops receiving at once.
+// Kitchen screens are staff streams too.
+function disconnectAdminClients(predicate) {
+  for (const registry of [sseClients, kitchenClients]) {
+    for (const [client, meta] of registry) {
+      if (!predicate(meta)) continue;
+      try {
+        sseSend(client, "session_revoked", { at: Date.now() });
+        client.end();
+      } catch {}
+      registry.delete(client);
+    }
+  }
+}
+
+function broadcast(event, data) {
+  for (const client of sseClients.keys()) {
+    try {
+      sseSend(client, event, data);
+    } catch {
+      // ignore broken clients
+    }
+  }
+}
+
+/* =========================
+   KITCHEN (PER STATION)
+========================= */
+
+const kitchenClients = new Map(); // res -> { userId, sid, station }
+
+function addKitchenClient(res, meta = {}) {
+  kitchenClients.set(res, meta);
+}
+
+function removeKitchenClient(res) {
+  kitchenClients.delete(res);
+}
+
+// Send a ticket to every kitchen screen that cooks part of it, with only the
+// lines of that screen's station (all lines when it shows every station).
+function sendTicket(ticket) {
+  for (const [client, meta] of kitchenClients) {
+    const items = meta.station ? ticket.items.filter((it) => it.station === meta.station) : ticket.items;
+    if (!items.length) continue;
+    try {
+      sseSend(client, "ticket", { ...ticket, items });
+    } catch {}
+  }
+}
+
+// keep-alive ping (admin + kitchen + customer)
+setInterval(() => {
+  // admin and kitchen pings
+  for (const client of [...sseClients.keys(), ...kitchenClients.keys()]) {
+    try {
+      client.write(`: ping\n\n`);
+    } catch {}
+  }
+
+  // customer pings
+  for (const set of orderSseClients.values()) {
+    for (const res of set) {
+      try {
+        res.write(`: ping\n\n`);
+      } catch {}
+    }
+  }
+}, 25000).unref?.();
+
+module.exports = {
+  sseSend,
+  sseSendMessage,
+  addOrderClient,
+  removeOrderClient,
+  sendToOrder,
+  addAdminClient,
+  removeAdminClient,
+  disconnectAdminClients,
+  broadcast,
+  addKitchenClient,
+  removeKitchenClient,
+  sendTicket,
+};
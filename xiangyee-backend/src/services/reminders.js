@@ -0,0 +1,226 @@
+// services/reminders.js
+// Reminder emails before a booking and automatic no-shows after it.
+//
+//   RESERVATION_REMINDER_OFFSETS   when to remind, before the start ("24h,2h";
+//                                  "90m" style minutes work too)
+//   NO_SHOW_GRACE_MINUTES          unseated bookings become 'no_show' this long
+//                                  after their start time (30)
+
+const crypto = require("crypto");
+const { pool } = require("../db");
+const { queueEmail } = require("./email");
+const { TIME_ZONE } = require("./hours");
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const NO_SHOW_GRACE_MINUTES = Number(process.env.NO_SHOW_GRACE_MINUTES || 30);
+
+// bookings that still expect the guest
+const UPCOMING_STATUSES = ["pending", "confirmed"];
+
+// "24h,2h,45m" -> [1440, 120, 45]
+function parseOffsets(value) {
+  const offsets = String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map((s) => {
+      const m = s.match(/^(\d+)\s*([hm]?)$/);
+      if (!m) throw new Error(`Invalid reminder offset '${s}' (use e.g. 24h or 90m)`);
+      return Number(m[1]) * (m[2] === "m" ? 1 : 60);
+    })
+    .filter((n) => n > 0);
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+const REMINDER_OFFSETS = parseOffsets(process.env.RESERVATION_REMINDER_OFFSETS ?? "24h,2h");
+
+// start of the booking as a timestamptz, from local date + time
+const STARTS_AT = `((reservation_date + reservation_time) AT TIME ZONE $1::text)`;
+
+function makeToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+// Bookings with an email whose earliest reminder is due and that are not over.
+async function loadCandidates() {
+  if (!REMINDER_OFFSETS.length) return [];
+
+  const r = await pool.query(
+    `
+    SELECT
+      id,
+      ${STARTS_AT} AS starts_at,
+      created_at,
+      COALESCE((
+        SELECT array_agg(rr.offset_minutes)
+        FROM reservation_reminders rr
+        WHERE rr.reservation_id = reservations.id
+      ), '{}') AS done_offsets
+    FROM reservations
+    WHERE status = ANY($2::text[])
+      AND customer_email IS NOT NULL
+      AND ${STARTS_AT} > NOW()
+      AND ${STARTS_AT} - make_interval(mins => $3::int) <= NOW()
+    ORDER BY starts_at ASC
+    `,
+    [TIME_ZONE, UPCOMING_STATUSES, REMINDER_OFFSETS[0]]
+  );
+  return r.rows;
+}
+
+// Which offsets to record for a booking right now. Only the closest due offset
+// is sent; offsets that fell due before the booking existed, or that a later
+// one supersedes (e.g. the scheduler was down), are recorded as skipped.
+function planReminders(candidate, now = new Date()) {
+  const startsAt = new Date(candidate.starts_at).getTime();
+  const createdAt = new Date(candidate.created_at).getTime();
+
+  const due = REMINDER_OFFSETS.filter(
+    (off) => !candidate.done_offsets.includes(off) && startsAt - off * 60000 <= now.getTime()
+  );
+  if (!due.length) return null;
+
+  const sendable = due.filter((off) => createdAt < startsAt - off * 60000);
+  const send = sendable.length ? Math.min(...sendable) : null;
+
+  return { send, skip: due.filter((off) => off !== send) };
+}
+
+async function remindOne(candidate) {
+  const plan = planReminders(candidate);
+  if (!plan) return false;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // status may have changed since the candidate query
+    const cur = await client.query(
+      `
+      SELECT
+        id,
+        confirmation_code,
+        customer_name,
+        customer_email,
+        to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
+        to_char(reservation_time, 'HH24:MI') AS reservation_time,
+        pax,
+        status
+      FROM reservations
+      WHERE id = $1
+      FOR UPDATE
+      `,
+      [candidate.id]
+    );
+    const reservation = cur.rows?.[0];
+    if (!reservation || !UPCOMING_STATUSES.includes(reservation.status)) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+
+    for (const off of plan.skip) {
+      await client.query(
+        `
+        INSERT INTO reservation_reminders (reservation_id, offset_minutes, status)
+        VALUES ($1, $2, 'skipped')
+        ON CONFLICT (reservation_id, offset_minutes) DO NOTHING
+        `,
+        [reservation.id, off]
+      );
+    }
+
+    let sent = false;
+    if (plan.send !== null) {
+      const token = makeToken();
+      const ins = await client.query(
+        `
+        INSERT INTO reservation_reminders (reservation_id, offset_minutes, status, token)
+        VALUES ($1, $2, 'sent', $3)
+        ON CONFLICT (reservation_id, offset_minutes) DO NOTHING
+        RETURNING id
+        `,
+        [reservation.id, plan.send, token]
+      );
+
+      // no row back means another instance sent this one already
+      if (ins.rowCount) {
+        await queueEmail(client, "reservation_reminder", reservation.customer_email, {
+          customer_name: reservation.customer_name,
+          reservation_date: reservation.reservation_date,
+          reservation_time: reservation.reservation_time,
+          pax: reservation.pax,
+          confirmation_code: reservation.confirmation_code,
+          status: reservation.status,
+          token,
+        });
+        sent = true;
+      }
+    }
+
+    await client.query("COMMIT");
+    return sent;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Queue every reminder that is due. Returns how many were queued.
+async function sendDueReminders() {
+  let queued = 0;
+  for (const candidate of await loadCandidates()) {
+    try {
+      if (await remindOne(candidate)) queued++;
+    } catch (e) {
+      console.error(`Reminder for reservation ${candidate.id} failed:`, e);
+    }
+  }
+  return queued;
+}
+
+// Unseated bookings past their grace period. Returns the ids marked.
+async function markNoShows() {
+  const r = await pool.query(
+    `
+    UPDATE reservations
+    SET status = 'no_show', no_show_at = NOW(), updated_at = NOW()
+    WHERE status = ANY($2::text[])
+      AND ${STARTS_AT} + make_interval(mins => $3::int) <= NOW()
+    RETURNING id
+    `,
+    [TIME_ZONE, UPCOMING_STATUSES, NO_SHOW_GRACE_MINUTES]
+  );
+  return r.rows.map((row) => row.id);
+}
+
+let running = false;
+
+function startReminderScheduler() {
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReminders();
+      await markNoShows();
+    } catch (e) {
+      console.error("Reminder scheduler error:", e);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = {
+  REMINDER_OFFSETS,
+  NO_SHOW_GRACE_MINUTES,
+  sendDueReminders,
+  markNoShows,
+  startReminderScheduler,
+};
@@ -0,0 +1,105 @@
+// services/reservations.js
+// Helpers shared by bookings and the waitlist.
+
+const crypto = require("crypto");
+const {
+  RELEASED_STATUSES,
+  getDurationMinutes,
+  lockDate,
+  allocateTables,
+  conflictingTableIds,
+  assignTables,
+} = require("./tables");
+
+const MAX_PAX = 12; // largest party the combinable tables can seat
+
+// from -> statuses staff may move a booking to. A booking brought back from
+// a released status must get its tables back first (see reclaimTables).
+const STAFF_TRANSITIONS = {
+  held: ["pending", "confirmed", "cancelled"],
+  pending: ["confirmed", "seated", "cancelled", "no_show"],
+  confirmed: ["pending", "seated", "cancelled", "no_show"],
+  seated: ["confirmed", "completed"],
+  completed: ["seated"],
+  cancelled: ["pending", "confirmed"],
+  no_show: ["confirmed", "seated", "cancelled"],
+};
+
+function nextStaffStatuses(from) {
+  return STAFF_TRANSITIONS[from] || [];
+}
+
+function isRevived(from, to) {
+  return RELEASED_STATUSES.includes(from) && !RELEASED_STATUSES.includes(to);
+}
+
+// no 0/O/1/I so codes survive being read out over the phone
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+function makeConfirmationCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Find tables for the party inside the caller's transaction. The date lock
+// is held until COMMIT so concurrent bookings see each other's tables.
+// Returns { tables, minutes } or { error }.
+async function holdTables(client, { date, time, pax, excludeReservationId = null }) {
+  await lockDate(client, date);
+
+  const minutes = await getDurationMinutes(client, pax);
+  const tables = await allocateTables(client, { date, time, pax, minutes, excludeReservationId });
+  if (!tables) {
+    return { error: `No table for ${pax} is free at ${time}. Please choose another time.` };
+  }
+
+  return { tables, minutes };
+}
+
+// A released booking is being brought back. Its old tables may have gone to
+// someone else (a waitlist guest, say) in the meantime: keep them if they are
+// still free, else allocate others. Runs inside the caller's transaction.
+// reservation needs id, reservation_date, reservation_time, pax and
+// duration_minutes. Returns { table_ids } or { error }.
+async function reclaimTables(client, reservation) {
+  const { id, reservation_date: date, reservation_time: time, pax } = reservation;
+  const minutes = reservation.duration_minutes;
+  await lockDate(client, date);
+
+  const own = await client.query(
+    `
+    SELECT rt.table_id
+    FROM reservation_tables rt
+    JOIN tables t ON t.id = rt.table_id
+    WHERE rt.reservation_id = $1
+      AND t.is_active = TRUE
+    `,
+    [id]
+  );
+  const ownIds = own.rows.map((r) => r.table_id);
+  const busy = await conflictingTableIds(client, { date, time, minutes, excludeReservationId: id });
+  if (ownIds.length && !ownIds.some((t) => busy.includes(t))) return { table_ids: ownIds };
+
+  const tables = await allocateTables(client, { date, time, pax, minutes, excludeReservationId: id });
+  if (!tables) {
+    return { error: `No table for ${pax} is free at ${time} any more, so the booking cannot be brought back.` };
+  }
+
+  const tableIds = tables.map((t) => t.id);
+  await assignTables(client, id, tableIds);
+  return { table_ids: tableIds };
+}
+
+module.exports = {
+  MAX_PAX,
+  STAFF_TRANSITIONS,
+  makeConfirmationCode,
+  holdTables,
+  nextStaffStatuses,
+  isRevived,
+  reclaimTables,
+};
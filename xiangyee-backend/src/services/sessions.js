@@ -0,0 +1,192 @@
+// services/sessions.js
+// Staff sessions: short-lived access JWTs, rotating refresh tokens stored
+// server-side, and single-purpose stream tokens for the admin SSE feed.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { pool } = require("../db");
+const { disconnectAdminClients } = require("./realtime");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const STREAM_TOKEN_TTL = "60s";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 14);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, role: user.role, sid: sessionId, typ: "access" },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenPair(user, sessionId, refreshToken) {
+  const accessToken = signAccessToken(user, sessionId);
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+async function createSession(user, { ip, userAgent } = {}) {
+  const refreshToken = newRefreshToken();
+
+  const r = await pool.query(
+    `
+    INSERT INTO staff_sessions
+      (staff_user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES
+      ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING id
+    `,
+    [user.id, hashToken(refreshToken), userAgent || null, ip || null, REFRESH_TOKEN_DAYS]
+  );
+
+  return tokenPair(user, r.rows[0].id, refreshToken);
+}
+
+// Swap the refresh token for a new pair. Returns null when the token is unusable.
+async function rotateSession(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const r = await client.query(
+      `
+      SELECT
+        s.id,
+        s.expires_at,
+        s.revoked_at,
+        u.id AS user_id,
+        u.username,
+        u.role,
+        u.is_active
+      FROM staff_sessions s
+      JOIN staff_users u ON u.id = s.staff_user_id
+      WHERE s.refresh_token_hash = $1
+      FOR UPDATE OF s
+      `,
+      [hash]
+    );
+
+    const session = r.rows?.[0];
+    if (!session) {
+      await client.query("ROLLBACK");
+
+      // an already-rotated token came back: assume it was stolen
+      const reused = await pool.query(
+        `SELECT id FROM staff_sessions WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+        [hash]
+      );
+      if (reused.rowCount) await revokeSession(reused.rows[0].id, "refresh_token_reused");
+      return null;
+    }
+
+    if (session.revoked_at || !session.is_active || new Date(session.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const next = newRefreshToken();
+    await client.query(
+      `
+      UPDATE staff_sessions
+      SET
+        previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $1,
+        last_used_at = NOW()
+      WHERE id = $2
+      `,
+      [hashToken(next), session.id]
+    );
+
+    await client.query("COMMIT");
+
+    const user = { id: session.user_id, username: session.username, role: session.role };
+    return tokenPair(user, session.id, next);
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function revokeSession(sessionId, reason) {
+  await pool.query(
+    `
+    UPDATE staff_sessions
+    SET revoked_at = NOW(), revoke_reason = $1
+    WHERE id = $2
+      AND revoked_at IS NULL
+    `,
+    [reason, sessionId]
+  );
+  disconnectAdminClients((meta) => meta.sid === sessionId);
+}
+
+async function revokeSessionByRefreshToken(refreshToken, reason) {
+  const r = await pool.query(
+    `SELECT id FROM staff_sessions WHERE refresh_token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+  const id = r.rows?.[0]?.id;
+  if (id) await revokeSession(id, reason);
+  return Boolean(id);
+}
+
+// Every device of one user, e.g. when they are fired or lose a tablet.
+// exceptSessionId keeps the caller's own session (password change).
+async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const r = await pool.query(
+    `
+    UPDATE staff_sessions
+    SET revoked_at = NOW(), revoke_reason = $1
+    WHERE staff_user_id = $2
+      AND revoked_at IS NULL
+      AND id IS DISTINCT FROM $3
+    `,
+    [reason, userId, exceptSessionId]
+  );
+  disconnectAdminClients(
+    (meta) => meta.userId === userId && meta.sid !== exceptSessionId
+  );
+  return r.rowCount;
+}
+
+function signStreamToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, sid: sessionId, typ: "stream" },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TOKEN_TTL }
+  );
+}
+
+// Throws like jwt.verify; also rejects tokens minted for another purpose.
+function verifyToken(token, typ) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  if (payload.typ !== typ) throw new Error(`Not a ${typ} token`);
+  return payload;
+}
+
+module.exports = {
+  STREAM_TOKEN_TTL,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  signStreamToken,
+  verifyToken,
+};
@@ -0,0 +1,58 @@
+// services/staff.js
+// Shared by the staff routes and scripts/create-admin.js.
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { pool } = require("../db");
+const { ROLES } = require("./permissions");
+
+const BCRYPT_ROUNDS = 10;
+const PASSWORD_MIN = 8;
+
+// columns that are safe to send to the dashboard (never password_hash)
+const PUBLIC_COLUMNS = `
+  id,
+  username,
+  role,
+  is_active,
+  must_change_password,
+  password_changed_at,
+  disabled_at,
+  created_at,
+  updated_at
+`;
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// readable one-off password for resets and the bootstrap script
+function generatePassword() {
+  return crypto.randomBytes(9).toString("base64url");
+}
+
+async function createStaffUser(
+  { username, password, role, must_change_password = false },
+  db = pool
+) {
+  const passwordHash = await hashPassword(password);
+
+  const r = await db.query(
+    `
+    INSERT INTO staff_users (username, password_hash, role, must_change_password)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${PUBLIC_COLUMNS}
+    `,
+    [username, passwordHash, role, must_change_password]
+  );
+
+  return r.rows[0];
+}
+
+module.exports = {
+  PASSWORD_MIN,
+  ROLES,
+  PUBLIC_COLUMNS,
+  hashPassword,
+  generatePassword,
+  createStaffUser,
+};
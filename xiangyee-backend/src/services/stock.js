@@ -0,0 +1,155 @@
+// services/stock.js
+// Daily stock for limited dishes. Orders take from stock_remaining inside
+// their transaction; the scheduler refills it once a day.
+//
+//   STOCK_RESET_TIME   local time the stock day starts ("04:00"), i.e. after
+//                      the last service and before the kitchen preps again
+
+const { pool } = require("../db");
+const { localNow } = require("./hours");
+const { broadcast } = require("./realtime");
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+function parseResetTime(value) {
+  const m = String(value).trim().match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  if (!m) throw new Error(`Invalid STOCK_RESET_TIME '${value}' (use HH:MM)`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+const STOCK_RESET_MINUTES = parseResetTime(process.env.STOCK_RESET_TIME || "04:00");
+
+// The stock day: before the reset time it is still the previous date, so a
+// late supper order counts against that evening's stock.
+function stockDate(at = new Date()) {
+  return localNow(new Date(at.getTime() - STOCK_RESET_MINUTES * 60000)).date;
+}
+
+// stock fields for a menu item row aliased m
+const STOCK_COLUMNS = `
+  m.daily_stock,
+  m.stock_remaining,
+  COALESCE(m.stock_remaining = 0, FALSE) AS is_sold_out
+`;
+
+// Refill every counted dish whose stock belongs to an earlier day.
+// Returns the refilled rows.
+async function resetDailyStock(db = pool) {
+  const r = await db.query(
+    `
+    UPDATE menu_items
+    SET stock_remaining = daily_stock, stock_date = $1::date, updated_at = NOW()
+    WHERE daily_stock IS NOT NULL
+      AND (stock_date IS NULL OR stock_date < $1::date)
+    RETURNING id AS menu_item_id, stock_remaining
+    `,
+    [stockDate()]
+  );
+  return r.rows;
+}
+
+// Take quantity from a counted dish. Returns { menu_item_id, stock_remaining }
+// or null for dishes without stock. Throws when there is not enough left;
+// err.soldOut carries the dish and what is left for the response.
+async function takeStock(db, menuItem, quantity) {
+  const r = await db.query(
+    `
+    UPDATE menu_items
+    SET stock_remaining = stock_remaining - $2, updated_at = NOW()
+    WHERE id = $1
+      AND stock_remaining IS NOT NULL
+      AND stock_remaining >= $2
+    RETURNING id AS menu_item_id, stock_remaining
+    `,
+    [menuItem.id, quantity]
+  );
+  if (r.rowCount) return r.rows[0];
+
+  const cur = await db.query(`SELECT stock_remaining FROM menu_items WHERE id = $1`, [menuItem.id]);
+  const remaining = cur.rows?.[0]?.stock_remaining;
+  if (remaining === null || remaining === undefined) return null;
+
+  const err = new Error(
+    remaining === 0
+      ? `Sorry, ${menuItem.name_en} is sold out for today.`
+      : `Sorry, only ${remaining} ${menuItem.name_en} left today.`
+  );
+  err.soldOut = { menu_item_id: menuItem.id, stock_remaining: remaining };
+  throw err;
+}
+
+// Give back what a cancelled order took from counted dishes (set meal lines
+// included). Only dishes still on the stock day the order was placed get it
+// back; a refill since then has already reset them. Returns the changed
+// levels for broadcastStock.
+async function returnStock(db, orderId, orderedAt) {
+  const r = await db.query(
+    `
+    UPDATE menu_items m
+    SET stock_remaining = m.stock_remaining + l.quantity, updated_at = NOW()
+    FROM (
+      SELECT menu_item_id, SUM(quantity)::int AS quantity
+      FROM order_items
+      WHERE order_id = $1
+      GROUP BY menu_item_id
+    ) l
+    WHERE m.id = l.menu_item_id
+      AND m.stock_remaining IS NOT NULL
+      AND m.stock_date = $2::date
+    RETURNING m.id AS menu_item_id, m.stock_remaining
+    `,
+    [orderId, stockDate(new Date(orderedAt))]
+  );
+  return r.rows;
+}
+
+// push stock levels to the dashboard; call after the transaction commits
+function broadcastStock(items) {
+  if (!items.length) return;
+
+  // one entry per dish, the latest level wins
+  const latest = new Map(items.map((it) => [it.menu_item_id, it]));
+  broadcast("menu_stock_updated", {
+    items: [...latest.values()].map((it) => ({
+      menu_item_id: it.menu_item_id,
+      stock_remaining: it.stock_remaining,
+      sold_out: it.stock_remaining === 0,
+    })),
+    at: Date.now(),
+  });
+}
+
+let running = false;
+
+async function refillAndAnnounce() {
+  broadcastStock(await resetDailyStock());
+}
+
+function startStockScheduler() {
+  // catch up straight away if the server was down at the reset time
+  refillAndAnnounce().catch((e) => console.error("Stock reset error:", e));
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refillAndAnnounce();
+    } catch (e) {
+      console.error("Stock reset error:", e);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = {
+  STOCK_COLUMNS,
+  stockDate,
+  resetDailyStock,
+  takeStock,
+  returnStock,
+  broadcastStock,
+  startStockScheduler,
+};
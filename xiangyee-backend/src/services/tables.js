@@ -0,0 +1,170 @@
+// services/tables.js
+// Table allocation for reservations. A booking holds one table, or several
+// tables from the same combine_group, for [start, start + duration).
+
+const DEFAULT_DURATION_MINUTES = 90;
+
+// statuses that no longer hold a table (a 'held' waitlist offer also lets
+// go once its hold_expires_at has passed)
+const RELEASED_STATUSES = ["cancelled", "completed", "no_show"];
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function overlaps(startA, minutesA, startB, minutesB) {
+  return startA < startB + minutesB && startB < startA + minutesA;
+}
+
+async function getDurationMinutes(db, pax) {
+  const r = await db.query(
+    `
+    SELECT minutes
+    FROM dining_durations
+    WHERE max_pax >= $1
+    ORDER BY max_pax ASC
+    LIMIT 1
+    `,
+    [pax]
+  );
+  if (r.rows?.[0]) return r.rows[0].minutes;
+
+  // bigger than every configured band: use the longest one
+  const longest = await db.query(`SELECT MAX(minutes) AS minutes FROM dining_durations`);
+  return longest.rows?.[0]?.minutes || DEFAULT_DURATION_MINUTES;
+}
+
+// Serialise allocations for one date so two guests cannot get the same table.
+async function lockDate(db, date) {
+  await db.query(`SELECT pg_advisory_xact_lock(hashtext('reservations:' || $1))`, [date]);
+}
+
+// Everything needed to allocate on one date, loaded once.
+async function loadDay(db, date, excludeReservationId = null) {
+  const tablesRes = await db.query(
+    `
+    SELECT id, table_no, floor, seats, combine_group
+    FROM tables
+    WHERE is_active = TRUE
+    ORDER BY seats ASC, floor ASC, sort_order ASC, id ASC
+    `
+  );
+
+  const bookingsRes = await db.query(
+    `
+    SELECT
+      r.id,
+      to_char(r.reservation_time, 'HH24:MI') AS reservation_time,
+      r.duration_minutes,
+      array_agg(rt.table_id) AS table_ids
+    FROM reservations r
+    JOIN reservation_tables rt ON rt.reservation_id = r.id
+    WHERE r.reservation_date = $1::date
+      AND r.status <> ALL($2::text[])
+      AND NOT (r.status = 'held' AND r.hold_expires_at <= NOW())
+      AND r.id IS DISTINCT FROM $3
+    GROUP BY r.id
+    `,
+    [date, RELEASED_STATUSES, excludeReservationId]
+  );
+
+  return {
+    tables: tablesRes.rows,
+    bookings: bookingsRes.rows.map((b) => ({
+      ...b,
+      start: toMinutes(b.reservation_time),
+    })),
+  };
+}
+
+function freeTablesAt(day, time, minutes) {
+  const start = toMinutes(time);
+  const busy = new Set();
+  for (const b of day.bookings) {
+    if (overlaps(start, minutes, b.start, b.duration_minutes)) {
+      b.table_ids.forEach((id) => busy.add(id));
+    }
+  }
+  return day.tables.filter((t) => !busy.has(t.id));
+}
+
+// Smallest fit wins: a single table first, then the fewest combined tables
+// (same combine_group) with the fewest spare seats.
+function pickTables(free, pax) {
+  const single = free.find((t) => t.seats >= pax);
+  if (single) return [single];
+
+  const groups = new Map();
+  for (const t of free) {
+    if (!t.combine_group) continue;
+    if (!groups.has(t.combine_group)) groups.set(t.combine_group, []);
+    groups.get(t.combine_group).push(t);
+  }
+
+  let best = null;
+  for (const members of groups.values()) {
+    // groups are a handful of tables, so trying every subset is cheap
+    const n = Math.min(members.length, 12);
+    for (let mask = 1; mask < 1 << n; mask++) {
+      const combo = members.filter((_, i) => mask & (1 << i));
+      const seats = combo.reduce((sum, t) => sum + t.seats, 0);
+      if (seats < pax) continue;
+
+      const better =
+        !best ||
+        combo.length < best.combo.length ||
+        (combo.length === best.combo.length && seats < best.seats);
+      if (better) best = { combo, seats };
+    }
+  }
+
+  return best ? best.combo : null;
+}
+
+// Returns the tables to hold, or null when nothing fits.
+async function allocateTables(db, { date, time, pax, minutes, excludeReservationId = null }) {
+  const day = await loadDay(db, date, excludeReservationId);
+  return pickTables(freeTablesAt(day, time, minutes), pax);
+}
+
+// For the booking form: which of these times can seat `pax` on `date`?
+async function availableTimes(db, { date, pax, times }) {
+  const minutes = await getDurationMinutes(db, pax);
+  const day = await loadDay(db, date);
+
+  return {
+    duration_minutes: minutes,
+    times: times.map((time) => ({
+      reservation_time: time,
+      available: Boolean(pickTables(freeTablesAt(day, time, minutes), pax)),
+    })),
+  };
+}
+
+// Tables that clash with [time, time + minutes) on date, for manual reassignment.
+async function conflictingTableIds(db, { date, time, minutes, excludeReservationId }) {
+  const day = await loadDay(db, date, excludeReservationId);
+  const free = new Set(freeTablesAt(day, time, minutes).map((t) => t.id));
+  return day.tables.filter((t) => !free.has(t.id)).map((t) => t.id);
+}
+
+async function assignTables(db, reservationId, tableIds) {
+  await db.query(`DELETE FROM reservation_tables WHERE reservation_id = $1`, [reservationId]);
+  for (const tableId of tableIds) {
+    await db.query(
+      `INSERT INTO reservation_tables (reservation_id, table_id) VALUES ($1, $2)`,
+      [reservationId, tableId]
+    );
+  }
+}
+
+module.exports = {
+  RELEASED_STATUSES,
+  getDurationMinutes,
+  lockDate,
+  allocateTables,
+  availableTimes,
+  conflictingTableIds,
+  assignTables,
+};
@@ -0,0 +1,258 @@
+// services/waitlist.js
+// Offers freed tables to waitlisted guests. An offer is a reservation in
+// status 'held' that keeps its tables until hold_expires_at; the guest
+// accepts it (-> pending) or it lapses and the next guest in line is tried.
+
+const { pool } = require("../db");
+const { lockDate, assignTables } = require("./tables");
+const { makeConfirmationCode, holdTables } = require("./reservations");
+const { localNow, TIME_ZONE } = require("./hours");
+const { normalizePhone, upsertCustomer } = require("./customers");
+const { queueEmail } = require("./email");
+const { broadcast } = require("./realtime");
+
+const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || 30);
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const ENTRY_COLUMNS = `
+  id,
+  waitlist_code,
+  customer_name,
+  customer_phone,
+  customer_email,
+  to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date,
+  to_char(reservation_time, 'HH24:MI') AS reservation_time,
+  pax,
+  notes,
+  status,
+  reservation_id,
+  offered_at,
+  hold_expires_at,
+  created_at,
+  updated_at
+`;
+
+// Lapsed offers on this date give their tables back.
+async function expireHolds(client, date) {
+  await client.query(
+    `
+    UPDATE reservations
+    SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+    WHERE reservation_date = $1::date
+      AND status = 'held'
+      AND hold_expires_at <= NOW()
+    `,
+    [date]
+  );
+  await client.query(
+    `
+    UPDATE waitlist_entries
+    SET status = 'expired', updated_at = NOW()
+    WHERE reservation_date = $1::date
+      AND status = 'offered'
+      AND hold_expires_at <= NOW()
+    `,
+    [date]
+  );
+}
+
+// Hold tables for one waiting entry and email the guest the offer. Returns
+// the updated entry, or null when nothing fits. Runs inside the caller's
+// transaction, so the email only goes out if the offer commits.
+async function offerEntry(client, entry) {
+  const held = await holdTables(client, {
+    date: entry.reservation_date,
+    time: entry.reservation_time,
+    pax: entry.pax,
+  });
+  if (held.error) return null;
+
+  const phone = normalizePhone(entry.customer_phone);
+  const customer = phone
+    ? await upsertCustomer(client, { phone, name: entry.customer_name, email: entry.customer_email })
+    : null;
+
+  const resInsert = await client.query(
+    `
+    INSERT INTO reservations
+      (customer_name, customer_phone, reservation_date, reservation_time, pax, notes,
+       confirmation_code, duration_minutes, status, hold_expires_at, customer_email, customer_id)
+    VALUES
+      ($1, $2, $3::date, $4::time, $5::int, $6, $7, $8::int, 'held',
+       NOW() + make_interval(mins => $9::int), $10, $11)
+    RETURNING id, hold_expires_at,
+      to_char(hold_expires_at AT TIME ZONE $12, 'HH24:MI') AS hold_until
+    `,
+    [
+      entry.customer_name,
+      entry.customer_phone,
+      entry.reservation_date,
+      entry.reservation_time,
+      entry.pax,
+      entry.notes,
+      makeConfirmationCode(),
+      held.minutes,
+      HOLD_MINUTES,
+      entry.customer_email,
+      customer?.id ?? null,
+      TIME_ZONE,
+    ]
+  );
+  const reservation = resInsert.rows[0];
+  await assignTables(client, reservation.id, held.tables.map((t) => t.id));
+
+  const upd = await client.query(
+    `
+    UPDATE waitlist_entries
+    SET
+      status = 'offered',
+      reservation_id = $1,
+      offered_at = NOW(),
+      hold_expires_at = $2,
+      updated_at = NOW()
+    WHERE id = $3
+    RETURNING ${ENTRY_COLUMNS}
+    `,
+    [reservation.id, reservation.hold_expires_at, entry.id]
+  );
+  const offered = upd.rows[0];
+
+  await queueEmail(client, "waitlist_offered", offered.customer_email, {
+    customer_name: offered.customer_name,
+    reservation_date: offered.reservation_date,
+    reservation_time: offered.reservation_time,
+    pax: offered.pax,
+    waitlist_code: offered.waitlist_code,
+    hold_until: reservation.hold_until,
+  });
+
+  return offered;
+}
+
+// Tell the dashboard about offers once they have committed.
+function announceOffers(offers) {
+  if (!offers.length) return;
+  broadcast("waitlist_offered", {
+    offers: offers.map((o) => ({
+      id: o.id,
+      reservation_id: o.reservation_id,
+      customer_name: o.customer_name,
+      reservation_date: o.reservation_date,
+      reservation_time: o.reservation_time,
+      pax: o.pax,
+    })),
+    at: new Date().toISOString(),
+  });
+}
+
+// After a cancellation on `date`: expire lapsed offers, then offer the freed
+// tables to waiting guests in the order they joined. Returns the new offers.
+async function promoteWaitlist(date) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await lockDate(client, date);
+    await expireHolds(client, date);
+
+    const waiting = await client.query(
+      `
+      SELECT ${ENTRY_COLUMNS}
+      FROM waitlist_entries
+      WHERE reservation_date = $1::date
+        AND status = 'waiting'
+      ORDER BY created_at ASC, id ASC
+      FOR UPDATE
+      `,
+      [date]
+    );
+
+    const now = localNow();
+    const offers = [];
+
+    for (const entry of waiting.rows) {
+      const gone =
+        entry.reservation_date < now.date ||
+        (entry.reservation_date === now.date && entry.reservation_time <= now.time);
+      if (gone) {
+        await client.query(
+          `UPDATE waitlist_entries SET status = 'expired', updated_at = NOW() WHERE id = $1`,
+          [entry.id]
+        );
+        continue;
+      }
+
+      const offered = await offerEntry(client, entry);
+      if (offered) offers.push(offered);
+    }
+
+    await client.query("COMMIT");
+    announceOffers(offers);
+    return offers;
+  } catch (e) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Staff changed a 'held' booking by hand: confirming it counts as the guest
+// accepting, cancelling it withdraws the offer.
+async function settleOffer(db, reservationId, status) {
+  await db.query(
+    `
+    UPDATE waitlist_entries
+    SET status = $2, hold_expires_at = NULL, updated_at = NOW()
+    WHERE reservation_id = $1
+      AND status = 'offered'
+    `,
+    [reservationId, status === "cancelled" ? "cancelled" : "accepted"]
+  );
+}
+
+// Cancellation endpoints call this after they commit; a failure here must not
+// fail the cancellation itself.
+async function promoteAfterCancel(date) {
+  try {
+    return await promoteWaitlist(date);
+  } catch (e) {
+    console.error("Waitlist promotion failed:", e);
+    return [];
+  }
+}
+
+// Offers also lapse when nobody cancels anything, so check once a minute.
+async function sweepExpiredHolds() {
+  const r = await pool.query(
+    `
+    SELECT DISTINCT to_char(reservation_date, 'YYYY-MM-DD') AS reservation_date
+    FROM reservations
+    WHERE status = 'held'
+      AND hold_expires_at <= NOW()
+    `
+  );
+  for (const row of r.rows) {
+    await promoteAfterCancel(row.reservation_date);
+  }
+}
+
+function startWaitlistSweeper() {
+  const timer = setInterval(() => {
+    sweepExpiredHolds().catch((e) => console.error("Waitlist sweep failed:", e));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  ENTRY_COLUMNS,
+  offerEntry,
+  announceOffers,
+  settleOffer,
+  promoteWaitlist,
+  promoteAfterCancel,
+  startWaitlistSweeper,
+};
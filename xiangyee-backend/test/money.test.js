@@ -0,0 +1,98 @@
+// test/money.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFresh } = require("./helpers");
+
+const SETTINGS = [
+  "GST_RATE",
+  "GST_INCLUSIVE",
+  "SERVICE_CHARGE_RATE",
+  "SERVICE_CHARGE_ORDER_TYPES",
+  "ROUND_TOTAL_TO_CENTS",
+];
+
+// money.js reads its settings when it loads, so load a fresh copy per setup
+function loadMoney(env) {
+  return loadFresh(require.resolve("../src/services/money"), SETTINGS, env);
+}
+
+test("toCents takes pg decimal strings and avoids float drift", () => {
+  const { toCents } = loadMoney();
+  assert.equal(toCents("12.30"), 1230);
+  assert.equal(toCents("19.99"), 1999);
+  assert.equal(toCents(0.1 + 0.2), 30);
+  assert.equal(toCents(null), 0);
+});
+
+test("fromCents and percentOf", () => {
+  const { fromCents, percentOf } = loadMoney();
+  assert.equal(fromCents(1230), 12.3);
+  assert.equal(percentOf(999, 10), 100);
+  assert.equal(percentOf(1000, 0), 0);
+});
+
+test("dine-in pays service charge; GST is the part of an inclusive total", () => {
+  const { orderTotals } = loadMoney();
+  assert.deepEqual(orderTotals({ subtotalCents: 10000, orderType: "dine_in" }), {
+    subtotal_cents: 10000,
+    discount_cents: 0,
+    service_charge_cents: 1000,
+    gst_cents: 908,
+    rounding_cents: 0,
+    total_cents: 11000,
+    service_charge_rate: 10,
+    gst_rate: 9,
+    gst_inclusive: true,
+  });
+});
+
+test("takeaway pays no service charge", () => {
+  const { orderTotals } = loadMoney();
+  const t = orderTotals({ subtotalCents: 1999, orderType: "takeaway" });
+  assert.equal(t.service_charge_cents, 0);
+  assert.equal(t.service_charge_rate, 0);
+  assert.equal(t.gst_cents, 165);
+  assert.equal(t.total_cents, 1999);
+});
+
+test("service charge and GST are worked out after discounts", () => {
+  const { orderTotals } = loadMoney();
+  const t = orderTotals({ subtotalCents: 10000, discountCents: 2000, orderType: "dine_in" });
+  assert.equal(t.service_charge_cents, 800);
+  assert.equal(t.gst_cents, 727);
+  assert.equal(t.total_cents, 8800);
+});
+
+test("exclusive GST is added on top of the service charge", () => {
+  const { orderTotals } = loadMoney({ GST_INCLUSIVE: "false" });
+  const t = orderTotals({ subtotalCents: 10000, orderType: "dine_in" });
+  assert.equal(t.gst_inclusive, false);
+  assert.equal(t.gst_cents, 990);
+  assert.equal(t.total_cents, 11990);
+});
+
+test("the total rounds to ROUND_TOTAL_TO_CENTS and reports the rounding", () => {
+  const { orderTotals } = loadMoney({ GST_INCLUSIVE: "false", ROUND_TOTAL_TO_CENTS: "5" });
+  const t = orderTotals({ subtotalCents: 1233, orderType: "takeaway" });
+  assert.equal(t.gst_cents, 111);
+  assert.equal(t.rounding_cents, 1);
+  assert.equal(t.total_cents, 1345);
+});
+
+test("service charge order types and rates come from the environment", () => {
+  const { orderTotals } = loadMoney({
+    SERVICE_CHARGE_ORDER_TYPES: "dine_in,takeaway",
+    SERVICE_CHARGE_RATE: "5",
+  });
+  assert.equal(orderTotals({ subtotalCents: 2000, orderType: "takeaway" }).service_charge_cents, 100);
+});
+
+test("bad settings fail at load", () => {
+  assert.throws(() => loadMoney({ GST_RATE: "abc" }), /Invalid GST_RATE 'abc'/);
+  assert.throws(() => loadMoney({ ROUND_TOTAL_TO_CENTS: "0" }), /Invalid ROUND_TOTAL_TO_CENTS/);
+  assert.throws(
+    () => loadMoney({ SERVICE_CHARGE_ORDER_TYPES: "delivery" }),
+    /Invalid SERVICE_CHARGE_ORDER_TYPES entry 'delivery'/
+  );
+});
@@ -0,0 +1,166 @@
+// test/orderStatus.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { useTestDb } = require("./helpers");
+const { ORDER_STATUSES, nextStatuses, changeOrderStatus } = require("../src/services/orderStatus");
+const { stockDate } = require("../src/services/stock");
+
+const db = useTestDb();
+
+// A takeaway order placed now by Lee. lines are [menu item id, quantity].
+async function addOrder(status, { orderNo = "A007", lines = [] } = {}) {
+  const r = await db.query(
+    `
+    INSERT INTO orders (order_no, customer_name, customer_phone, customer_email, order_type, status)
+    VALUES ($1, 'Lee', '+6591234567', 'lee@example.com', 'takeaway', $2)
+    RETURNING id
+    `,
+    [orderNo, status]
+  );
+  const orderId = r.rows[0].id;
+  for (const [menuItemId, quantity] of lines) {
+    await db.query(
+      `
+      INSERT INTO order_items
+        (order_id, menu_item_id, quantity, unit_price, line_total, name_en, name_cn, menu_price)
+      VALUES ($1, $2, $3, 5, 5 * $3, 'Pork bun', '肉包', 5)
+      `,
+      [orderId, menuItemId, quantity]
+    );
+  }
+  return orderId;
+}
+
+// a dish with stockRemaining left of today's stock
+async function addDish(stockRemaining) {
+  const c = await db.query(`INSERT INTO menu_categories (name_en) VALUES ('Dim Sum') RETURNING id`);
+  const m = await db.query(
+    `
+    INSERT INTO menu_items (name_cn, name_en, price, category_id, daily_stock, stock_remaining, stock_date)
+    VALUES ('肉包', 'Pork bun', 5, $1, 10, $2, $3)
+    RETURNING id
+    `,
+    [c.rows[0].id, stockRemaining, stockDate()]
+  );
+  return m.rows[0].id;
+}
+
+async function orderRow(orderId) {
+  const r = await db.query(`SELECT status, cancel_reason FROM orders WHERE id = $1`, [orderId]);
+  return r.rows[0];
+}
+
+async function history(orderId) {
+  const r = await db.query(
+    `
+    SELECT from_status, to_status, source, reason, staff_user_id, staff_username
+    FROM order_status_history
+    WHERE order_id = $1
+    ORDER BY id
+    `,
+    [orderId]
+  );
+  return r.rows;
+}
+
+async function emails() {
+  const r = await db.query(`SELECT template, to_address, payload FROM email_outbox ORDER BY id`);
+  return r.rows;
+}
+
+test("each source has its own moves", () => {
+  assert.deepEqual(nextStatuses("pending", "staff"), ["confirmed", "preparing", "ready", "cancelled"]);
+  assert.deepEqual(nextStatuses("pending", "kitchen"), ["preparing", "ready"]);
+  assert.deepEqual(nextStatuses("pending", "customer"), []);
+  assert.deepEqual(nextStatuses("ready", "customer"), ["collected"]);
+  assert.deepEqual(nextStatuses("ready", "staff"), ["preparing", "collected", "completed", "cancelled"]);
+});
+
+test("completed and cancelled are final", () => {
+  for (const source of ["staff", "kitchen", "customer"]) {
+    assert.deepEqual(nextStatuses("completed", source), []);
+    assert.deepEqual(nextStatuses("cancelled", source), []);
+  }
+  assert.deepEqual(nextStatuses("unknown", "staff"), []);
+});
+
+test("every move leads to a known status", () => {
+  for (const from of ORDER_STATUSES) {
+    for (const source of ["staff", "kitchen", "customer"]) {
+      for (const to of nextStatuses(from, source)) assert.ok(ORDER_STATUSES.includes(to), `${from} -> ${to}`);
+    }
+  }
+});
+
+test("an allowed move updates the order and logs it", async () => {
+  const id = await addOrder("pending");
+  const user = { id: 3, username: "sam" };
+  const r = await changeOrderStatus(db, id, "confirmed", { source: "staff", user });
+
+  assert.equal(r.order.status, "confirmed");
+  assert.equal(r.order.from_status, "pending");
+  assert.deepEqual(r.stock, []);
+
+  assert.deepEqual(await orderRow(id), { status: "confirmed", cancel_reason: null });
+  assert.deepEqual(await history(id), [
+    {
+      from_status: "pending",
+      to_status: "confirmed",
+      source: "staff",
+      reason: null,
+      staff_user_id: 3,
+      staff_username: "sam",
+    },
+  ]);
+  // confirming sends no email
+  assert.deepEqual(await emails(), []);
+});
+
+test("moves the source may not make are refused and change nothing", async () => {
+  const cases = [
+    ["pending", "collected", "customer", 409],
+    ["pending", "cancelled", "kitchen", 409],
+    ["completed", "ready", "staff", 409],
+    ["ready", "ready", "staff", 409],
+    ["confirmed", "cancelled", "staff", 400], // no reason given
+  ];
+  for (const [i, [from, to, source, status]] of cases.entries()) {
+    const id = await addOrder(from, { orderNo: `A00${i}` });
+    const r = await changeOrderStatus(db, id, to, { source });
+    assert.equal(r.status, status, `${from} -> ${to} by ${source}`);
+    assert.equal((await orderRow(id)).status, from);
+    assert.deepEqual(await history(id), []);
+  }
+  assert.deepEqual(await emails(), []);
+});
+
+test("a missing order is a 404", async () => {
+  const r = await changeOrderStatus(db, 999, "confirmed", { source: "staff" });
+  assert.deepEqual(r, { status: 404, error: "Order not found" });
+});
+
+test("ready emails the customer", async () => {
+  const id = await addOrder("preparing");
+  await changeOrderStatus(db, id, "ready", { source: "kitchen" });
+
+  assert.deepEqual(await emails(), [
+    {
+      template: "order_ready",
+      to_address: "lee@example.com",
+      payload: { customer_name: "Lee", order_no: "A007", order_type: "takeaway" },
+    },
+  ]);
+});
+
+test("cancelling records the reason, emails it and gives the stock back", async () => {
+  const dish = await addDish(6);
+  const id = await addOrder("confirmed", { lines: [[dish, 2]] });
+  const r = await changeOrderStatus(db, id, "cancelled", { source: "staff", reason: "Out of pork" });
+
+  assert.deepEqual(r.stock, [{ menu_item_id: dish, stock_remaining: 8 }]);
+  assert.deepEqual(await orderRow(id), { status: "cancelled", cancel_reason: "Out of pork" });
+  const [email] = await emails();
+  assert.equal(email.template, "order_cancelled");
+  assert.equal(email.payload.reason, "Out of pork");
+});
@@ -0,0 +1,204 @@
+// test/promotions.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { useTestDb } = require("./helpers");
+const { applyPromotions } = require("../src/services/promotions");
+
+const db = useTestDb();
+
+// Monday lunchtime
+const moment = { date: "2026-10-19", weekday: 1, time: "12:30" };
+
+function promotion(fields) {
+  return {
+    name: "Promo",
+    code: null,
+    kind: "percent",
+    value: 10,
+    min_spend: 0,
+    order_type: null,
+    menu_item_ids: [],
+    category_ids: [],
+    valid_from: null,
+    valid_until: null,
+    weekdays: [0, 1, 2, 3, 4, 5, 6],
+    starts_at: null,
+    ends_at: null,
+    max_uses: null,
+    max_uses_per_phone: null,
+    is_active: true,
+    ...fields,
+  };
+}
+
+async function addPromotions(...list) {
+  for (const fields of list) {
+    const p = promotion(fields);
+    await db.query(
+      `
+      INSERT INTO promotions
+        (id, name, code, kind, value, min_spend, order_type, menu_item_ids, category_ids,
+         valid_from, valid_until, weekdays, starts_at, ends_at, max_uses, max_uses_per_phone, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      `,
+      [
+        p.id,
+        p.name,
+        p.code,
+        p.kind,
+        p.value,
+        p.min_spend,
+        p.order_type,
+        p.menu_item_ids,
+        p.category_ids,
+        p.valid_from,
+        p.valid_until,
+        p.weekdays,
+        p.starts_at,
+        p.ends_at,
+        p.max_uses,
+        p.max_uses_per_phone,
+        p.is_active,
+      ]
+    );
+  }
+}
+
+// an earlier order by phone that got promotionId
+async function addUse(promotionId, { phone = "+6580000000", status = "completed" } = {}) {
+  const o = await db.query(
+    `INSERT INTO orders (customer_name, customer_phone, status) VALUES ('Tan', $1, $2) RETURNING id`,
+    [phone, status]
+  );
+  await db.query(
+    `INSERT INTO order_discounts (order_id, promotion_id, name, amount) VALUES ($1, $2, 'Promo', 1)`,
+    [o.rows[0].id, promotionId]
+  );
+}
+
+// $12 pork (menu item 1, category 10) and 3 x $2 rice (menu item 2, category 20)
+const lines = [
+  { menu_item_id: 1, category_id: 10, line_cents: 1200 },
+  { menu_item_id: 2, category_id: 20, line_cents: 600 },
+];
+
+function apply(opts = {}) {
+  return applyPromotions(db, { order_type: "takeaway", lines, moment, ...opts });
+}
+
+test("no promotions, no discount", async () => {
+  const r = await apply();
+  assert.deepEqual(r, { subtotalCents: 1800, discounts: [], discountCents: 0 });
+});
+
+test("the best automatic discount wins", async () => {
+  await addPromotions(
+    { id: 1, name: "5%", value: 5 },
+    { id: 2, name: "$3 off", kind: "fixed", value: 3 },
+    { id: 3, name: "10% dine-in", order_type: "dine_in" }
+  );
+  const r = await apply();
+  assert.equal(r.discountCents, 300);
+  assert.deepEqual(r.discounts, [
+    { promotion_id: 2, code: null, name: "$3 off", amount: 3, amount_cents: 300 },
+  ]);
+});
+
+test("restricted promotions only discount their dishes and categories", async () => {
+  await addPromotions({ id: 1, value: 50, category_ids: [20] });
+  assert.equal((await apply()).discountCents, 300);
+});
+
+test("a code adds to the automatic discount", async () => {
+  await addPromotions(
+    { id: 1, value: 10 },
+    { id: 2, code: "RICE1", kind: "fixed", value: 1, menu_item_ids: [2] }
+  );
+  const r = await apply({ code: "rice1" });
+  assert.deepEqual(
+    r.discounts.map((d) => [d.promotion_id, d.amount_cents]),
+    [
+      [1, 180],
+      [2, 100],
+    ]
+  );
+  assert.equal(r.discountCents, 280);
+});
+
+test("discounts never take the order below zero", async () => {
+  await addPromotions(
+    { id: 1, kind: "fixed", value: 15 },
+    { id: 2, code: "BIG", kind: "fixed", value: 10 }
+  );
+  const r = await apply({ code: "BIG" });
+  assert.deepEqual(
+    r.discounts.map((d) => d.amount_cents),
+    [1500, 300]
+  );
+  assert.equal(r.discountCents, 1800);
+});
+
+test("switched-off and out-of-hours automatic promotions are skipped", async () => {
+  await addPromotions(
+    { id: 1, weekdays: [0, 6] },
+    { id: 2, starts_at: "15:00", ends_at: "17:00" },
+    { id: 3, valid_until: "2026-10-18" },
+    { id: 4, valid_from: "2026-10-20" },
+    { id: 5, is_active: false }
+  );
+  assert.equal((await apply()).discountCents, 0);
+});
+
+test("unknown and switched-off codes get the same answer", async () => {
+  await addPromotions({ id: 1, code: "SAVE", is_active: false });
+  for (const code of ["NOPE", "SAVE"]) {
+    await assert.rejects(apply({ code }), { message: "This code is not valid", unknownCode: true });
+  }
+});
+
+test("a code that cannot be used says why", async () => {
+  const cases = [
+    [{ valid_until: "2026-10-01" }, "This code has expired"],
+    [{ valid_from: "2026-11-01" }, "This code is valid from 2026-11-01"],
+    [{ weekdays: [5, 6] }, "This code is not valid today"],
+    [{ starts_at: "17:00", ends_at: "22:00" }, "This code is valid from 17:00 to 22:00"],
+    [{ order_type: "dine_in" }, "This code is for dine-in orders only"],
+    [{ min_spend: 20 }, "Spend at least $20.00 to use this code"],
+    [{ menu_item_ids: [99] }, "This code does not apply to anything in your cart"],
+  ];
+  for (const [i, [fields, message]] of cases.entries()) {
+    const code = `SAVE${i}`;
+    await addPromotions({ id: i + 1, code, ...fields });
+    await assert.rejects(apply({ code }), (err) => {
+      assert.equal(err.message, message);
+      assert.equal(err.unknownCode, undefined);
+      return true;
+    });
+  }
+});
+
+test("a phone can use a code up to its own limit", async () => {
+  await addPromotions({ id: 1, code: "ONCE", max_uses: 100, max_uses_per_phone: 1 });
+  await addUse(1);
+  await addUse(1);
+
+  const first = await apply({ code: "ONCE", phone: "+6591234567" });
+  assert.equal(first.discountCents, 180);
+
+  await addUse(1, { phone: "+6591234567" });
+  await assert.rejects(apply({ code: "ONCE", phone: "+6591234567" }), {
+    message: "You have already used this code",
+  });
+});
+
+test("a code runs out after max_uses; cancelled orders give their use back", async () => {
+  await addPromotions({ id: 1, code: "THREE", max_uses: 3 });
+  await addUse(1);
+  await addUse(1);
+  await addUse(1, { status: "cancelled" });
+  assert.equal((await apply({ code: "THREE" })).discountCents, 180);
+
+  await addUse(1);
+  await assert.rejects(apply({ code: "THREE" }), { message: "This code has been fully redeemed" });
+});